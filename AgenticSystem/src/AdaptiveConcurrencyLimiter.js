@@ -0,0 +1,75 @@
+/**
+ * AIMD concurrency limiter driven by task latency and failure rate
+ */
+class AdaptiveConcurrencyLimiter {
+  /**
+   * Options:
+   *   min, max         - bounds for the limit
+   *   initial          - starting limit (clamped to the bounds)
+   *   targetLatency    - average latency in ms above which the limit shrinks
+   *   maxErrorRate     - failure ratio (0-1) above which the limit shrinks
+   *   window           - number of samples per adjustment
+   *   increase         - additive step when the window was healthy
+   *   decreaseFactor   - multiplicative step when it was not
+   */
+  constructor(options = {}) {
+    this.min = options.min || 1;
+    this.max = options.max || 100;
+    if (this.min > this.max) {
+      throw new Error(`Adaptive concurrency min (${this.min}) exceeds max (${this.max})`);
+    }
+
+    this.targetLatency = options.targetLatency || 5000;
+    this.maxErrorRate = options.maxErrorRate !== undefined ? options.maxErrorRate : 0.1;
+    this.window = options.window || 20;
+    this.increase = options.increase || 1;
+    this.decreaseFactor = options.decreaseFactor || 0.7;
+    this.limit = this.clamp(options.initial || this.min);
+    this.samples = [];
+  }
+
+  clamp(limit) {
+    return Math.max(this.min, Math.min(this.max, Math.floor(limit)));
+  }
+
+  /**
+   * Record a finished task. `inFlight` is how many tasks were running when
+   * it finished; the limit only grows when it was actually being reached,
+   * so an idle processor does not drift up to `max`. Returns the new limit
+   * when this sample triggered a change, otherwise null.
+   */
+  record({ latency, success, inFlight }) {
+    this.samples.push({ latency, success, inFlight });
+    if (this.samples.length < this.window) return null;
+
+    const samples = this.samples;
+    this.samples = [];
+
+    const errorRate = samples.filter(sample => !sample.success).length / samples.length;
+    const averageLatency = samples.reduce((sum, sample) => sum + sample.latency, 0) / samples.length;
+    const saturated = samples.some(sample => sample.inFlight >= this.limit);
+
+    let next = this.limit;
+    if (errorRate > this.maxErrorRate || averageLatency > this.targetLatency) {
+      next = this.clamp(this.limit * this.decreaseFactor);
+    } else if (saturated) {
+      next = this.clamp(this.limit + this.increase);
+    }
+
+    if (next === this.limit) return null;
+    this.limit = next;
+    return next;
+  }
+
+  toJSON() {
+    return {
+      limit: this.limit,
+      min: this.min,
+      max: this.max,
+      targetLatency: this.targetLatency,
+      maxErrorRate: this.maxErrorRate
+    };
+  }
+}
+
+module.exports = AdaptiveConcurrencyLimiter;
@@ -1,38 +1,131 @@
 /**
  * Base Agent Core class providing common functionality for all agents
  */
+const { isDeepStrictEqual } = require('util');
+const { AGENT_STATES, AgentStateMachine } = require('./AgentStateMachine');
+const {
+  InvalidStateTransitionError,
+  TaskTimeoutError,
+  TaskCancelledError,
+  ConfigValidationError
+} = require('./errors');
+const { CapabilityDescriptor } = require('./CapabilityDescriptor');
+const { AgentEventBus } = require('./AgentEventBus');
+const { AgentKafkaBridge } = require('./AgentKafkaBridge');
+const { AgentDelegation } = require('./AgentDelegation');
+
 class AgentCore {
   constructor(config = {}) {
     this.id = config.id || crypto.randomUUID();
     this.name = config.name || 'Unnamed Agent';
-    this.state = 'initializing';
-    this.capabilities = new Set();
-    this.eventHandlers = new Map();
+    this.stateMachine = new AgentStateMachine({
+      historyLimit: config.stateHistoryLimit,
+      logger: config.logger
+    });
+    this.capabilities = new Map();
+    this.events = new AgentEventBus({
+      onError: (error, eventName) => this.handleHandlerError(error, eventName)
+    });
     this.taskQueue = [];
+    this.activeTasks = new Map();
     this.logger = config.logger || console;
-    this.config = config;
+    this.configWatchers = new Map();
+    this.config = this.validateConfig({
+      concurrency: 1,
+      taskTimeout: 0,
+      ...config
+    });
+    this.busySync = Promise.resolve();
+    this.persistence = config.persistence || null;
+    this.restored = false;
+    this.paused = false;
+    this.kafkaBridge = config.kafkaBridge
+      ? new AgentKafkaBridge(this, config.kafkaBridge === true ? {} : config.kafkaBridge)
+      : null;
+    this.delegation = config.delegation
+      ? new AgentDelegation(this, config.delegation)
+      : null;
+    this.checkpointing = null;
+    this.checkpointPending = false;
+    this.defineStates(this.stateMachine);
+    this.stateMachine.onTransition(() => this.checkpoint());
+    this.onConfigChange('concurrency', () => this.runTasks());
+  }
+
+  get state() {
+    return this.stateMachine.getState();
   }
 
   // Lifecycle methods
   async initialize() {
-    this.state = 'initializing';
+    if (this.isInState(AGENT_STATES.ERROR)) {
+      await this.transitionTo(AGENT_STATES.RECOVERING);
+    } else if (!this.isInState(AGENT_STATES.INITIALIZING)) {
+      throw new Error(`Agent ${this.id} cannot be initialized from state '${this.state}'`);
+    }
+
     try {
+      if (!this.restored) {
+        await this.restore();
+      }
+      if (this.kafkaBridge) {
+        await this.kafkaBridge.start();
+      }
+      if (this.delegation) {
+        await this.delegation.start();
+      }
       await this.setup();
-      this.state = 'ready';
+      await this.transitionTo(AGENT_STATES.READY);
+      this.runTasks();
       return true;
     } catch (error) {
-      this.state = 'error';
       this.logger.error(`Agent ${this.id} initialization failed:`, error);
+      await this.transitionTo(AGENT_STATES.ERROR, { error: error.message });
       throw error;
     }
   }
 
   async shutdown() {
-    this.state = 'shutting down';
-    await this.cleanup();
-    this.state = 'terminated';
+    if (this.isInState(AGENT_STATES.TERMINATED)) return;
+
+    if (this.isInState(AGENT_STATES.INITIALIZING)) {
+      await this.transitionTo(AGENT_STATES.TERMINATED);
+      return;
+    }
+
+    await this.transitionTo(AGENT_STATES.DRAINING);
+    try {
+      await this.drainTasks();
+      await this.cleanup();
+    } finally {
+      await this.transitionTo(AGENT_STATES.TERMINATED);
+      if (this.delegation) {
+        await this.delegation.stop();
+      }
+      if (this.kafkaBridge) {
+        await this.kafkaBridge.stop();
+      }
+    }
+  }
+
+  // Stops dispatching queued tasks; in-flight tasks run to completion
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.emit('paused');
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.emit('resumed');
+    this.runTasks();
   }
 
+  // Subclasses extend the lifecycle here, e.g.
+  // machine.defineState('busy.indexing', { parent: 'busy' })
+  defineStates(machine) {}
+
   // Abstract methods to be implemented by subclasses
   async setup() {
     throw new Error('setup() must be implemented by subclass');
@@ -42,26 +135,61 @@ class AgentCore {
     throw new Error('cleanup() must be implemented by subclass');
   }
 
+  // Receives each dequeued task and an AbortSignal that fires on timeout or
+  // cancelTask(); the resolved value is reported through `taskCompleted`
+  async handleTask(task, { signal }) {
+    throw new Error('handleTask() must be implemented by subclass');
+  }
+
   // Event handling
   on(eventName, handler) {
-    if (!this.eventHandlers.has(eventName)) {
-      this.eventHandlers.set(eventName, []);
-    }
-    this.eventHandlers.get(eventName).push(handler);
+    return this.events.on(eventName, handler);
+  }
+
+  once(eventName, handler) {
+    return this.events.once(eventName, handler);
+  }
+
+  off(eventName, handler) {
+    return this.events.off(eventName, handler);
   }
 
   emit(eventName, ...args) {
-    const handlers = this.eventHandlers.get(eventName) || [];
-    handlers.forEach(handler => handler(...args));
+    return this.events.emit(eventName, ...args);
+  }
+
+  emitAsync(eventName, ...args) {
+    return this.events.emitAsync(eventName, ...args);
   }
 
   // Task management
   enqueueTask(task) {
-    this.taskQueue.push(task);
+    if (this.isInState(AGENT_STATES.DRAINING) || this.isInState(AGENT_STATES.TERMINATED)) {
+      throw new Error(`Agent ${this.id} is not accepting tasks in state '${this.state}'`);
+    }
+    if (!task.id) {
+      task.id = crypto.randomUUID();
+    }
+
+    // Higher priority first, FIFO within the same priority
+    const priority = task.priority || 0;
+    const index = this.taskQueue.findIndex(queued => (queued.priority || 0) < priority);
+    if (index === -1) {
+      this.taskQueue.push(task);
+    } else {
+      this.taskQueue.splice(index, 0, task);
+    }
+
     this.emit('taskQueued', task);
+    this.runTasks();
+    this.checkpoint();
+    return task.id;
   }
 
   processNextTask() {
+    if (!this.isInState(AGENT_STATES.READY) && !this.isInState(AGENT_STATES.BUSY)) {
+      return null;
+    }
     if (this.taskQueue.length > 0) {
       const task = this.taskQueue.shift();
       this.emit('taskStarted', task);
@@ -70,14 +198,200 @@ class AgentCore {
     return null;
   }
 
+  runTasks() {
+    while (!this.paused && this.activeTasks.size < this.config.concurrency) {
+      const task = this.processNextTask();
+      if (!task) break;
+      this.executeTask(task);
+    }
+    this.syncBusyState();
+  }
+
+  executeTask(task) {
+    const controller = new AbortController();
+    const timeout = task.timeout || this.config.taskTimeout;
+    let timer = null;
+
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+    });
+    if (timeout > 0) {
+      timer = setTimeout(() => controller.abort(new TaskTimeoutError(task.id, timeout)), timeout);
+    }
+
+    const promise = Promise.race([
+      Promise.resolve().then(() => this.handleTask(task, { signal: controller.signal })),
+      aborted
+    ])
+      .then(result => ({ result }), error => ({ error }))
+      .then(({ result, error }) => {
+        clearTimeout(timer);
+        this.activeTasks.delete(task.id);
+        if (error) {
+          this.emit('taskFailed', task, error);
+        } else {
+          this.emit('taskCompleted', task, result);
+        }
+        this.runTasks();
+        this.checkpoint();
+      });
+
+    this.activeTasks.set(task.id, { task, controller, promise });
+    return promise;
+  }
+
+  cancelTask(taskId, reason) {
+    const index = this.taskQueue.findIndex(task => task.id === taskId);
+    if (index !== -1) {
+      const [task] = this.taskQueue.splice(index, 1);
+      this.emit('taskCancelled', task);
+      this.checkpoint();
+      return true;
+    }
+
+    const active = this.activeTasks.get(taskId);
+    if (active) {
+      active.controller.abort(new TaskCancelledError(taskId, reason));
+      this.emit('taskCancelled', active.task);
+      return true;
+    }
+    return false;
+  }
+
+  // Resolves once every in-flight task has settled
+  async drainTasks() {
+    while (this.activeTasks.size > 0) {
+      await Promise.allSettled([...this.activeTasks.values()].map(active => active.promise));
+    }
+    await this.busySync;
+  }
+
+  /**
+   * Keeps the lifecycle state in step with the run loop: ready <-> busy.
+   * The state is checked when the transition's turn comes, so a shutdown
+   * queued meanwhile is not undone.
+   */
+  syncBusyState() {
+    this.busySync = this.busySync
+      .then(async () => {
+        const busy = () => this.activeTasks.size > 0;
+        await this.transitionTo(AGENT_STATES.BUSY, {}, {
+          when: () => busy() && this.isInState(AGENT_STATES.READY)
+        });
+        await this.transitionTo(AGENT_STATES.READY, {}, {
+          when: state => !busy() && state === AGENT_STATES.BUSY
+        });
+      })
+      .catch(error => this.handleError(error));
+  }
+
+  // Collaboration
+  /**
+   * Have a peer agent with `capability` handle `payload` and resolve with
+   * its reply. Pass `options.task` when delegating from within handleTask()
+   * so delegation loops can be detected.
+   */
+  async delegate(capability, payload, options = {}) {
+    if (!this.delegation) {
+      throw new Error(`Delegation is not enabled for agent ${this.id}`);
+    }
+    return this.delegation.delegate(capability, payload, options);
+  }
+
+  // Persistence
+  snapshot() {
+    const { logger, persistence, kafkaBridge, delegation, ...config } = this.config;
+    return {
+      id: this.id,
+      name: this.name,
+      state: this.state,
+      config: JSON.parse(JSON.stringify(config)),
+      capabilities: this.getCapabilities(),
+      taskQueue: this.taskQueue,
+      activeTasks: [...this.activeTasks.values()].map(active => active.task),
+      savedAt: Date.now()
+    };
+  }
+
+  /**
+   * Persist a snapshot of the agent. Calls made while a save is in flight
+   * are coalesced into one follow-up save, so the last write always
+   * reflects the latest state.
+   */
+  checkpoint() {
+    if (!this.persistence || !this.restored) return Promise.resolve();
+
+    if (this.checkpointing) {
+      this.checkpointPending = true;
+      return this.checkpointing;
+    }
+
+    this.checkpointing = this.persistence.save(this.id, this.snapshot())
+      .catch(error => this.handleError(error))
+      .then(() => {
+        this.checkpointing = null;
+        if (this.checkpointPending) {
+          this.checkpointPending = false;
+          return this.checkpoint();
+        }
+      });
+    return this.checkpointing;
+  }
+
+  // Reloads config, capabilities and queued work saved under this agent's id.
+  // Config goes through updateConfig() so watchers see it; tasks that were in
+  // flight when the snapshot was taken go first within their priority
+  async restore() {
+    this.restored = true;
+    if (!this.persistence) return false;
+
+    const snapshot = await this.persistence.load(this.id);
+    if (!snapshot) return false;
+
+    (snapshot.capabilities || []).forEach(capability => this.addCapability(capability));
+    // Same order as enqueueTask(): higher priority first, the sort is stable
+    this.taskQueue = [...(snapshot.activeTasks || []), ...(snapshot.taskQueue || []), ...this.taskQueue]
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    // Last, as the checkpoint it triggers must include the restored queue
+    this.updateConfig(snapshot.config || {});
+
+    this.emit('stateRestored', {
+      previousState: snapshot.state,
+      queuedTasks: this.taskQueue.length,
+      savedAt: snapshot.savedAt
+    });
+    return true;
+  }
+
   // Capability management
   addCapability(capability) {
-    this.capabilities.add(capability);
-    this.emit('capabilityAdded', capability);
+    const descriptor = CapabilityDescriptor.from(capability);
+    this.capabilities.set(descriptor.name, descriptor);
+    this.emit('capabilityAdded', descriptor);
+    return descriptor;
   }
 
-  hasCapability(capability) {
-    return this.capabilities.has(capability);
+  removeCapability(name) {
+    const descriptor = this.capabilities.get(name);
+    if (!descriptor) return false;
+    this.capabilities.delete(name);
+    this.emit('capabilityRemoved', descriptor);
+    return true;
+  }
+
+  // Accepts 'name', 'name@^1.2' or { name, range, input }
+  hasCapability(requirement) {
+    const name = typeof requirement === 'string' ? requirement.split('@')[0] : requirement.name;
+    const descriptor = this.capabilities.get(name);
+    return Boolean(descriptor && descriptor.satisfies(requirement));
+  }
+
+  getCapability(name) {
+    return this.capabilities.get(name) || null;
+  }
+
+  getCapabilities() {
+    return [...this.capabilities.values()].map(descriptor => descriptor.toJSON());
   }
 
   // State management
@@ -85,10 +399,55 @@ class AgentCore {
     return this.state;
   }
 
-  setState(newState) {
-    const oldState = this.state;
-    this.state = newState;
-    this.emit('stateChanged', { oldState, newState });
+  isInState(state) {
+    return this.stateMachine.isIn(state);
+  }
+
+  /**
+   * Move to `newState` through the lifecycle state machine. Resolves true
+   * once the state has changed; an undeclared or guard-rejected transition
+   * leaves the state as it was, is reported as a stateChanged event with
+   * `accepted: false` and resolves false.
+   *
+   * Unlike the synchronous setState() of earlier versions this returns a
+   * promise, since guards and hooks may be async: callers must await it
+   * before reading `state`, and subclasses overriding it must return one.
+   */
+  async setState(newState, context = {}) {
+    try {
+      await this.transitionTo(newState, context);
+      return true;
+    } catch (error) {
+      if (error instanceof InvalidStateTransitionError) return false;
+      throw error;
+    }
+  }
+
+  // As setState(), but a rejected transition throws InvalidStateTransitionError
+  async transitionTo(newState, context = {}, options = {}) {
+    let change;
+    try {
+      change = await this.stateMachine.transition(newState, context, options);
+    } catch (error) {
+      if (error instanceof InvalidStateTransitionError) {
+        this.emit('stateChanged', {
+          oldState: error.from,
+          newState,
+          context,
+          accepted: false,
+          reason: error.reason
+        });
+      }
+      throw error;
+    }
+    if (change) {
+      this.emit('stateChanged', { oldState: change.from, newState, context, accepted: true, reason: null });
+    }
+    return change;
+  }
+
+  getStateHistory(filter = {}) {
+    return this.stateMachine.getHistory(filter);
   }
 
   // Error handling
@@ -97,14 +456,87 @@ class AgentCore {
     this.emit('error', error);
   }
 
+  handleHandlerError(error, eventName) {
+    // A failing 'error' handler must not re-enter handleError()
+    if (eventName === 'error') {
+      this.logger.error(`Agent ${this.id} error handler failed:`, error);
+      return;
+    }
+    error.eventName = error.eventName || eventName;
+    this.handleError(error);
+  }
+
   // Utility methods
   getConfig(key) {
     return this.config[key];
   }
 
+  // Subclasses return a Joi schema to validate their config; unknown keys
+  // are allowed so base options (logger, persistence, ...) pass through
+  configSchema() {
+    return null;
+  }
+
+  validateConfig(config) {
+    const schema = this.configSchema();
+    if (!schema) return config;
+
+    const { error, value } = schema.validate(config, {
+      abortEarly: false,
+      allowUnknown: true
+    });
+
+    if (error) {
+      const details = error.details.reduce((acc, curr) => {
+        acc[curr.path.join('.')] = curr.message;
+        return acc;
+      }, {});
+      throw new ConfigValidationError(`Invalid config for agent ${this.id}`, details);
+    }
+
+    return value;
+  }
+
+  /**
+   * Validate and merge `newConfig`. Emits `configUpdated` with the new
+   * config and a diff of changed keys ({ key, previous, current }), then
+   * notifies any onConfigChange() watchers for those keys.
+   */
   updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
-    this.emit('configUpdated', this.config);
+    const previous = this.config;
+    const next = this.validateConfig({ ...previous, ...newConfig });
+
+    const changes = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+      .filter(key => !isDeepStrictEqual(previous[key], next[key]))
+      .map(key => ({ key, previous: previous[key], current: next[key] }));
+
+    if (changes.length === 0) return changes;
+
+    this.config = next;
+    this.emit('configUpdated', this.config, changes);
+    changes.forEach(change => {
+      (this.configWatchers.get(change.key) || []).forEach(watcher => {
+        try {
+          watcher(change.current, change.previous);
+        } catch (error) {
+          this.handleError(error);
+        }
+      });
+    });
+    this.checkpoint();
+    return changes;
+  }
+
+  // React to a single key changing without restarting the agent
+  onConfigChange(key, watcher) {
+    if (!this.configWatchers.has(key)) {
+      this.configWatchers.set(key, []);
+    }
+    this.configWatchers.get(key).push(watcher);
+    return () => {
+      const watchers = this.configWatchers.get(key) || [];
+      this.configWatchers.set(key, watchers.filter(existing => existing !== watcher));
+    };
   }
 }
 
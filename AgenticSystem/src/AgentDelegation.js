@@ -0,0 +1,292 @@
+/**
+ * Agent-to-agent delegation over Kafka
+ */
+const { Kafka } = require('kafkajs');
+const KafkaTopics = require('./KafkaTopics');
+const { DelegationError } = require('./errors');
+
+const PROTOCOL_VERSION = 1;
+
+class AgentDelegation {
+  constructor(agent, config = {}) {
+    if (!config.serverRegistry) {
+      throw new Error('Delegation requires a serverRegistry for peer discovery');
+    }
+
+    this.agent = agent;
+    this.serverRegistry = config.serverRegistry;
+    this.logger = config.logger || agent.logger || console;
+    this.config = {
+      timeout: config.timeout || 30000,
+      maxAttempts: config.maxAttempts || 3,
+      maxDepth: config.maxDepth || 5
+    };
+    this.kafka = config.kafka || new Kafka({
+      clientId: config.clientId || `agent-${agent.id}-delegation`,
+      brokers: config.brokers || ['localhost:9092']
+    });
+    this.requestsTopic = config.requestsTopic || KafkaTopics.AGENT_REQUESTS.name;
+    this.repliesTopic = config.repliesTopic || KafkaTopics.AGENT_REPLIES.name;
+    this.registryTopic = config.registryTopic || KafkaTopics.SERVER_REGISTRY.name;
+
+    this.producer = this.kafka.producer();
+    this.consumer = this.kafka.consumer({ groupId: config.groupId || `agent-${agent.id}-delegation` });
+    this.pending = new Map();  // correlationId -> outbound request awaiting a reply
+    this.inbound = new Map();  // correlationId -> inbound request being worked on
+    this.unsubscribers = [];
+    this.running = false;
+  }
+
+  async start() {
+    if (this.running) return;
+
+    await this.producer.connect();
+    await this.consumer.connect();
+    await this.consumer.subscribe({ topic: this.requestsTopic, fromBeginning: false });
+    await this.consumer.subscribe({ topic: this.repliesTopic, fromBeginning: false });
+    await this.consumer.run({
+      eachMessage: async ({ topic, message }) => this.handleMessage(topic, message)
+    });
+
+    const reannounce = () => this.announce().catch(error => {
+      this.logger.error(`Failed to announce capabilities of agent ${this.agent.id}:`, error);
+    });
+    this.unsubscribers.push(
+      this.agent.on('taskCompleted', (task, result) => this.replyToInbound(task, { result })),
+      this.agent.on('taskFailed', (task, error) => this.replyToInbound(task, { error })),
+      this.agent.on('capabilityAdded', reannounce),
+      this.agent.on('capabilityRemoved', reannounce)
+    );
+
+    this.running = true;
+    await this.announce();
+  }
+
+  async stop() {
+    if (!this.running) return;
+
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    for (const [correlationId, request] of this.pending) {
+      clearTimeout(request.timer);
+      request.reject(new DelegationError('Delegation aborted: agent shutting down', 'DELEGATION_ABORTED'));
+      this.pending.delete(correlationId);
+    }
+    this.running = false;
+
+    try {
+      await this.announce('unregister');
+    } catch (error) {
+      this.logger.error(`Failed to unregister agent ${this.agent.id}:`, error);
+    }
+    await this.consumer.disconnect();
+    await this.producer.disconnect();
+  }
+
+  /**
+   * Publish this agent to the server registry, with its current
+   * capabilities, so peers can discover it; 'unregister' withdraws it.
+   */
+  async announce(action = 'register') {
+    const announcement = { serverId: this.agent.id, action };
+    if (action === 'register') {
+      announcement.server = {
+        id: this.agent.id,
+        name: this.agent.name,
+        capabilities: this.agent.getCapabilities()
+      };
+    }
+    await this.producer.send({
+      topic: this.registryTopic,
+      messages: [{ key: this.agent.id, value: JSON.stringify(announcement) }]
+    });
+  }
+
+  /**
+   * Ask a peer with `capability` to handle `payload` and resolve with its
+   * result. Peers come from ServerRegistry.discoverServers(); on timeout or
+   * a retryable failure the next peer is tried, up to maxAttempts.
+   * `options.task` is the task being handled when delegating from inside
+   * handleTask(), so the delegation chain is carried along for loop detection.
+   */
+  async delegate(capability, payload, options = {}) {
+    const parentChain = (options.task && options.task.delegation && options.task.delegation.chain) || [];
+    const chain = [...parentChain, this.agent.id];
+    if (chain.length > this.config.maxDepth) {
+      throw new DelegationError(
+        `Delegation chain exceeds max depth of ${this.config.maxDepth}`,
+        'DELEGATION_LOOP',
+        { chain }
+      );
+    }
+
+    const servers = await this.serverRegistry.discoverServers([capability]);
+    const peers = servers.filter(server => !chain.includes(server.serverId));
+    if (peers.length === 0) {
+      throw new DelegationError(`No peer available for capability ${JSON.stringify(capability)}`, 'NO_PEER_AVAILABLE');
+    }
+
+    const timeout = options.timeout || this.config.timeout;
+    const attempts = [];
+    for (const peer of peers.slice(0, options.maxAttempts || this.config.maxAttempts)) {
+      try {
+        return await this.sendRequest(peer.serverId, capability, payload, { chain, timeout });
+      } catch (error) {
+        attempts.push({ peer: peer.serverId, error: error.message });
+        if (!error.retryable) throw error;
+        this.logger.warn(`Delegation to ${peer.serverId} failed, trying next peer:`, error.message);
+      }
+    }
+
+    throw new DelegationError(
+      `Delegation of ${JSON.stringify(capability)} failed on all peers`,
+      'DELEGATION_FAILED',
+      { attempts }
+    );
+  }
+
+  sendRequest(peerId, capability, payload, { chain, timeout }) {
+    const correlationId = crypto.randomUUID();
+
+    const reply = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(correlationId);
+        const error = new DelegationError(
+          `Delegation to ${peerId} timed out after ${timeout}ms`,
+          'DELEGATION_TIMEOUT'
+        );
+        error.retryable = true;
+        reject(error);
+      }, timeout);
+      this.pending.set(correlationId, { resolve, reject, timer, peerId });
+    });
+
+    const request = {
+      version: PROTOCOL_VERSION,
+      correlationId,
+      from: this.agent.id,
+      to: peerId,
+      capability,
+      payload,
+      chain,
+      timeout
+    };
+
+    const sent = this.producer.send({
+      topic: this.requestsTopic,
+      messages: [{ key: peerId, value: JSON.stringify(request) }]
+    })
+      .catch(error => {
+        const pending = this.pending.get(correlationId);
+        if (pending) {
+          clearTimeout(pending.timer);
+          this.pending.delete(correlationId);
+        }
+        error.retryable = true;
+        throw error;
+      });
+
+    // Both are handled from the start, so a timeout that fires while the
+    // send is still in flight rejects the delegation instead of escaping
+    return Promise.all([sent, reply]).then(([, result]) => result);
+  }
+
+  async handleMessage(topic, message) {
+    let envelope;
+    try {
+      envelope = JSON.parse(message.value.toString());
+    } catch (error) {
+      this.logger.warn('Discarding malformed delegation message:', error.message);
+      return;
+    }
+    if (envelope.to !== this.agent.id) return;
+
+    if (topic === this.repliesTopic) {
+      this.handleReply(envelope);
+    } else {
+      await this.handleRequest(envelope);
+    }
+  }
+
+  handleReply(reply) {
+    const pending = this.pending.get(reply.correlationId);
+    if (!pending) return; // late reply after timeout
+
+    clearTimeout(pending.timer);
+    this.pending.delete(reply.correlationId);
+
+    if (reply.error) {
+      const error = new DelegationError(reply.error.message, reply.error.code || 'DELEGATION_FAILED', {
+        peer: pending.peerId
+      });
+      error.retryable = Boolean(reply.error.retryable);
+      pending.reject(error);
+    } else {
+      pending.resolve(reply.result);
+    }
+  }
+
+  // Inbound requests run through the agent's own task loop
+  async handleRequest(request) {
+    const { correlationId, from, capability, chain = [] } = request;
+
+    const reject = (message, code, retryable) => this.sendReply(from, correlationId, {
+      error: { message, code, retryable }
+    });
+
+    if (request.version !== PROTOCOL_VERSION) {
+      return reject(`Unsupported delegation protocol version: ${request.version}`, 'DELEGATION_FAILED', false);
+    }
+    if (chain.includes(this.agent.id)) {
+      return reject(`Delegation loop detected: ${chain.join(' -> ')}`, 'DELEGATION_LOOP', true);
+    }
+    if (!this.agent.hasCapability(capability)) {
+      return reject(`Agent ${this.agent.id} lacks capability ${JSON.stringify(capability)}`, 'NO_PEER_AVAILABLE', true);
+    }
+
+    try {
+      this.inbound.set(correlationId, { from });
+      this.agent.enqueueTask({
+        id: correlationId,
+        type: typeof capability === 'string' ? capability.split('@')[0] : capability.name,
+        payload: request.payload,
+        timeout: request.timeout,
+        delegation: { from, chain }
+      });
+    } catch (error) {
+      this.inbound.delete(correlationId);
+      return reject(error.message, 'DELEGATION_FAILED', true);
+    }
+  }
+
+  async replyToInbound(task, { result, error }) {
+    const inbound = this.inbound.get(task.id);
+    if (!inbound) return;
+    this.inbound.delete(task.id);
+
+    await this.sendReply(inbound.from, task.id, error
+      ? { error: { message: error.message, code: error.code || 'DELEGATION_FAILED', retryable: false } }
+      : { result });
+  }
+
+  async sendReply(to, correlationId, body) {
+    await this.producer.send({
+      topic: this.repliesTopic,
+      messages: [{
+        key: to,
+        value: JSON.stringify({
+          version: PROTOCOL_VERSION,
+          correlationId,
+          from: this.agent.id,
+          to,
+          ...body
+        })
+      }]
+    });
+  }
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  AgentDelegation
+};
@@ -0,0 +1,123 @@
+/**
+ * Agent Event Bus with wildcard subscriptions and handler isolation
+ */
+class AgentEventBus {
+  constructor(config = {}) {
+    this.subscriptions = [];
+    this.onError = config.onError || ((error, eventName) => {
+      (config.logger || console).error(`Event handler for ${eventName} failed:`, error);
+    });
+  }
+
+  /**
+   * Subscribe to an event name or pattern. In patterns `*` matches any run
+   * of characters except '.', so 'task.*' matches 'task.completed'; a lone
+   * '*' matches every event. camelCase events also match under their dotted
+   * alias: 'taskQueued' is delivered to 'task.queued' and 'task.*' as well
+   * as to 'taskQueued' and 'task*', once per handler.
+   * Returns a function that removes the subscription.
+   */
+  on(pattern, handler, options = {}) {
+    const subscription = {
+      pattern,
+      handler,
+      matcher: compilePattern(pattern),
+      once: Boolean(options.once)
+    };
+    this.subscriptions.push(subscription);
+    return () => this._remove(subscription);
+  }
+
+  once(pattern, handler) {
+    return this.on(pattern, handler, { once: true });
+  }
+
+  // Removes `handler` from `pattern`, or every handler on `pattern` when omitted
+  off(pattern, handler) {
+    const before = this.subscriptions.length;
+    this.subscriptions = this.subscriptions.filter(subscription =>
+      subscription.pattern !== pattern || (handler && subscription.handler !== handler)
+    );
+    return before - this.subscriptions.length;
+  }
+
+  /**
+   * Invoke matching handlers synchronously. A throwing or rejecting
+   * handler is reported to onError without affecting the others.
+   */
+  emit(eventName, ...args) {
+    const subscriptions = this._take(eventName);
+    subscriptions.forEach(({ handler }) => {
+      try {
+        const result = handler(...args);
+        if (result && typeof result.then === 'function') {
+          result.catch(error => this.onError(error, eventName));
+        }
+      } catch (error) {
+        this.onError(error, eventName);
+      }
+    });
+    return subscriptions.length > 0;
+  }
+
+  // Like emit(), but waits for every handler to settle
+  async emitAsync(eventName, ...args) {
+    const subscriptions = this._take(eventName);
+    const outcomes = await Promise.allSettled(
+      subscriptions.map(({ handler }) => Promise.resolve().then(() => handler(...args)))
+    );
+
+    return outcomes.map(outcome => {
+      if (outcome.status === 'rejected') {
+        this.onError(outcome.reason, eventName);
+        return undefined;
+      }
+      return outcome.value;
+    });
+  }
+
+  listenerCount(eventName) {
+    return this.subscriptions.filter(subscription => matches(subscription, eventName)).length;
+  }
+
+  clear() {
+    this.subscriptions = [];
+  }
+
+  // Matching subscriptions for an emit; once-handlers are removed up front
+  _take(eventName) {
+    const matching = this.subscriptions.filter(subscription => matches(subscription, eventName));
+    matching.filter(subscription => subscription.once).forEach(subscription => this._remove(subscription));
+    return matching;
+  }
+
+  _remove(subscription) {
+    const index = this.subscriptions.indexOf(subscription);
+    if (index !== -1) {
+      this.subscriptions.splice(index, 1);
+    }
+  }
+}
+
+// 'taskQueued' -> 'task.queued'; dotted and lowercase names are unchanged
+function dottedAlias(eventName) {
+  return eventName.replace(/([a-z0-9])([A-Z])/g, (match, before, upper) => `${before}.${upper.toLowerCase()}`);
+}
+
+function matches(subscription, eventName) {
+  return subscription.matcher(eventName) || subscription.matcher(dottedAlias(eventName));
+}
+
+function compilePattern(pattern) {
+  if (pattern === '*') return () => true;
+  if (!pattern.includes('*')) return eventName => eventName === pattern;
+
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^.]*');
+  const regex = new RegExp(`^${source}$`);
+  return eventName => regex.test(eventName);
+}
+
+module.exports = { AgentEventBus };
@@ -0,0 +1,163 @@
+/**
+ * Kafka bridge for agent lifecycle events and remote commands
+ */
+const { Kafka } = require('kafkajs');
+const KafkaTopics = require('./KafkaTopics');
+
+const ENVELOPE_VERSION = 1;
+
+// Agent event -> payload builder for the agent.events envelope
+const BRIDGED_EVENTS = {
+  stateChanged: ({ oldState, newState, accepted, reason }) => (accepted
+    ? { oldState, newState }
+    : { oldState, newState, accepted, reason }),
+  taskQueued: task => ({ task }),
+  taskStarted: task => ({ task }),
+  taskCompleted: (task, result) => ({ task, result }),
+  taskFailed: (task, error) => ({ task, error: serializeError(error) }),
+  taskCancelled: task => ({ task }),
+  capabilityAdded: descriptor => ({ capability: descriptor }),
+  capabilityRemoved: descriptor => ({ capability: descriptor }),
+  configUpdated: (config, changes) => ({ changes }),
+  paused: () => ({}),
+  resumed: () => ({})
+};
+
+// Command type -> agent method invocation
+const AGENT_COMMANDS = {
+  pause: agent => agent.pause(),
+  resume: agent => agent.resume(),
+  updateConfig: (agent, args) => agent.updateConfig(args.config || {}),
+  cancelTask: (agent, args) => agent.cancelTask(args.taskId, args.reason),
+  // Not awaited: shutdown stops this bridge, which waits for the consumer's
+  // in-flight message handler to return
+  shutdown: agent => {
+    agent.shutdown().catch(error => agent.handleError(error));
+  }
+};
+
+class AgentKafkaBridge {
+  constructor(agent, config = {}) {
+    this.agent = agent;
+    this.logger = config.logger || agent.logger || console;
+    this.kafka = config.kafka || new Kafka({
+      clientId: config.clientId || `agent-${agent.id}`,
+      brokers: config.brokers || ['localhost:9092']
+    });
+    this.eventsTopic = config.eventsTopic || KafkaTopics.AGENT_EVENTS.name;
+    this.commandsTopic = config.commandsTopic || KafkaTopics.AGENT_COMMANDS.name;
+    this.events = config.events || Object.keys(BRIDGED_EVENTS);
+
+    this.producer = this.kafka.producer();
+    // Every agent must see every command, so each gets its own group
+    this.consumer = this.kafka.consumer({ groupId: config.groupId || `agent-${agent.id}` });
+    this.unsubscribers = [];
+    this.running = false;
+  }
+
+  async start() {
+    if (this.running) return;
+
+    await this.producer.connect();
+    await this.consumer.connect();
+    await this.consumer.subscribe({ topic: this.commandsTopic, fromBeginning: false });
+    await this.consumer.run({
+      eachMessage: async ({ message }) => this.handleCommand(message)
+    });
+
+    this.events.forEach(type => {
+      const toPayload = BRIDGED_EVENTS[type] || ((...args) => ({ args }));
+      this.unsubscribers.push(
+        this.agent.on(type, (...args) => this.publish(type, toPayload(...args)))
+      );
+    });
+
+    this.running = true;
+    this.logger.info(`Kafka bridge started for agent ${this.agent.id}`);
+  }
+
+  async stop() {
+    if (!this.running) return;
+
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.running = false;
+
+    await this.consumer.disconnect();
+    await this.producer.disconnect();
+    this.logger.info(`Kafka bridge stopped for agent ${this.agent.id}`);
+  }
+
+  createEnvelope(type, payload) {
+    return {
+      version: ENVELOPE_VERSION,
+      agentId: this.agent.id,
+      type,
+      timestamp: Date.now(),
+      payload
+    };
+  }
+
+  async publish(type, payload) {
+    await this.producer.send({
+      topic: this.eventsTopic,
+      messages: [{
+        key: this.agent.id,
+        value: JSON.stringify(this.createEnvelope(type, payload))
+      }]
+    });
+  }
+
+  /**
+   * Commands use the same envelope: { version, agentId, type, payload }
+   * where agentId may be '*' to address every agent. The outcome is
+   * published back as a `commandResult` event.
+   */
+  async handleCommand(message) {
+    let command;
+    try {
+      command = JSON.parse(message.value.toString());
+    } catch (error) {
+      this.logger.warn('Discarding malformed agent command:', error.message);
+      return;
+    }
+
+    if (command.agentId !== this.agent.id && command.agentId !== '*') return;
+
+    const result = { commandId: command.id || null, command: command.type };
+    try {
+      if (command.version !== ENVELOPE_VERSION) {
+        throw new Error(`Unsupported command envelope version: ${command.version}`);
+      }
+      const execute = AGENT_COMMANDS[command.type];
+      if (!execute) {
+        throw new Error(`Unknown agent command: ${command.type}`);
+      }
+
+      await execute(this.agent, command.payload || {});
+      result.success = true;
+    } catch (error) {
+      this.logger.error(`Agent command ${command.type} failed:`, error);
+      result.success = false;
+      result.error = serializeError(error);
+    }
+
+    await this.publish('commandResult', result);
+  }
+}
+
+function serializeError(error) {
+  if (!error) return null;
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code
+  };
+}
+
+module.exports = {
+  ENVELOPE_VERSION,
+  BRIDGED_EVENTS,
+  AGENT_COMMANDS,
+  AgentKafkaBridge
+};
@@ -0,0 +1,87 @@
+/**
+ * Agent State Persistence Adapters
+ */
+class PersistenceAdapter {
+  async save(agentId, snapshot) {
+    throw new Error('save() must be implemented by subclass');
+  }
+
+  async load(agentId) {
+    throw new Error('load() must be implemented by subclass');
+  }
+
+  async remove(agentId) {
+    throw new Error('remove() must be implemented by subclass');
+  }
+}
+
+class InMemoryPersistence extends PersistenceAdapter {
+  constructor() {
+    super();
+    this.snapshots = new Map();
+  }
+
+  async save(agentId, snapshot) {
+    // Serialize so callers can't mutate stored snapshots by reference
+    this.snapshots.set(agentId, JSON.stringify(snapshot));
+    return true;
+  }
+
+  async load(agentId) {
+    const data = this.snapshots.get(agentId);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async remove(agentId) {
+    return this.snapshots.delete(agentId);
+  }
+}
+
+class RedisPersistence extends PersistenceAdapter {
+  constructor(redisPool, config = {}) {
+    super();
+    this.redisPool = redisPool;
+    this.keyPrefix = config.keyPrefix || 'agent:state:';
+    this.ttl = config.ttl || null; // seconds
+  }
+
+  async save(agentId, snapshot) {
+    const redisClient = await this.redisPool.getConnection();
+    try {
+      const options = this.ttl ? { EX: this.ttl } : {};
+      await redisClient.set(this._key(agentId), JSON.stringify(snapshot), options);
+      return true;
+    } finally {
+      this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
+  async load(agentId) {
+    const redisClient = await this.redisPool.getConnection();
+    try {
+      const data = await redisClient.get(this._key(agentId));
+      return data ? JSON.parse(data) : null;
+    } finally {
+      this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
+  async remove(agentId) {
+    const redisClient = await this.redisPool.getConnection();
+    try {
+      return (await redisClient.del(this._key(agentId))) > 0;
+    } finally {
+      this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
+  _key(agentId) {
+    return `${this.keyPrefix}${agentId}`;
+  }
+}
+
+module.exports = {
+  PersistenceAdapter,
+  InMemoryPersistence,
+  RedisPersistence
+};
@@ -0,0 +1,275 @@
+/**
+ * Hierarchical Agent Lifecycle State Machine
+ */
+const { InvalidStateTransitionError } = require('./errors');
+
+const AGENT_STATES = {
+  INITIALIZING: 'initializing',
+  READY: 'ready',
+  BUSY: 'busy',
+  DRAINING: 'draining',
+  TERMINATED: 'terminated',
+  ERROR: 'error',
+  RECOVERING: 'recovering'
+};
+
+// Default lifecycle: state -> states it may move to
+const LIFECYCLE_TRANSITIONS = {
+  [AGENT_STATES.INITIALIZING]: [AGENT_STATES.READY, AGENT_STATES.ERROR, AGENT_STATES.TERMINATED],
+  [AGENT_STATES.READY]: [AGENT_STATES.BUSY, AGENT_STATES.DRAINING, AGENT_STATES.ERROR],
+  [AGENT_STATES.BUSY]: [AGENT_STATES.READY, AGENT_STATES.DRAINING, AGENT_STATES.ERROR],
+  [AGENT_STATES.DRAINING]: [AGENT_STATES.TERMINATED, AGENT_STATES.ERROR],
+  [AGENT_STATES.ERROR]: [AGENT_STATES.RECOVERING, AGENT_STATES.DRAINING, AGENT_STATES.TERMINATED],
+  [AGENT_STATES.RECOVERING]: [AGENT_STATES.READY, AGENT_STATES.ERROR],
+  [AGENT_STATES.TERMINATED]: []
+};
+
+class AgentStateMachine {
+  constructor(config = {}) {
+    this.states = new Map();
+    this.guards = new Map();
+    this.enterHooks = new Map();
+    this.exitHooks = new Map();
+    this.transitionHooks = [];
+    this.history = [];
+    this.pending = Promise.resolve(); // tail of the transition queue
+    this.historyLimit = config.historyLimit || 100;
+    this.logger = config.logger || console;
+
+    const transitions = config.transitions || LIFECYCLE_TRANSITIONS;
+    Object.entries(transitions).forEach(([state, targets]) => {
+      this.defineState(state, { transitions: targets });
+    });
+
+    this.current = config.initial || AGENT_STATES.INITIALIZING;
+    if (!this.states.has(this.current)) {
+      throw new Error(`Unknown initial state: ${this.current}`);
+    }
+  }
+
+  // State definition
+  defineState(name, options = {}) {
+    const { parent = null, transitions = [] } = options;
+    if (parent && !this.states.has(parent)) {
+      throw new Error(`Parent state '${parent}' must be defined before '${name}'`);
+    }
+
+    const existing = this.states.get(name);
+    this.states.set(name, {
+      name,
+      parent: existing ? existing.parent : parent,
+      transitions: new Set([...(existing ? existing.transitions : []), ...transitions])
+    });
+
+    if (options.onEnter) this.onEnter(name, options.onEnter);
+    if (options.onExit) this.onExit(name, options.onExit);
+    return this;
+  }
+
+  addTransition(from, to, options = {}) {
+    this._assertState(from);
+    this._assertState(to);
+    this.states.get(from).transitions.add(to);
+    if (options.guard) this.addGuard(from, to, options.guard);
+    return this;
+  }
+
+  // Guards and hooks
+  addGuard(from, to, guard) {
+    const key = `${from}->${to}`;
+    if (!this.guards.has(key)) {
+      this.guards.set(key, []);
+    }
+    this.guards.get(key).push(guard);
+    return this;
+  }
+
+  onEnter(state, hook) {
+    this._assertState(state);
+    if (!this.enterHooks.has(state)) {
+      this.enterHooks.set(state, []);
+    }
+    this.enterHooks.get(state).push(hook);
+    return this;
+  }
+
+  onExit(state, hook) {
+    this._assertState(state);
+    if (!this.exitHooks.has(state)) {
+      this.exitHooks.set(state, []);
+    }
+    this.exitHooks.get(state).push(hook);
+    return this;
+  }
+
+  onTransition(hook) {
+    this.transitionHooks.push(hook);
+    return this;
+  }
+
+  // State queries
+  getState() {
+    return this.current;
+  }
+
+  /**
+   * True when the current state is `state` or one of its sub-states.
+   */
+  isIn(state) {
+    return this._ancestry(this.current).includes(state);
+  }
+
+  isAllowed(to, from = this.current) {
+    if (!this.states.has(to)) return false;
+    if (to === from) return false;
+
+    // Entering a sub-state of the current state, or leaving back to a parent
+    const fromChain = this._ancestry(from);
+    const toChain = this._ancestry(to);
+    if (toChain.includes(from) || fromChain.includes(to)) return true;
+
+    // Transitions declared on any ancestor apply to its sub-states, and a
+    // declared target also admits its sub-states
+    return fromChain.some(state =>
+      [...this.states.get(state).transitions].some(target => toChain.includes(target))
+    );
+  }
+
+  async canTransition(to, context = {}) {
+    if (!this.isAllowed(to)) return false;
+    return (await this._checkGuards(this.current, to, context)) === null;
+  }
+
+  /**
+   * Move to `to`, running guards, exit/enter hooks and transition hooks.
+   * Throws InvalidStateTransitionError when the transition is not declared
+   * or a guard rejects it.
+   *
+   * Transitions run one at a time in call order, each starting from the
+   * state the previous one left, so guards and hooks must not wait on
+   * another transition. `options.when(state)` is checked once it is this
+   * transition's turn; if it returns false the call resolves null and the
+   * state is left alone.
+   */
+  transition(to, context = {}, options = {}) {
+    const result = this.pending.then(() => this._transition(to, context, options));
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  async _transition(to, context, { when } = {}) {
+    const from = this.current;
+    if (when && !when(from)) return null;
+
+    let reason = null;
+    if (!this.states.has(to)) {
+      reason = 'unknown state';
+    } else if (!this.isAllowed(to, from)) {
+      reason = 'transition not allowed';
+    } else {
+      reason = await this._checkGuards(from, to, context);
+    }
+
+    if (reason) {
+      this._record({ from, to, accepted: false, reason, context });
+      throw new InvalidStateTransitionError(from, to, reason);
+    }
+
+    await this._runHooks(this.exitHooks, this._exitedStates(from, to), { from, to, context });
+    this.current = to;
+    this._record({ from, to, accepted: true, context });
+    await this._runHooks(this.enterHooks, this._exitedStates(to, from).reverse(), { from, to, context });
+
+    for (const hook of this.transitionHooks) {
+      await hook({ from, to, context });
+    }
+
+    return { from, to };
+  }
+
+  // History
+  getHistory(filter = {}) {
+    let entries = this.history;
+    if (filter.state) {
+      entries = entries.filter(entry => entry.from === filter.state || entry.to === filter.state);
+    }
+    if (filter.since) {
+      entries = entries.filter(entry => entry.timestamp >= filter.since);
+    }
+    if (filter.accepted !== undefined) {
+      entries = entries.filter(entry => entry.accepted === filter.accepted);
+    }
+    if (filter.limit) {
+      entries = entries.slice(-filter.limit);
+    }
+    return entries.map(entry => ({ ...entry }));
+  }
+
+  // Internal helpers
+  _assertState(state) {
+    if (!this.states.has(state)) {
+      throw new Error(`Unknown state: ${state}`);
+    }
+  }
+
+  _ancestry(state) {
+    const chain = [];
+    let node = this.states.get(state);
+    while (node) {
+      chain.push(node.name);
+      node = node.parent ? this.states.get(node.parent) : null;
+    }
+    return chain;
+  }
+
+  // States left when moving from `from` to `to`, innermost first
+  _exitedStates(from, to) {
+    const toChain = this._ancestry(to);
+    return this._ancestry(from).filter(state => !toChain.includes(state));
+  }
+
+  async _checkGuards(from, to, context) {
+    const targets = this._ancestry(to);
+    for (const state of this._ancestry(from)) {
+      const guards = targets.flatMap(target => this.guards.get(`${state}->${target}`) || []);
+      for (const guard of guards) {
+        try {
+          const result = await guard({ from, to, context });
+          if (result === false) return 'rejected by guard';
+          if (typeof result === 'string') return result;
+        } catch (error) {
+          return `guard failed: ${error.message}`;
+        }
+      }
+    }
+    return null;
+  }
+
+  async _runHooks(hooks, states, payload) {
+    for (const state of states) {
+      for (const hook of hooks.get(state) || []) {
+        await hook(payload);
+      }
+    }
+  }
+
+  _record({ from, to, accepted, reason, context }) {
+    this.history.push({
+      from,
+      to,
+      accepted,
+      reason: reason || null,
+      context,
+      timestamp: Date.now()
+    });
+    if (this.history.length > this.historyLimit) {
+      this.history.splice(0, this.history.length - this.historyLimit);
+    }
+  }
+}
+
+module.exports = {
+  AGENT_STATES,
+  LIFECYCLE_TRANSITIONS,
+  AgentStateMachine
+};
@@ -0,0 +1,129 @@
+/**
+ * Versioned Capability Descriptors
+ */
+const semver = require('semver');
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validatorCache = new WeakMap();
+
+class CapabilityDescriptor {
+  constructor(config = {}) {
+    if (!config.name) {
+      throw new Error('Capability name is required');
+    }
+    const version = semver.valid(semver.coerce(config.version || '1.0.0'));
+    if (!version) {
+      throw new Error(`Invalid version for capability ${config.name}: ${config.version}`);
+    }
+
+    this.name = config.name;
+    this.version = version;
+    this.description = config.description || '';
+    this.inputSchema = config.inputSchema || null;
+    this.outputSchema = config.outputSchema || null;
+    this.cost = {
+      units: 0,
+      latencyMs: 0,
+      ...config.cost
+    };
+  }
+
+  /**
+   * Accepts an existing descriptor, a plain object, or a string of the
+   * form 'name' or 'name@1.2.0'.
+   */
+  static from(value) {
+    if (value instanceof CapabilityDescriptor) return value;
+    if (typeof value === 'string') {
+      const [name, version] = value.split('@');
+      return new CapabilityDescriptor({ name, version });
+    }
+    return new CapabilityDescriptor(value);
+  }
+
+  /**
+   * Checks this descriptor against a requirement: 'name', 'name@^1.2'
+   * or { name, range, input }, where `input` is a sample payload that
+   * must satisfy the capability's input schema.
+   */
+  satisfies(requirement) {
+    const { name, range, input } = parseRequirement(requirement);
+    if (name !== this.name) return false;
+    if (range && !semver.satisfies(this.version, range)) return false;
+    if (input !== undefined && !this.validateInput(input).valid) return false;
+    return true;
+  }
+
+  validateInput(payload) {
+    return validateAgainst(this.inputSchema, payload);
+  }
+
+  validateOutput(payload) {
+    return validateAgainst(this.outputSchema, payload);
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      version: this.version,
+      description: this.description,
+      inputSchema: this.inputSchema,
+      outputSchema: this.outputSchema,
+      cost: { ...this.cost }
+    };
+  }
+}
+
+function parseRequirement(requirement) {
+  if (typeof requirement === 'string') {
+    const [name, range] = requirement.split('@');
+    return { name, range: range || null };
+  }
+  return {
+    name: requirement.name,
+    range: requirement.range || requirement.version || null,
+    input: requirement.input
+  };
+}
+
+function validateAgainst(schema, payload) {
+  if (!schema) return { valid: true, errors: [] };
+
+  let validate = validatorCache.get(schema);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    validatorCache.set(schema, validate);
+  }
+
+  const valid = validate(payload);
+  return {
+    valid,
+    errors: valid ? [] : validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`)
+  };
+}
+
+/**
+ * Returns the descriptors that fulfil each requirement, or null when any
+ * requirement is unmet. When several versions match, the highest wins.
+ */
+function matchCapabilities(descriptors, requirements = []) {
+  const candidates = descriptors.map(CapabilityDescriptor.from);
+  const matched = [];
+
+  for (const requirement of requirements) {
+    const best = candidates
+      .filter(descriptor => descriptor.satisfies(requirement))
+      .sort((a, b) => semver.rcompare(a.version, b.version))[0];
+    if (!best) return null;
+    matched.push(best);
+  }
+
+  return matched;
+}
+
+module.exports = {
+  CapabilityDescriptor,
+  parseRequirement,
+  matchCapabilities
+};
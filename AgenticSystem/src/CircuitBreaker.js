@@ -0,0 +1,64 @@
+/**
+ * Circuit breaker guarding retries for one task type
+ */
+const CIRCUIT_STATES = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+};
+
+class CircuitBreaker {
+  /**
+   * Options:
+   *   failureThreshold - consecutive failures that open the circuit
+   *   resetTimeout     - ms the circuit stays open before a trial (half-open)
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  // Whether a retry may be attempted now
+  allowRequest(now = Date.now()) {
+    if (this.state === CIRCUIT_STATES.OPEN && now - this.openedAt >= this.resetTimeout) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+    }
+    return this.state !== CIRCUIT_STATES.OPEN;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.openedAt = null;
+  }
+
+  /**
+   * Returns true when this failure opened the circuit
+   */
+  recordFailure(now = Date.now()) {
+    this.failures++;
+    const trip = this.state === CIRCUIT_STATES.HALF_OPEN ||
+      (this.state === CIRCUIT_STATES.CLOSED && this.failures >= this.failureThreshold);
+    if (trip) {
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = now;
+    }
+    return trip;
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt
+    };
+  }
+}
+
+module.exports = {
+  CIRCUIT_STATES,
+  CircuitBreaker
+};
@@ -0,0 +1,119 @@
+/**
+ * Five-field cron expressions (minute hour day-of-month month day-of-week),
+ * evaluated in UTC
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Give up looking for a match after this many years (e.g. "0 0 30 2 *")
+const SEARCH_LIMIT_YEARS = 5;
+
+function parseField(source, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field: ${source}`);
+    }
+
+    const step = match[4] ? Number(match[4]) : 1;
+    let start = min;
+    let end = max;
+    if (match[1] !== '*') {
+      start = Number(match[2]);
+      end = match[3] !== undefined ? Number(match[3]) : (match[4] ? max : start);
+    }
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Cron ${name} field out of range: ${source}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+class CronExpression {
+  constructor(expression) {
+    const source = MACROS[expression.trim()] || expression.trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`Cron expression must have ${FIELDS.length} fields: ${expression}`);
+    }
+
+    this.expression = expression;
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+    this.minute = minute;
+    this.hour = hour;
+    this.dayOfMonth = dayOfMonth;
+    this.month = month;
+    this.dayOfWeek = dayOfWeek;
+    // Standard cron: when both day fields are restricted, either may match
+    this.dayOfMonthRestricted = parts[2] !== '*';
+    this.dayOfWeekRestricted = parts[4] !== '*';
+  }
+
+  static parse(expression) {
+    return new CronExpression(expression);
+  }
+
+  matchesDay(date) {
+    const dom = this.dayOfMonth.has(date.getUTCDate());
+    const dow = this.dayOfWeek.has(date.getUTCDay());
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) return dom || dow;
+    if (this.dayOfMonthRestricted) return dom;
+    if (this.dayOfWeekRestricted) return dow;
+    return true;
+  }
+
+  /**
+   * First matching time strictly after `after` (ms timestamp or Date), or
+   * null when the expression never matches
+   */
+  next(after = Date.now()) {
+    const date = new Date(after);
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    const limit = date.getUTCFullYear() + SEARCH_LIMIT_YEARS;
+
+    while (date.getUTCFullYear() <= limit) {
+      if (!this.month.has(date.getUTCMonth() + 1)) {
+        date.setUTCMonth(date.getUTCMonth() + 1, 1);
+        date.setUTCHours(0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCHours(0, 0);
+      } else if (!this.hour.has(date.getUTCHours())) {
+        date.setUTCHours(date.getUTCHours() + 1, 0);
+      } else if (!this.minute.has(date.getUTCMinutes())) {
+        date.setUTCMinutes(date.getUTCMinutes() + 1);
+      } else {
+        return date.getTime();
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = CronExpression;
@@ -0,0 +1,143 @@
+/**
+ * Dead-Letter Queue for tasks that exhausted their retries
+ */
+const KafkaTopics = require('./KafkaTopics');
+
+class DeadLetterQueue {
+  constructor(config = {}) {
+    this.producer = config.producer;
+    this.redisPool = config.redisPool;
+    this.logger = config.logger || console;
+    this.topic = config.topic || KafkaTopics.TASK_DLQ.name;
+    this.requestsTopic = config.requestsTopic || KafkaTopics.TASK_REQUESTS.name;
+    this.keyPrefix = config.keyPrefix || 'dlq:';
+  }
+
+  /**
+   * Index an exhausted task in Redis, then publish it to the DLQ topic.
+   * The Redis entry is what list/replay read, so it is written first; a
+   * failed publish still rejects so the caller can retry. Entries are
+   * keyed by task id, so adding a task again keeps only its latest entry.
+   */
+  async add(task, error, options = {}) {
+    const entry = {
+      id: task.id,
+      type: task.type || null,
+      reason: options.reason || error.code || 'RETRIES_EXHAUSTED',
+      task,
+      attempts: task.attemptHistory || [],
+      lastError: {
+        name: error.name,
+        message: error.message,
+        code: error.code || null
+      },
+      deadLetteredAt: Date.now()
+    };
+
+    await this._withClient(async redisClient => {
+      await redisClient.set(this._entryKey(entry.id), JSON.stringify(entry));
+      await redisClient.zAdd(this._indexKey(), { score: entry.deadLetteredAt, value: entry.id });
+    });
+
+    await this.producer.send({
+      topic: this.topic,
+      messages: [{ key: entry.id, value: JSON.stringify(entry) }]
+    });
+
+    return entry;
+  }
+
+  async get(id) {
+    return this._withClient(async redisClient => {
+      const data = await redisClient.get(this._entryKey(id));
+      return data ? JSON.parse(data) : null;
+    });
+  }
+
+  /**
+   * List entries oldest first. Filter fields: ids, types, reasons,
+   * since, until (ms timestamps) and limit.
+   */
+  async list(filter = {}) {
+    const entries = await this._withClient(async redisClient => {
+      const ids = filter.ids && filter.ids.length > 0
+        ? filter.ids
+        : await redisClient.zRangeByScore(
+          this._indexKey(),
+          filter.since || '-inf',
+          filter.until || '+inf'
+        );
+      if (ids.length === 0) return [];
+
+      const values = await redisClient.mGet(ids.map(id => this._entryKey(id)));
+      return values.filter(Boolean).map(value => JSON.parse(value));
+    });
+
+    const matching = entries.filter(entry =>
+      (!filter.types || filter.types.length === 0 || filter.types.includes(entry.type)) &&
+      (!filter.reasons || filter.reasons.length === 0 || filter.reasons.includes(entry.reason)) &&
+      (!filter.since || entry.deadLetteredAt >= filter.since) &&
+      (!filter.until || entry.deadLetteredAt <= filter.until)
+    );
+
+    return filter.limit > 0 ? matching.slice(0, filter.limit) : matching;
+  }
+
+  async purge(filter = {}) {
+    const entries = await this.list(filter);
+    await this._withClient(async redisClient => {
+      for (const entry of entries) {
+        await redisClient.del(this._entryKey(entry.id));
+        await redisClient.zRem(this._indexKey(), entry.id);
+      }
+    });
+    return entries.map(entry => entry.id);
+  }
+
+  /**
+   * Re-submit matching entries to the task requests topic with a fresh
+   * attempt count, removing each entry once it has been republished.
+   */
+  async replay(filter = {}) {
+    const entries = await this.list(filter);
+    const replayed = [];
+
+    for (const entry of entries) {
+      const { attempts, lastError, attemptHistory, ...task } = entry.task;
+      try {
+        await this.producer.send({
+          topic: this.requestsTopic,
+          messages: [{
+            key: task.id,
+            value: JSON.stringify({ ...task, replayedAt: Date.now(), replayedFrom: 'dlq' })
+          }]
+        });
+        await this.purge({ ids: [entry.id] });
+        replayed.push(entry.id);
+      } catch (error) {
+        this.logger.error(`Failed to replay dead-lettered task ${entry.id}:`, error);
+      }
+    }
+
+    return replayed;
+  }
+
+  async _withClient(fn) {
+    const redisClient = await this.redisPool.getConnection();
+    try {
+      return await fn(redisClient);
+    } finally {
+      this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
+  _entryKey(id) {
+    return `${this.keyPrefix}entry:${id}`;
+  }
+
+  _indexKey() {
+    return `${this.keyPrefix}index`;
+  }
+}
+
+module.exports = DeadLetterQueue;
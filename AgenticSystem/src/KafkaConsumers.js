@@ -1,7 +1,7 @@
 /**
  * Kafka Consumer Groups Configuration
  */
-const { KafkaTopics } = require('./KafkaTopics');
+const KafkaTopics = require('./KafkaTopics');
 
 module.exports = {
   // System consumers
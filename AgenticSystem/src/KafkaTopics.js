@@ -31,6 +31,35 @@ module.exports = {
     ]
   },
 
+  // Agent-to-agent delegation (request/response keyed by target agent)
+  AGENT_REQUESTS: {
+    name: 'agent.requests',
+    partitions: 6,
+    replication: 2,
+    config: [
+      { name: 'retention.ms', value: '3600000' } // 1 hour
+    ]
+  },
+
+  AGENT_REPLIES: {
+    name: 'agent.replies',
+    partitions: 6,
+    replication: 2,
+    config: [
+      { name: 'retention.ms', value: '3600000' } // 1 hour
+    ]
+  },
+
+  // Server and agent announcements, compacted to the latest per server id
+  SERVER_REGISTRY: {
+    name: 'server-registry',
+    partitions: 3,
+    replication: 2,
+    config: [
+      { name: 'cleanup.policy', value: 'compact' }
+    ]
+  },
+
   // Task management topics
   TASK_REQUESTS: {
     name: 'task.requests',
@@ -50,6 +79,15 @@ module.exports = {
     ]
   },
 
+  TASK_DLQ: {
+    name: 'task.dlq',
+    partitions: 12,
+    replication: 2,
+    config: [
+      { name: 'retention.ms', value: '1209600000' } // 14 days
+    ]
+  },
+
   // Monitoring topics
   METRICS: {
     name: 'system.metrics',
@@ -0,0 +1,103 @@
+/**
+ * Log Sink: ring-buffered structured log entries from every component
+ */
+const { EventEmitter } = require('events');
+const util = require('util');
+const RingBuffer = require('./RingBuffer');
+
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+class LogSink extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.buffer = new RingBuffer(config.capacity || 5000);
+    this.sequence = 0;
+
+    // One listener per following log stream
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Store an entry and emit it as 'entry'. `fields` carries structured
+   * context such as the name and code of a logged error.
+   */
+  write({ level = 'info', source = 'unknown', message = '', fields = {} }) {
+    const entry = {
+      sequence: ++this.sequence,
+      timestamp: Date.now(),
+      level: LOG_LEVELS[level] ? level : 'info',
+      source,
+      message,
+      fields
+    };
+    this.buffer.push(entry);
+    this.emit('entry', entry);
+    return entry;
+  }
+
+  /**
+   * Entries at or above `level` from `source` since a timestamp, oldest
+   * first; `limit` keeps the most recent ones.
+   */
+  query(filter = {}) {
+    const matches = this.matcher(filter);
+    const entries = this.buffer.toArray().filter(matches);
+    return filter.limit > 0 ? entries.slice(-filter.limit) : entries;
+  }
+
+  matcher({ level, source, since } = {}) {
+    const minLevel = level ? LOG_LEVELS[level] : 0;
+    if (minLevel === undefined) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    return entry => LOG_LEVELS[entry.level] >= minLevel &&
+      (!source || entry.source === source) &&
+      (!since || entry.timestamp >= since);
+  }
+
+  /**
+   * Console-compatible logger that records into the sink and still prints
+   * through `forward` (console by default).
+   */
+  createLogger(source, forward = console) {
+    const logAt = (level, method) => (...args) => {
+      // Errors are recorded by name and message; the stack stays on the console
+      const message = util.format(...args.map(arg => (arg instanceof Error ? `${arg.name}: ${arg.message}` : arg)));
+      this.write({ level, source, message, fields: errorFields(args) });
+      if (forward) {
+        forward[method](...args);
+      }
+    };
+
+    return {
+      debug: logAt('debug', 'debug'),
+      info: logAt('info', 'info'),
+      log: logAt('info', 'log'),
+      warn: logAt('warn', 'warn'),
+      error: logAt('error', 'error')
+    };
+  }
+
+  clear() {
+    this.buffer.clear();
+  }
+}
+
+function errorFields(args) {
+  const error = args.find(arg => arg instanceof Error);
+  if (!error) return {};
+  return {
+    errorName: error.name,
+    ...(error.code !== undefined && { errorCode: String(error.code) })
+  };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  LogSink
+};
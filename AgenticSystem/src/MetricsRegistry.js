@@ -0,0 +1,142 @@
+/**
+ * Metrics Registry: in-process metrics sampled into per-metric history
+ *
+ * Components either register a collector that reports current values
+ * when sampled, or push counters and observations (e.g. durations) as
+ * they happen. Every sample is kept in a ring buffer per metric and
+ * emitted as 'sample'. Observations wait for the next sample in a ring
+ * buffer too, so a registry nobody samples keeps only the latest
+ * `maxObservations` per metric.
+ */
+const { EventEmitter } = require('events');
+const RingBuffer = require('./RingBuffer');
+
+class MetricsRegistry extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.interval = config.interval || 5000;
+    this.historySize = config.historySize || 720; // an hour at the default interval
+    this.maxObservations = config.maxObservations || 10000;
+    this.logger = config.logger || console;
+
+    this.collectors = new Map();   // name -> () => { key: number }
+    this.counters = new Map();     // name -> { key: number }
+    this.observations = new Map(); // name -> RingBuffer of values since the last sample
+    this.history = new Map();      // name -> RingBuffer of MetricData
+    this.timer = null;
+
+    // One listener per following metrics stream
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Report `collect()`'s values under `name` at every sample. Registering
+   * a name again replaces its collector. Returns an unregister function.
+   */
+  register(name, collect) {
+    this.collectors.set(name, collect);
+    return () => {
+      if (this.collectors.get(name) === collect) this.collectors.delete(name);
+    };
+  }
+
+  increment(name, key = 'count', by = 1) {
+    const values = this.counters.get(name) || {};
+    values[key] = (values[key] || 0) + by;
+    this.counters.set(name, values);
+  }
+
+  observe(name, value) {
+    if (!this.observations.has(name)) {
+      this.observations.set(name, new RingBuffer(this.maxObservations));
+    }
+    this.observations.get(name).push(value);
+  }
+
+  /**
+   * Current values without recording them. Observations are summarised
+   * over the window since the last sample.
+   */
+  collect(names = [], now = Date.now()) {
+    const wanted = name => names.length === 0 || names.includes(name);
+    const metrics = [];
+
+    for (const [name, collect] of this.collectors) {
+      if (!wanted(name)) continue;
+      try {
+        metrics.push({ name, values: numeric(collect()), timestamp: now });
+      } catch (error) {
+        this.logger.error(`Metrics collector ${name} failed:`, error);
+      }
+    }
+    for (const [name, values] of this.counters) {
+      if (wanted(name)) metrics.push({ name, values: { ...values }, timestamp: now });
+    }
+    for (const [name, values] of this.observations) {
+      if (wanted(name)) metrics.push({ name, values: summarize(values.toArray()), timestamp: now });
+    }
+    return metrics;
+  }
+
+  // Record one sample of every metric and start new observation windows
+  sample(now = Date.now()) {
+    const metrics = this.collect([], now);
+    for (const values of this.observations.values()) {
+      values.clear();
+    }
+
+    for (const metric of metrics) {
+      if (!this.history.has(metric.name)) {
+        this.history.set(metric.name, new RingBuffer(this.historySize));
+      }
+      this.history.get(metric.name).push(metric);
+    }
+    this.emit('sample', metrics);
+    return metrics;
+  }
+
+  // Recorded samples since a timestamp, oldest first
+  query({ names = [], since = 0 } = {}) {
+    const metrics = [];
+    for (const [name, buffer] of this.history) {
+      if (names.length > 0 && !names.includes(name)) continue;
+      metrics.push(...buffer.toArray().filter(metric => metric.timestamp >= since));
+    }
+    return metrics.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.sample(), this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+function numeric(values) {
+  return Object.fromEntries(Object.entries(values || {})
+    .filter(([, value]) => typeof value === 'number' && Number.isFinite(value)));
+}
+
+function summarize(values) {
+  if (values.length === 0) return { count: 0 };
+  const sorted = [...values].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  const sum = sorted.reduce((total, value) => total + value, 0);
+  return {
+    count: sorted.length,
+    sum,
+    avg: sum / sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    p50: percentile(0.5),
+    p95: percentile(0.95),
+    p99: percentile(0.99)
+  };
+}
+
+module.exports = MetricsRegistry;
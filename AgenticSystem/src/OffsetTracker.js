@@ -0,0 +1,55 @@
+/**
+ * Kafka offset tracking for out-of-order task completion
+ */
+class OffsetTracker {
+  constructor() {
+    this.partitions = new Map();
+  }
+
+  track(topic, partition, offset) {
+    const state = this._partition(topic, partition);
+    state.inFlight.add(BigInt(offset));
+  }
+
+  /**
+   * Mark an offset as finished and return the offset that is now safe to
+   * commit for its partition, or null when an earlier message is still in
+   * flight. Kafka commits the *next* offset to read, hence the +1.
+   */
+  complete(topic, partition, offset) {
+    const state = this._partition(topic, partition);
+    const value = BigInt(offset);
+    state.inFlight.delete(value);
+    if (state.highestDone === null || value > state.highestDone) {
+      state.highestDone = value;
+    }
+
+    const commitable = state.inFlight.size > 0
+      ? [...state.inFlight].reduce((min, current) => (current < min ? current : min))
+      : state.highestDone + 1n;
+
+    if (state.committed !== null && commitable <= state.committed) {
+      return null;
+    }
+    state.committed = commitable;
+    return commitable.toString();
+  }
+
+  pendingCount() {
+    let count = 0;
+    for (const state of this.partitions.values()) {
+      count += state.inFlight.size;
+    }
+    return count;
+  }
+
+  _partition(topic, partition) {
+    const key = `${topic}:${partition}`;
+    if (!this.partitions.has(key)) {
+      this.partitions.set(key, { inFlight: new Set(), highestDone: null, committed: null });
+    }
+    return this.partitions.get(key);
+  }
+}
+
+module.exports = OffsetTracker;
@@ -0,0 +1,99 @@
+/**
+ * Priority queue with aging for tasks waiting on a processing slot
+ */
+
+// Band name -> lowest priority that falls into it, highest band first
+const DEFAULT_PRIORITY_BANDS = {
+  high: 7,
+  normal: 3,
+  low: -Infinity
+};
+
+class PriorityTaskQueue {
+  constructor(options = {}) {
+    // Waiting this long raises a task's effective priority by one
+    this.agingInterval = options.agingInterval || 5000;
+    this.bands = options.bands || DEFAULT_PRIORITY_BANDS;
+    this.items = [];
+    this.sequence = 0;
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  push(message, priority = 0) {
+    this.items.push({
+      message,
+      priority: Number(priority) || 0,
+      enqueuedAt: Date.now(),
+      sequence: this.sequence++
+    });
+  }
+
+  /**
+   * Remove and return the message with the highest effective priority
+   * among those accepted by `predicate`. Ties go to the oldest entry.
+   */
+  take(predicate = () => true) {
+    const now = Date.now();
+    let best = -1;
+    let bestPriority = -Infinity;
+
+    this.items.forEach((item, index) => {
+      if (!predicate(item.message)) return;
+      const priority = this.effectivePriority(item, now);
+      if (best === -1 || priority > bestPriority ||
+          (priority === bestPriority && item.sequence < this.items[best].sequence)) {
+        best = index;
+        bestPriority = priority;
+      }
+    });
+
+    if (best === -1) return null;
+    return this.items.splice(best, 1)[0].message;
+  }
+
+  remove(predicate) {
+    const index = this.items.findIndex(item => predicate(item.message));
+    if (index === -1) return null;
+    return this.items.splice(index, 1)[0].message;
+  }
+
+  countBy(keyOf) {
+    const counts = {};
+    for (const item of this.items) {
+      const key = keyOf(item.message);
+      counts[key] = (counts[key] || 0) + 1;
+    }
+    return counts;
+  }
+
+  effectivePriority(item, now = Date.now()) {
+    return item.priority + Math.floor((now - item.enqueuedAt) / this.agingInterval);
+  }
+
+  bandOf(priority) {
+    return Object.keys(this.bands).find(band => priority >= this.bands[band]);
+  }
+
+  // Depth per band by requested priority, so aged tasks stay in their band
+  depthByBand() {
+    const depth = Object.fromEntries(Object.keys(this.bands).map(band => [band, 0]));
+    for (const item of this.items) {
+      depth[this.bandOf(item.priority)]++;
+    }
+    return depth;
+  }
+
+  clear() {
+    const messages = this.items.map(item => item.message);
+    this.items = [];
+    return messages;
+  }
+}
+
+module.exports = {
+  DEFAULT_PRIORITY_BANDS,
+  PriorityTaskQueue
+};
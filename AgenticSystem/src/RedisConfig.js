@@ -2,7 +2,6 @@
  * Redis State Manager Configuration
  */
 const redis = require('redis');
-const { promisify } = require('util');
 
 class RedisPool {
   constructor(config = {}) {
@@ -19,6 +18,7 @@ class RedisPool {
     this.pool = [];
     this.available = [];
     this.inUse = new Set();
+    this.subscribers = [];
     this.logger = config.logger || console;
   }
 
@@ -26,21 +26,7 @@ class RedisPool {
     try {
       // Create initial connections
       for (let i = 0; i < this.config.maxConnections; i++) {
-        const client = redis.createClient({
-          socket: {
-            host: this.config.host,
-            port: this.config.port,
-            connectTimeout: this.config.connectionTimeout
-          },
-          password: this.config.password,
-          database: this.config.db
-        });
-
-        // Promisify client methods
-        client.getAsync = promisify(client.get).bind(client);
-        client.setAsync = promisify(client.set).bind(client);
-        client.delAsync = promisify(client.del).bind(client);
-        client.quitAsync = promisify(client.quit).bind(client);
+        const client = this.createClient();
 
         await client.connect();
         this.pool.push(client);
@@ -53,6 +39,29 @@ class RedisPool {
     }
   }
 
+  createClient() {
+    return redis.createClient({
+      socket: {
+        host: this.config.host,
+        port: this.config.port,
+        connectTimeout: this.config.connectionTimeout
+      },
+      password: this.config.password,
+      database: this.config.db
+    });
+  }
+
+  /**
+   * A connection in subscriber mode can run no other commands, so pub/sub
+   * listeners get their own client outside the pool
+   */
+  async createSubscriber() {
+    const client = this.createClient();
+    await client.connect();
+    this.subscribers.push(client);
+    return client;
+  }
+
   async getConnection() {
     if (this.available.length === 0) {
       throw new Error('No available Redis connections in pool');
@@ -75,8 +84,12 @@ class RedisPool {
   async close() {
     try {
       for (const client of this.pool) {
-        await client.quitAsync();
+        await client.quit();
+      }
+      for (const client of this.subscribers) {
+        await client.quit();
       }
+      this.subscribers = [];
       this.pool = [];
       this.available = [];
       this.inUse.clear();
@@ -0,0 +1,59 @@
+/**
+ * Retry policy helpers: backoff with jitter and retryable-error classification
+ */
+const { UnknownTaskTypeError, ConfigValidationError, WorkflowValidationError } = require('./errors');
+
+// Errors that fail the same way however often they are retried
+const PERMANENT_ERRORS = [UnknownTaskTypeError, ConfigValidationError, WorkflowValidationError];
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  backoff: {
+    initial: 1000,
+    max: 10000,
+    factor: 2,
+    // 'none', 'full' or 'decorrelated'
+    jitter: 'full'
+  },
+  // Error codes or names to treat as retryable / permanent; anything else
+  // is retried unless it carries `retryable: false`
+  retryOn: [],
+  permanent: []
+};
+
+/**
+ * Delay before retry number `attempt` (1-based). Decorrelated jitter grows
+ * from the previous delay rather than the attempt number.
+ */
+function computeBackoff(backoff, attempt, previousDelay = null, random = Math.random) {
+  const ceiling = Math.min(backoff.initial * Math.pow(backoff.factor, attempt - 1), backoff.max);
+
+  switch (backoff.jitter) {
+    case 'full':
+      return Math.floor(random() * ceiling);
+    case 'decorrelated': {
+      const upper = Math.max(backoff.initial, (previousDelay || backoff.initial) * 3);
+      return Math.min(backoff.max, Math.floor(backoff.initial + random() * (upper - backoff.initial)));
+    }
+    default:
+      return ceiling;
+  }
+}
+
+function matches(error, identifiers = []) {
+  return identifiers.includes(error.code) || identifiers.includes(error.name);
+}
+
+function isRetryable(error, policy = DEFAULT_RETRY_POLICY) {
+  if (matches(error, policy.permanent)) return false;
+  if (matches(error, policy.retryOn)) return true;
+  if (PERMANENT_ERRORS.some(ErrorClass => error instanceof ErrorClass)) return false;
+  return error.retryable !== false;
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  PERMANENT_ERRORS,
+  computeBackoff,
+  isRetryable
+};
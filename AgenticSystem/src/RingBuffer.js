@@ -0,0 +1,41 @@
+/**
+ * Fixed-capacity buffer that overwrites its oldest entries
+ */
+class RingBuffer {
+  constructor(capacity) {
+    if (!(capacity > 0)) {
+      throw new Error(`Ring buffer capacity must be positive, got ${capacity}`);
+    }
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(item) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = item;
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  // Oldest first
+  toArray() {
+    const result = new Array(this.length);
+    for (let i = 0; i < this.length; i++) {
+      result[i] = this.items[(this.start + i) % this.capacity];
+    }
+    return result;
+  }
+
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
+
+module.exports = RingBuffer;
@@ -1,45 +1,71 @@
+const path = require('path');
 const { Kafka } = require('kafkajs');
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
+const KafkaTopics = require('./KafkaTopics');
+const { CapabilityDescriptor, matchCapabilities } = require('./CapabilityDescriptor');
+const { metrics: defaultMetrics, createLogger } = require('./Telemetry');
 
 // Load control plane proto definition
 const packageDefinition = protoLoader.loadSync(
-  'src/grpc/control.proto',
+  path.join(__dirname, 'grpc', 'control.proto'),
   {keepCase: true, longs: String, enums: String, defaults: true, oneofs: true}
 );
-const controlProto = grpc.loadPackageDefinition(packageDefinition).control;
-
+const controlProto = grpc.loadPackageDefinition(packageDefinition).agentic.control;
+
+/**
+ * Servers join by announcing themselves on the server-registry topic.
+ * Announcements may carry the server's details (agents send their name
+ * and capabilities); otherwise they are fetched from the control plane.
+ * The control plane authorizes every call, so the registry sends `token`
+ * (default CONTROL_PLANE_TOKEN) as a bearer token with each request, over
+ * `credentials` (plaintext unless channel credentials are given).
+ */
 class ServerRegistry {
   constructor(config = {}) {
-    this.kafka = new Kafka({
+    this.kafka = config.kafka || new Kafka({
       clientId: 'server-registry',
       brokers: config.kafkaBrokers || ['localhost:9092']
     });
+    this.topic = config.topic || KafkaTopics.SERVER_REGISTRY.name;
 
     this.producer = this.kafka.producer();
     this.consumer = this.kafka.consumer({ groupId: 'server-registry' });
     this.grpcClient = new controlProto.ControlPlane(
       config.grpcHost || 'localhost:50051',
-      grpc.credentials.createInsecure()
+      config.credentials || grpc.credentials.createInsecure()
     );
+    this.token = config.token || process.env.CONTROL_PLANE_TOKEN || null;
 
     this.servers = new Map();
     this.healthChecks = new Map();
     this.capabilities = new Map();
+    this.timers = [];
+
+    this.logger = config.logger || createLogger('ServerRegistry');
+    this.metrics = config.metrics || defaultMetrics;
+    this.unregisterMetrics = this.metrics.register('server_registry', () => {
+      const statuses = [...this.healthChecks.values()].map(check => check.status);
+      return {
+        servers: this.servers.size,
+        healthy: statuses.filter(status => status === 'healthy').length,
+        unhealthy: statuses.filter(status => status !== 'healthy').length
+      };
+    });
   }
 
   async initialize() {
     await this.producer.connect();
     await this.consumer.connect();
-    await this.consumer.subscribe({ topic: 'server-registry', fromBeginning: true });
+    await this.consumer.subscribe({ topic: this.topic, fromBeginning: true });
 
     // Start processing registration messages
     await this.consumer.run({
       eachMessage: async ({ topic, partition, message }) => {
-        const { serverId, action } = JSON.parse(message.value.toString());
+        const { serverId, action, server } = JSON.parse(message.value.toString());
         
         if (action === 'register') {
-          await this.handleRegistration(serverId);
+          await this.handleRegistration(serverId, server);
         } else if (action === 'unregister') {
           await this.handleUnregistration(serverId);
         }
@@ -47,21 +73,16 @@ class ServerRegistry {
     });
 
     // Start health check loop
-    setInterval(() => this.checkServerHealth(), 30000);
+    this.timers.push(setInterval(() => this.checkServerHealth(), 30000));
 
     // Start automatic discovery loop
-    setInterval(() => this.discoverNewServers(), 60000);
+    this.timers.push(setInterval(() => this.discoverNewServers(), 60000));
     await this.discoverNewServers(); // Initial discovery
   }
 
   async discoverNewServers() {
     try {
-      const { servers } = await new Promise((resolve, reject) => {
-        this.grpcClient.DiscoverServers({}, (err, response) => {
-          if (err) return reject(err);
-          resolve(response);
-        });
-      });
+      const { servers } = await this.call('DiscoverServers', {});
 
       for (const server of servers) {
         if (!this.servers.has(server.id)) {
@@ -69,23 +90,21 @@ class ServerRegistry {
         }
       }
     } catch (error) {
-      console.error('Discovery failed:', error);
+      this.logger.error('Discovery failed:', error);
     }
   }
 
-  async handleRegistration(serverId) {
+  async handleRegistration(serverId, announced = null) {
     try {
-      // Get server details via gRPC
-      const { server } = await new Promise((resolve, reject) => {
-        this.grpcClient.GetServerDetails({ serverId }, (err, response) => {
-          if (err) return reject(err);
-          resolve(response);
-        });
-      });
+      // Get server details via gRPC unless the announcement carried them
+      const server = announced || await this.call('GetServerDetails', { id: serverId });
 
       // Store server information
       this.servers.set(serverId, server);
-      this.capabilities.set(serverId, server.capabilities);
+      this.capabilities.set(
+        serverId,
+        (server.capabilities || []).map(capability => CapabilityDescriptor.from(capability))
+      );
 
       // Initialize health check
       this.healthChecks.set(serverId, {
@@ -93,9 +112,9 @@ class ServerRegistry {
         status: 'healthy'
       });
 
-      console.log(`Registered server: ${serverId} (${server.name})`);
+      this.logger.log(`Registered server: ${serverId} (${server.name})`);
     } catch (error) {
-      console.error(`Failed to register server ${serverId}:`, error);
+      this.logger.error(`Failed to register server ${serverId}:`, error);
     }
   }
 
@@ -103,18 +122,13 @@ class ServerRegistry {
     this.servers.delete(serverId);
     this.healthChecks.delete(serverId);
     this.capabilities.delete(serverId);
-    console.log(`Unregistered server: ${serverId}`);
+    this.logger.log(`Unregistered server: ${serverId}`);
   }
 
   async checkServerHealth() {
     for (const [serverId, server] of this.servers) {
       try {
-        const { status } = await new Promise((resolve, reject) => {
-          this.grpcClient.CheckHealth({ serverId }, (err, response) => {
-            if (err) return reject(err);
-            resolve(response);
-          });
-        });
+        const status = (await this.call('CheckHealth', { id: serverId })).status.toLowerCase();
 
         this.healthChecks.set(serverId, {
           lastCheck: Date.now(),
@@ -122,10 +136,10 @@ class ServerRegistry {
         });
 
         if (status !== 'healthy') {
-          console.warn(`Server ${serverId} is unhealthy: ${status}`);
+          this.logger.warn(`Server ${serverId} is unhealthy: ${status}`);
         }
       } catch (error) {
-        console.error(`Health check failed for ${serverId}:`, error);
+        this.logger.error(`Health check failed for ${serverId}:`, error);
         this.healthChecks.set(serverId, {
           lastCheck: Date.now(),
           status: 'unreachable'
@@ -134,6 +148,24 @@ class ServerRegistry {
     }
   }
 
+  // Unary control plane call carrying the registry's bearer token
+  call(method, request) {
+    const metadata = new grpc.Metadata();
+    if (this.token) metadata.set('authorization', `Bearer ${this.token}`);
+    return new Promise((resolve, reject) => {
+      this.grpcClient[method](request, metadata, (err, response) => {
+        if (err) return reject(err);
+        resolve(response);
+      });
+    });
+  }
+
+  /**
+   * Find healthy servers that fulfil every capability requirement.
+   * Requirements may be 'name', 'name@^1.2' or { name, range, input };
+   * results are ordered by the combined cost hint of the matched
+   * capabilities, cheapest first.
+   */
   async discoverServers(capabilities = []) {
     const matchingServers = [];
     
@@ -142,22 +174,28 @@ class ServerRegistry {
       if (status !== 'healthy') continue;
 
       const serverCaps = this.capabilities.get(serverId) || [];
-      if (capabilities.every(cap => serverCaps.includes(cap))) {
+      const matched = matchCapabilities(serverCaps, capabilities);
+      if (matched) {
         matchingServers.push({
           serverId,
           ...server,
-          capabilities: serverCaps
+          capabilities: serverCaps.map(descriptor => descriptor.toJSON()),
+          matchedCapabilities: matched.map(descriptor => descriptor.toJSON()),
+          cost: matched.reduce((total, descriptor) => total + descriptor.cost.units, 0)
         });
       }
     }
 
-    return matchingServers;
+    return matchingServers.sort((a, b) => a.cost - b.cost);
   }
 
   async stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
     await this.consumer.disconnect();
     await this.producer.disconnect();
     this.grpcClient.close();
+    this.unregisterMetrics();
   }
 }
 
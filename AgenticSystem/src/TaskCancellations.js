@@ -0,0 +1,68 @@
+/**
+ * Task Cancellations: cancel requests broadcast to every processor
+ *
+ * agent.commands is consumed by one shared group, so a CANCEL_TASK command
+ * reaches a single processor, rarely the one running the task. Requests
+ * made here go out on a pub/sub channel instead; every processor hears
+ * them and cancels the task if it is running, queued or waiting to retry.
+ */
+const { EventEmitter } = require('events');
+
+class TaskCancellations extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.redisPool = config.redisPool;
+    this.logger = config.logger || console;
+    this.channel = config.channel || 'task-cancellations';
+    this.subscriber = null;
+    this.listening = null;
+  }
+
+  // Resolves once the request is published; delivery is at most once
+  async request(taskId, reason = null) {
+    const redisClient = await this.redisPool.getConnection();
+    try {
+      await redisClient.publish(this.channel, JSON.stringify({ taskId, reason, requestedAt: Date.now() }));
+    } finally {
+      this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
+  /**
+   * Subscribe to the channel once; requests are re-emitted as 'cancel'
+   * with { taskId, reason }.
+   */
+  listen() {
+    if (!this.listening) {
+      this.listening = (async () => {
+        this.subscriber = await this.redisPool.createSubscriber();
+        await this.subscriber.subscribe(this.channel, message => {
+          let request;
+          try {
+            request = JSON.parse(message);
+          } catch (error) {
+            this.logger.error('Malformed cancel request:', error);
+            return;
+          }
+          this.emit('cancel', request);
+        });
+      })().catch(error => {
+        this.listening = null;
+        throw error;
+      });
+    }
+    return this.listening;
+  }
+
+  async stop() {
+    if (!this.listening) return;
+    await this.listening.catch(() => {});
+    if (this.subscriber) {
+      await this.subscriber.unsubscribe(this.channel);
+      this.subscriber = null;
+    }
+    this.listening = null;
+  }
+}
+
+module.exports = TaskCancellations;
@@ -0,0 +1,164 @@
+/**
+ * Task Events: versioned task state changes for watchers
+ *
+ * Every state write becomes an event with a per-task version. Recent events
+ * are kept in `task-events:{id}` so a watcher can resume after the last
+ * version it saw, and each one is published on a pub/sub channel for
+ * watchers on any instance.
+ */
+const { EventEmitter } = require('events');
+
+class TaskEvents extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.redisPool = config.redisPool;
+    this.logger = config.logger || console;
+    this.keyPrefix = config.keyPrefix || 'task-events:';
+    this.channel = config.channel || 'task-events';
+    this.historySize = config.historySize || 100;
+    this.retention = config.retention || 24 * 60 * 60; // seconds
+    this.pending = new Map(); // taskId -> last queued record
+    this.subscriber = null;
+    this.listening = null;
+
+    // One listener per open watch stream
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Record a state change for a task. Records for one task are versioned
+   * in call order. Resolves with the stored event.
+   */
+  record(taskId, state) {
+    const previous = this.pending.get(taskId) || Promise.resolve();
+    const recorded = previous.catch(() => {}).then(() => this._record(taskId, state));
+    this.pending.set(taskId, recorded);
+
+    const settle = () => {
+      if (this.pending.get(taskId) === recorded) this.pending.delete(taskId);
+    };
+    recorded.then(settle, settle);
+    return recorded;
+  }
+
+  async _record(taskId, state) {
+    return this._withClient(async redisClient => {
+      const version = await redisClient.incr(this._versionKey(taskId));
+      const event = {
+        taskId,
+        version,
+        type: state.type || null,
+        state,
+        timestamp: Date.now()
+      };
+      const message = JSON.stringify(event);
+
+      // Commands on one connection run in order, so the trim sees the new event
+      await Promise.all([
+        redisClient.zAdd(this._eventsKey(taskId), { score: version, value: message }),
+        redisClient.zRemRangeByRank(this._eventsKey(taskId), 0, -(this.historySize + 1)),
+        redisClient.expire(this._eventsKey(taskId), this.retention),
+        redisClient.expire(this._versionKey(taskId), this.retention),
+        redisClient.publish(this.channel, message)
+      ]);
+      return event;
+    });
+  }
+
+  /**
+   * Retained events for a task with a version above `afterVersion`, oldest
+   * first. Older events may have been trimmed; callers can tell from the
+   * first version returned.
+   */
+  async history(taskId, afterVersion = 0) {
+    const messages = await this._withClient(redisClient =>
+      redisClient.zRangeByScore(this._eventsKey(taskId), afterVersion + 1, '+inf')
+    );
+    return messages.map(message => JSON.parse(message));
+  }
+
+  async latest(taskId) {
+    const [message] = await this._withClient(redisClient =>
+      redisClient.zRange(this._eventsKey(taskId), '+inf', '-inf', {
+        BY: 'SCORE',
+        REV: true,
+        LIMIT: { offset: 0, count: 1 }
+      })
+    );
+    return message ? JSON.parse(message) : null;
+  }
+
+  // Forget a task's history and version, e.g. when its submission is rolled back
+  async remove(taskId) {
+    await this._withClient(redisClient => Promise.all([
+      redisClient.del(this._eventsKey(taskId)),
+      redisClient.del(this._versionKey(taskId))
+    ]));
+  }
+
+  /**
+   * Subscribe to the channel once; published events are delivered to
+   * 'event' listeners. Safe to call for every new watcher.
+   */
+  listen() {
+    if (!this.listening) {
+      this.listening = (async () => {
+        this.subscriber = await this.redisPool.createSubscriber();
+        await this.subscriber.subscribe(this.channel, message => {
+          let event;
+          try {
+            event = JSON.parse(message);
+          } catch (error) {
+            this.logger.error('Malformed task event:', error);
+            return;
+          }
+          this._deliver(event);
+        });
+      })().catch(error => {
+        this.listening = null;
+        throw error;
+      });
+    }
+    return this.listening;
+  }
+
+  // A failing watcher must not keep the event from the others
+  _deliver(event) {
+    for (const listener of this.listeners('event')) {
+      try {
+        listener(event);
+      } catch (error) {
+        this.logger.error(`Task event listener failed for task ${event.taskId}:`, error);
+      }
+    }
+  }
+
+  async stop() {
+    if (!this.listening) return;
+    await this.listening.catch(() => {});
+    if (this.subscriber) {
+      await this.subscriber.unsubscribe(this.channel);
+      this.subscriber = null;
+    }
+    this.listening = null;
+  }
+
+  async _withClient(fn) {
+    const redisClient = await this.redisPool.getConnection();
+    try {
+      return await fn(redisClient);
+    } finally {
+      this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
+  _eventsKey(taskId) {
+    return `${this.keyPrefix}${taskId}`;
+  }
+
+  _versionKey(taskId) {
+    return `${this.keyPrefix}${taskId}:version`;
+  }
+}
+
+module.exports = TaskEvents;
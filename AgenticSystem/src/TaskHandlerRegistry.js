@@ -0,0 +1,70 @@
+/**
+ * Task Handler Registry keyed by task type
+ */
+class TaskHandlerRegistry {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Options:
+   *   concurrency - max tasks of this type running at once (default unlimited)
+   *   timeout     - per-task timeout in ms, overriding the processor default
+   *   retryPolicy - partial retry policy merged over the processor default
+   */
+  register(type, handler, options = {}) {
+    if (!type) {
+      throw new Error('Task type is required');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for task type ${type} must be a function`);
+    }
+    if (this.handlers.has(type)) {
+      throw new Error(`Handler already registered for task type: ${type}`);
+    }
+
+    this.handlers.set(type, {
+      type,
+      handler,
+      options: {
+        concurrency: options.concurrency || Infinity,
+        timeout: options.timeout || null,
+        retryPolicy: options.retryPolicy || null
+      },
+      active: 0
+    });
+  }
+
+  unregister(type) {
+    return this.handlers.delete(type);
+  }
+
+  get(type) {
+    return this.handlers.get(type) || null;
+  }
+
+  has(type) {
+    return this.handlers.has(type);
+  }
+
+  canStart(type) {
+    const entry = this.handlers.get(type);
+    return !entry || entry.active < entry.options.concurrency;
+  }
+
+  acquire(type) {
+    const entry = this.handlers.get(type);
+    if (entry) entry.active++;
+  }
+
+  release(type) {
+    const entry = this.handlers.get(type);
+    if (entry && entry.active > 0) entry.active--;
+  }
+
+  types() {
+    return [...this.handlers.keys()];
+  }
+}
+
+module.exports = TaskHandlerRegistry;
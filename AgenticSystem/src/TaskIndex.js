@@ -0,0 +1,221 @@
+/**
+ * Task Index: Redis sorted sets for listing task history
+ *
+ * Every task is kept in `tasks:created`, in `tasks:type:{type}` and in the
+ * `tasks:status:{status}` set for its current status, all scored by
+ * creation time, so a filtered listing walks only the matching sets.
+ */
+const TASK_STATUSES = ['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'CANCELLED', 'RETRYING'];
+
+class TaskIndex {
+  constructor(config = {}) {
+    this.redisPool = config.redisPool;
+    this.keyPrefix = config.keyPrefix || 'tasks:';
+    this.batchSize = config.batchSize || 100;
+    this.defaultLimit = config.defaultLimit || 100;
+    this.maxLimit = config.maxLimit || 10000;
+    this.pending = new Map(); // taskId -> last queued status update
+  }
+
+  /**
+   * Index a task by creation time and type. Safe to repeat: the first
+   * recorded creation time wins.
+   */
+  async add(task) {
+    const createdAt = task.createdAt || Date.now();
+    await this._withClient(redisClient => Promise.all([
+      redisClient.zAdd(this._createdKey(), { score: createdAt, value: task.id }, { NX: true }),
+      task.type && redisClient.zAdd(this._typeKey(task.type), { score: createdAt, value: task.id }, { NX: true })
+    ]));
+  }
+
+  // Drop a task from every index, e.g. when its submission is rolled back
+  async remove(task) {
+    await this._withClient(redisClient => Promise.all([
+      redisClient.zRem(this._createdKey(), task.id),
+      task.type && redisClient.zRem(this._typeKey(task.type), task.id),
+      ...TASK_STATUSES.map(status => redisClient.zRem(this._statusKey(status), task.id))
+    ]));
+  }
+
+  /**
+   * Move a task into the set for `status`. Updates for one task are applied
+   * in call order, so callers need not wait for one before issuing the next.
+   */
+  setStatus(taskId, status) {
+    const previous = this.pending.get(taskId) || Promise.resolve();
+    const update = previous.catch(() => {}).then(() => this._moveToStatus(taskId, status));
+    this.pending.set(taskId, update);
+
+    const settle = () => {
+      if (this.pending.get(taskId) === update) this.pending.delete(taskId);
+    };
+    update.then(settle, settle);
+    return update;
+  }
+
+  // The new set is written before the old one is cleared, so a listing may
+  // briefly see the task twice (and drops the repeat) but never misses it
+  async _moveToStatus(taskId, status) {
+    if (!TASK_STATUSES.includes(status)) return;
+
+    await this._withClient(async redisClient => {
+      let createdAt = await redisClient.zScore(this._createdKey(), taskId);
+      if (createdAt === null) {
+        createdAt = Date.now();
+        await redisClient.zAdd(this._createdKey(), { score: createdAt, value: taskId }, { NX: true });
+      }
+
+      const added = await redisClient.zAdd(this._statusKey(status), { score: createdAt, value: taskId });
+      if (!added) return;
+      await Promise.all(TASK_STATUSES
+        .filter(other => other !== status)
+        .map(other => redisClient.zRem(this._statusKey(other), taskId)));
+    });
+  }
+
+  /**
+   * Yield matching tasks newest first as { id, createdAt, task, cursor }.
+   * Filter fields: statuses, types, since (ms), limit and cursor; passing
+   * the cursor of the last task seen resumes right after it. Tasks are read
+   * from Redis a batch at a time as the consumer iterates.
+   */
+  async *scan(filter = {}) {
+    const statuses = filter.statuses || [];
+    const types = filter.types || [];
+    const limit = filter.limit > 0 ? Math.min(filter.limit, this.maxLimit) : this.defaultLimit;
+    const after = filter.cursor ? TaskIndex.decodeCursor(filter.cursor) : null;
+    const min = filter.since || '-inf';
+
+    // Walk whichever index narrows the search; check the other dimension per task
+    const keys = statuses.length > 0
+      ? statuses.map(status => this._statusKey(status))
+      : types.length > 0
+        ? types.map(type => this._typeKey(type))
+        : [this._createdKey()];
+    const checkTypes = statuses.length > 0 && types.length > 0;
+    const readers = keys.map(key => ({ key, last: after, skip: 0, buffer: [], done: false }));
+
+    let emitted = 0;
+    let last = null;
+    while (emitted < limit) {
+      await Promise.all(readers.map(reader => this._fill(reader, min)));
+
+      const candidates = [];
+      while (candidates.length < this.batchSize) {
+        // A drained reader that is not done must be refilled before merging on
+        if (readers.some(reader => reader.buffer.length === 0 && !reader.done)) break;
+        const next = readers
+          .filter(reader => reader.buffer.length > 0)
+          .reduce((best, reader) => (!best || compare(reader.buffer[0], best.buffer[0]) < 0 ? reader : best), null);
+        if (!next) break;
+
+        const entry = next.buffer.shift();
+        if (last && last.id === entry.id && last.createdAt === entry.createdAt) continue;
+        last = entry;
+        candidates.push(entry);
+      }
+      if (candidates.length === 0) break;
+
+      const tasks = await this._load(candidates.map(entry => entry.id));
+      const typeMatches = checkTypes ? await this._hasAnyType(candidates.map(entry => entry.id), types) : null;
+
+      for (let i = 0; i < candidates.length && emitted < limit; i++) {
+        // Index entries can outlive the task record they point to
+        if (!tasks[i] || (typeMatches && !typeMatches[i])) continue;
+        const { id, createdAt } = candidates[i];
+        emitted++;
+        yield { id, createdAt, task: tasks[i], cursor: TaskIndex.encodeCursor({ id, createdAt }) };
+      }
+    }
+  }
+
+  /**
+   * Read the next page of a set, starting at the score of the last entry
+   * read rather than at an offset: tasks leaving or joining a status set
+   * mid-scan would shift offsets and make the scan skip entries. Entries
+   * sharing that score up to the last one read are fetched again and
+   * dropped; `skip` counts them so the page still brings batchSize new ones.
+   */
+  async _fill(reader, min) {
+    while (reader.buffer.length === 0 && !reader.done) {
+      const count = this.batchSize + reader.skip;
+      const page = await this._withClient(redisClient => redisClient.zRangeWithScores(
+        reader.key, reader.last ? reader.last.createdAt : '+inf', min,
+        { BY: 'SCORE', REV: true, LIMIT: { offset: 0, count } }
+      ));
+      reader.done = page.length < count;
+
+      const entries = page.map(({ value, score }) => ({ id: value, createdAt: score }));
+      reader.buffer.push(...entries.filter(entry => !reader.last || compare(reader.last, entry) < 0));
+      if (reader.buffer.length > 0) reader.last = reader.buffer[reader.buffer.length - 1];
+      if (reader.last) {
+        reader.skip = entries.filter(entry => entry.createdAt === reader.last.createdAt).length;
+      }
+    }
+  }
+
+  async _load(ids) {
+    const values = await this._withClient(redisClient =>
+      redisClient.mGet(ids.map(id => `task:${id}`))
+    );
+    return values.map(value => (value ? JSON.parse(value) : null));
+  }
+
+  async _hasAnyType(ids, types) {
+    return this._withClient(redisClient => Promise.all(ids.map(async id => {
+      for (const type of types) {
+        if (await redisClient.zScore(this._typeKey(type), id) !== null) return true;
+      }
+      return false;
+    })));
+  }
+
+  async _withClient(fn) {
+    const redisClient = await this.redisPool.getConnection();
+    try {
+      return await fn(redisClient);
+    } finally {
+      this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
+  _createdKey() {
+    return `${this.keyPrefix}created`;
+  }
+
+  _statusKey(status) {
+    return `${this.keyPrefix}status:${status}`;
+  }
+
+  _typeKey(type) {
+    return `${this.keyPrefix}type:${type}`;
+  }
+
+  static encodeCursor({ id, createdAt }) {
+    return Buffer.from(JSON.stringify([createdAt, id])).toString('base64url');
+  }
+
+  static decodeCursor(cursor) {
+    try {
+      const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      if (typeof createdAt === 'number' && typeof id === 'string') {
+        return { id, createdAt };
+      }
+    } catch (error) {
+      // Reported below
+    }
+    throw new Error(`Invalid task cursor: ${cursor}`);
+  }
+}
+
+// Listing order: newest first, ties by id descending (Redis ZREVRANGE order)
+function compare(a, b) {
+  if (a.createdAt !== b.createdAt) return b.createdAt - a.createdAt;
+  return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+}
+
+module.exports = {
+  TASK_STATUSES,
+  TaskIndex
+};
@@ -1,48 +1,148 @@
 /**
  * Task Processor Foundation
  */
-const { KafkaTopics, KafkaConsumers } = require('./KafkaConfig');
+const { Kafka } = require('kafkajs');
+const KafkaTopics = require('./KafkaTopics');
+const KafkaConsumers = require('./KafkaConsumers');
 const RedisPool = require('./RedisConfig');
+const OffsetTracker = require('./OffsetTracker');
+const TaskHandlerRegistry = require('./TaskHandlerRegistry');
+const DeadLetterQueue = require('./DeadLetterQueue');
+const { PriorityTaskQueue } = require('./PriorityTaskQueue');
+const { WorkflowEngine } = require('./WorkflowEngine');
+const TaskScheduler = require('./TaskScheduler');
+const AdaptiveConcurrencyLimiter = require('./AdaptiveConcurrencyLimiter');
+const { TenantManager } = require('./TenantManager');
+const { TaskIndex } = require('./TaskIndex');
+const TaskEvents = require('./TaskEvents');
+const TaskCancellations = require('./TaskCancellations');
+const { metrics: defaultMetrics, createLogger } = require('./Telemetry');
+const { DEFAULT_RETRY_POLICY, computeBackoff, isRetryable } = require('./RetryPolicy');
+const { CircuitBreaker } = require('./CircuitBreaker');
+const {
+  UnknownTaskTypeError,
+  TaskTimeoutError,
+  TaskCancelledError,
+  DuplicateTaskError
+} = require('./errors');
 const { EventEmitter } = require('events');
 
+// Task states no delivery will move on from
+const SETTLED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED'];
+
 class TaskProcessor extends EventEmitter {
   constructor(config = {}) {
     super();
     this.config = {
       maxConcurrentTasks: config.maxConcurrentTasks || 10,
+      maxQueuedTasks: config.maxQueuedTasks || 100,
       taskTimeout: config.taskTimeout || 30000,
-      retryPolicy: config.retryPolicy || {
-        maxAttempts: 3,
-        backoff: {
-          initial: 1000,
-          max: 10000,
-          factor: 2
-        }
-      }
+      drainTimeout: config.drainTimeout || 30000,
+      agingInterval: config.agingInterval || 5000,
+      // How long a completed task's result is kept to answer redeliveries
+      dedupeWindow: config.dedupeWindow || 24 * 60 * 60 * 1000,
+      retryPolicy: {
+        ...DEFAULT_RETRY_POLICY,
+        ...config.retryPolicy,
+        backoff: { ...DEFAULT_RETRY_POLICY.backoff, ...(config.retryPolicy && config.retryPolicy.backoff) }
+      },
+      // { failureThreshold, resetTimeout } for the per-type circuit breakers
+      circuitBreaker: config.circuitBreaker || {}
     };
 
+    this.kafka = config.kafka || new Kafka({
+      clientId: config.clientId || 'task-processor',
+      brokers: config.kafkaBrokers || ['localhost:9092']
+    });
+    this.consumers = new Map();
+    this.offsets = new OffsetTracker();
+    this.pendingCommits = new Set();
+    this.consumersPaused = false;
+    this.isShuttingDown = false;
+    this.isPaused = false;
+
+    this.handlers = new TaskHandlerRegistry();
+    // Optional: { min, max, targetLatency, maxErrorRate, ... }, see
+    // AdaptiveConcurrencyLimiter; maxConcurrentTasks is then the starting limit
+    this.concurrencyLimiter = config.adaptiveConcurrency
+      ? new AdaptiveConcurrencyLimiter({
+        initial: this.config.maxConcurrentTasks,
+        ...config.adaptiveConcurrency
+      })
+      : null;
     this.activeTasks = new Map();
-    this.taskQueue = [];
-    this.redisPool = new RedisPool(config.redis);
-    this.logger = config.logger || console;
+    this.retryTimers = new Set();
+    this.retryWaits = new Map(); // taskId -> { timer, message } waiting out a retry backoff
+    this.circuitBreakers = new Map(); // task type -> CircuitBreaker
+    this.idempotencyClaims = new Map(); // taskId -> { key, token } held by this processor
+    this.taskQueue = new PriorityTaskQueue({
+      agingInterval: this.config.agingInterval,
+      bands: config.priorityBands
+    });
+    this.redisPool = config.redisPool || new RedisPool(config.redis);
+    this.logger = config.logger || createLogger('TaskProcessor');
+    this.metrics = config.metrics || defaultMetrics;
+    this.unregisterMetrics = null;
+    this.tenants = new TenantManager({
+      tenants: config.tenants,
+      defaults: config.tenantDefaults,
+      redisPool: this.redisPool
+    });
+    this.taskIndex = new TaskIndex({ redisPool: this.redisPool });
+    this.taskEvents = new TaskEvents({ redisPool: this.redisPool, logger: this.logger });
+    this.cancellations = new TaskCancellations({ redisPool: this.redisPool, logger: this.logger });
+    this.producer = this.kafka.producer();
+    this.deadLetterQueue = new DeadLetterQueue({
+      producer: this.producer,
+      redisPool: this.redisPool,
+      logger: this.logger
+    });
+    this.workflows = new WorkflowEngine({
+      producer: this.producer,
+      redisPool: this.redisPool,
+      cancellations: this.cancellations,
+      logger: this.logger
+    });
+    this.scheduler = new TaskScheduler({
+      producer: this.producer,
+      redisPool: this.redisPool,
+      logger: this.logger,
+      pollInterval: config.schedulerPollInterval
+    });
     this.stats = {
       processed: 0,
       failed: 0,
-      retries: 0
+      retries: 0,
+      timeouts: 0,
+      cancelled: 0,
+      deadLettered: 0,
+      duplicates: 0
     };
   }
 
   async init() {
     try {
       await this.redisPool.init();
+      await this.producer.connect();
       
       // Initialize Kafka consumers
-      this.commandConsumer = KafkaConsumers.AGENT_CONTROLLER;
-      this.taskConsumer = KafkaConsumers.TASK_PROCESSOR;
-      
-      // Set up message handlers
-      this.commandConsumer.on('message', this.handleCommand.bind(this));
-      this.taskConsumer.on('message', this.handleTask.bind(this));
+      this.commandConsumer = await this.createConsumer(
+        KafkaConsumers.AGENT_CONTROLLER,
+        this.routeControlMessage.bind(this)
+      );
+      this.taskConsumer = await this.createConsumer(
+        KafkaConsumers.TASK_PROCESSOR,
+        this.routeTaskMessage.bind(this)
+      );
+      this.cancellations.on('cancel', ({ taskId, reason }) => {
+        this.cancelTask(taskId, reason).catch(error => {
+          this.logger.error(`Failed to cancel task ${taskId}:`, error);
+        });
+      });
+      await this.cancellations.listen();
+      await this.workflows.start();
+      await this.scheduler.start();
+      this.unregisterMetrics = this.metrics.register('task_processor', () => this.getMetricValues());
       
       this.logger.info('Task processor initialized');
     } catch (error) {
@@ -51,6 +151,89 @@ class TaskProcessor extends EventEmitter {
     }
   }
 
+  /**
+   * Create a consumer for one of the KafkaConsumers group definitions.
+   * Offsets are committed manually once the message has been fully handled.
+   */
+  async createConsumer(definition, handler) {
+    const consumer = this.kafka.consumer({
+      groupId: definition.groupId,
+      sessionTimeout: definition.options.sessionTimeout,
+      rebalanceTimeout: definition.options.rebalanceTimeout,
+      heartbeatInterval: definition.options.heartbeatInterval,
+      maxBytesPerPartition: definition.options.maxBytesPerPartition
+    });
+
+    await consumer.connect();
+    for (const topic of definition.topics) {
+      await consumer.subscribe({ topic, fromBeginning: false });
+    }
+    await consumer.run({
+      autoCommit: false,
+      eachMessage: async ({ topic, partition, message }) => {
+        const normalized = {
+          topic,
+          partition,
+          offset: message.offset,
+          key: message.key?.toString(),
+          value: message.value.toString(),
+          headers: message.headers
+        };
+        this.offsets.track(topic, partition, message.offset);
+        await handler(normalized);
+      }
+    });
+
+    this.consumers.set(definition.groupId, { consumer, topics: definition.topics });
+    return consumer;
+  }
+
+  async routeControlMessage(message) {
+    if (message.topic === KafkaTopics.AGENT_COMMANDS.name) {
+      await this.handleCommand(message);
+    }
+    await this.commitMessage(message);
+  }
+
+  async routeTaskMessage(message) {
+    if (message.topic === KafkaTopics.TASK_REQUESTS.name) {
+      // Committed from finishTask() once the task has settled
+      await this.handleTask(message);
+      return;
+    }
+
+    try {
+      const update = JSON.parse(message.value);
+      this.emit('taskResult', update);
+      // Step outcomes must be recorded before the offset moves past them
+      if (update.workflow) {
+        await this.workflows.handleResult(update);
+      }
+    } catch (error) {
+      this.logger.error('Task result handling failed:', error);
+    }
+    await this.commitMessage(message);
+  }
+
+  async commitMessage(message) {
+    if (!message || message.offset === undefined) return;
+
+    const offset = this.offsets.complete(message.topic, message.partition, message.offset);
+    if (offset === null) return;
+
+    const consumer = message.topic === KafkaTopics.TASK_REQUESTS.name ||
+      message.topic === KafkaTopics.TASK_RESULTS.name
+      ? this.taskConsumer
+      : this.commandConsumer;
+    const commit = consumer.commitOffsets([{ topic: message.topic, partition: message.partition, offset }])
+      .catch(error => {
+        this.logger.error(`Offset commit failed for ${message.topic}:${message.partition}:`, error);
+      })
+      .finally(() => this.pendingCommits.delete(commit));
+    this.pendingCommits.add(commit);
+    await commit;
+  }
+
   async handleCommand(message) {
     try {
       const command = JSON.parse(message.value);
@@ -62,7 +245,10 @@ class TaskProcessor extends EventEmitter {
           this.resumeProcessing();
           break;
         case 'STATS':
-          this.emit('stats', this.stats);
+          this.emit('stats', this.getStats());
+          break;
+        case 'CANCEL_TASK':
+          await this.cancelTask(command.taskId, command.reason);
           break;
         default:
           this.logger.warn(`Unknown command type: ${command.type}`);
@@ -72,98 +258,674 @@ class TaskProcessor extends EventEmitter {
     }
   }
 
+  registerHandler(type, handler, options = {}) {
+    this.handlers.register(type, handler, options);
+    this.logger.info(`Registered handler for task type ${type}`);
+    this.processQueue();
+  }
+
+  unregisterHandler(type) {
+    return this.handlers.unregister(type);
+  }
+
   async handleTask(message) {
-    if (this.activeTasks.size >= this.config.maxConcurrentTasks) {
-      this.taskQueue.push(message);
+    let task;
+    try {
+      task = message.task || JSON.parse(message.value);
+      message.task = task;
+    } catch (error) {
+      this.logger.error('Task parsing failed:', error);
+      this.commitMessage(message);
+      return;
+    }
+
+    if (this.isPaused ||
+        this.activeTasks.size >= this.getConcurrencyLimit() ||
+        !this.handlers.canStart(task.type) ||
+        !this.tenants.canStart(this.tenants.tenantOf(task))) {
+      this.taskQueue.push(message, task.priority);
+      this.applyBackpressure();
       return;
     }
 
+    const taskId = task.id || message.offset;
+    const tenantId = this.tenants.tenantOf(task);
+    this.handlers.acquire(task.type);
+    this.tenants.acquire(tenantId);
+
+    // Fires on timeout or cancelTask(); handlers should watch the signal,
+    // but the slot is released either way
+    const controller = new AbortController();
+    const timeout = this.getTaskTimeout(task);
+    const timer = timeout > 0
+      ? setTimeout(() => controller.abort(new TaskTimeoutError(taskId, timeout)), timeout)
+      : null;
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+
+    const startedAt = Date.now();
+    const processingPromise = Promise.race([this.processTask(task, controller.signal), aborted])
+      .finally(() => clearTimeout(timer));
+    this.activeTasks.set(taskId, { task, message, controller, promise: processingPromise });
+    
+    processingPromise
+      .then(async result => {
+        this.metrics.observe('task_duration_ms', Date.now() - startedAt);
+        this.recordConcurrencySample(startedAt, true);
+        this.activeTasks.delete(taskId);
+        this.handlers.release(task.type);
+        this.tenants.release(tenantId);
+        this.getCircuitBreaker(task.type).recordSuccess();
+        this.stats.processed++;
+        await this.publishTaskOutcome(task, { type: 'COMPLETED', result });
+        this.finishTask(message);
+      }, async error => {
+        // Cancellations, duplicates and unroutable tasks say nothing about load
+        if (!(error instanceof TaskCancelledError || error instanceof DuplicateTaskError ||
+              error instanceof UnknownTaskTypeError)) {
+          this.metrics.observe('task_duration_ms', Date.now() - startedAt);
+          this.recordConcurrencySample(startedAt, false);
+        }
+        this.activeTasks.delete(taskId);
+        this.handlers.release(task.type);
+        this.tenants.release(tenantId);
+        // Let a retry or redelivery claim the key again
+        await this.releaseIdempotencyKey(task.id);
+        await this.handleTaskAbortOrError(task, error, message);
+      })
+      .catch(error => {
+        this.logger.error(`Failed to finish task ${taskId}:`, error);
+      });
+  }
+
+  getConcurrencyLimit() {
+    return this.concurrencyLimiter ? this.concurrencyLimiter.limit : this.config.maxConcurrentTasks;
+  }
+
+  recordConcurrencySample(startedAt, success) {
+    if (!this.concurrencyLimiter) return;
+
+    const previous = this.concurrencyLimiter.limit;
+    const limit = this.concurrencyLimiter.record({
+      latency: Date.now() - startedAt,
+      success,
+      inFlight: this.activeTasks.size
+    });
+    if (limit !== null) {
+      this.logger.info(`Concurrency limit adjusted from ${previous} to ${limit}`);
+      this.emit('concurrencyLimitChanged', limit, previous);
+    }
+  }
+
+  async handleTaskAbortOrError(task, error, message) {
+    if (error instanceof TaskCancelledError) {
+      this.stats.cancelled++;
+      this.emit('taskCancelled', task);
+      this.finishTask(message);
+      return;
+    }
+
+    // Another delivery owns the claim; the offset is kept until it settles
+    if (error instanceof DuplicateTaskError) {
+      this.stats.duplicates++;
+      this.logger.warn(error.message);
+      this.emit('taskDuplicate', task, { inProgress: true });
+      await this.awaitClaim(task, message);
+      return;
+    }
+
+    if (error instanceof TaskTimeoutError) {
+      this.stats.timeouts++;
+      this.logger.warn(error.message);
+      await this.updateTaskState(task.id, {
+        status: 'FAILED',
+        type: task.type,
+        reason: 'TIMEOUT',
+        error: error.message,
+        failedAt: new Date()
+      });
+      this.emit('taskTimedOut', task, error);
+    } else {
+      this.stats.failed++;
+    }
+
+    await this.handleTaskError(task, error, message);
+  }
+
+  /**
+   * Settle a duplicate once the delivery holding its idempotency key is
+   * done with it. A stored result or a settled state of the holder's task
+   * commits the duplicate; a claim that is gone while that task is still
+   * unsettled means the holder died, so the task is run here. A live claim
+   * is re-read when its lease is up; meanwhile the duplicate waits like a
+   * retry, so shutdown leaves it uncommitted and cancelTask() can drop it.
+   */
+  async awaitClaim(task, message, holderId = task.id) {
+    let record = null;
     try {
-      const task = JSON.parse(message.value);
-      const taskId = task.id || message.offset;
-      
-      const processingPromise = this.processTask(task);
-      this.activeTasks.set(taskId, processingPromise);
-      
-      processingPromise
-        .then(() => {
-          this.activeTasks.delete(taskId);
-          this.stats.processed++;
-          this.processQueue();
-        })
-        .catch(error => {
-          this.activeTasks.delete(taskId);
-          this.stats.failed++;
-          this.handleTaskError(task, error);
+      record = await this.getIdempotencyRecord(this.getIdempotencyKey(task));
+      if (record && record.status === 'COMPLETED') {
+        this.emit('taskDuplicate', task, record);
+        this.finishTask(message);
+        return;
+      }
+      if (!record) {
+        const state = await this.getTaskState(holderId);
+        if (state && SETTLED_STATUSES.includes(state.status)) {
+          this.finishTask(message);
+        } else {
+          this.handleTask(message);
+        }
+        return;
+      }
+    } catch (error) {
+      this.logger.error(`Failed to check the claim on task ${task.id}:`, error);
+    }
+
+    const lease = this.getTaskTimeout(task) * 2;
+    const remaining = record ? record.claimedAt + lease - Date.now() : 0;
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this.retryWaits.delete(task.id);
+      this.awaitClaim(task, message, record ? record.taskId : holderId);
+    }, remaining > 0 ? remaining : lease);
+    this.retryTimers.add(timer);
+    this.retryWaits.set(task.id, { timer, message });
+  }
+
+  /**
+   * Cancel a task this processor holds. Running tasks have their
+   * AbortSignal fired; queued tasks and tasks waiting to retry are dropped
+   * without being started again. Resolves false for tasks held elsewhere.
+   */
+  async cancelTask(taskId, reason) {
+    const active = this.activeTasks.get(taskId);
+    const waiting = this.retryWaits.get(taskId);
+    const error = new TaskCancelledError(taskId, reason);
+
+    let task;
+    if (active) {
+      task = active.task;
+      active.controller.abort(error);
+    } else if (waiting) {
+      clearTimeout(waiting.timer);
+      this.retryTimers.delete(waiting.timer);
+      this.retryWaits.delete(taskId);
+
+      task = waiting.message.task;
+      this.stats.cancelled++;
+      this.emit('taskCancelled', task);
+      this.finishTask(waiting.message);
+    } else {
+      const message = this.taskQueue.remove(queued => queued.task.id === taskId);
+      if (!message) return false;
+
+      task = message.task;
+      this.stats.cancelled++;
+      this.emit('taskCancelled', task);
+      this.finishTask(message);
+    }
+
+    await this.updateTaskState(taskId, {
+      status: 'CANCELLED',
+      type: task.type,
+      reason: reason || null,
+      updated_at: Date.now()
+    });
+    return true;
+  }
+
+  getTaskTimeout(task) {
+    const entry = this.handlers.get(task.type);
+    return task.timeout || (entry && entry.options.timeout) || this.config.taskTimeout;
+  }
+
+  async getTaskState(taskId) {
+    const redisClient = await this.redisPool.getConnection();
+    try {
+      const data = await redisClient.get(`task:${taskId}`);
+      return data ? JSON.parse(data) : null;
+    } finally {
+      this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
+  async getIdempotencyRecord(key) {
+    const redisClient = await this.redisPool.getConnection();
+    try {
+      const data = await redisClient.get(`idempotency:${key}`);
+      return data ? JSON.parse(data) : null;
+    } finally {
+      this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
+  async updateTaskState(taskId, state) {
+    let redisClient = null;
+    try {
+      redisClient = await this.redisPool.getConnection();
+      await redisClient.set(`task:${taskId}`, JSON.stringify(state));
+    } catch (error) {
+      this.logger.error(`Failed to update state for task ${taskId}:`, error);
+      return;
+    } finally {
+      if (redisClient) this.redisPool.releaseConnection(redisClient);
+    }
+
+    // Indexes and watchers trail the state record; ordering is kept per task
+    this.taskIndex.setStatus(taskId, state.status).catch(error => {
+      this.logger.error(`Failed to index status of task ${taskId}:`, error);
+    });
+    this.taskEvents.record(taskId, state).catch(error => {
+      this.logger.error(`Failed to record event for task ${taskId}:`, error);
+    });
+  }
+
+  finishTask(message) {
+    this.commitMessage(message);
+    this.processQueue();
+  }
+
+  async processTask(task, signal) {
+    // Tasks that did not come through SubmitTask are indexed on first run
+    const [stored] = await Promise.all([
+      this.getTaskState(task.id),
+      this.taskIndex.add({ id: task.id, type: task.type, createdAt: task.submittedAt })
+    ]);
+
+    // Cancelled through the control plane before any processor started it
+    if (stored && stored.status === 'CANCELLED') {
+      throw new TaskCancelledError(task.id, stored.reason);
+    }
+
+    const claim = await this.claimIdempotencyKey(task);
+    // Timed out or cancelled while claiming: the abort path has already
+    // released the slot and found no claim to drop, so drop it here
+    if (signal && signal.aborted) {
+      if (claim.claimed) await this.releaseIdempotencyKey(task.id);
+      throw signal.reason;
+    }
+    if (!claim.claimed) {
+      if (claim.record.status !== 'COMPLETED') {
+        throw new DuplicateTaskError(task.id, claim.key);
+      }
+      // Already done: answer with the stored result and leave task state alone
+      this.stats.duplicates++;
+      this.emit('taskDuplicate', task, claim.record);
+      return claim.record.result;
+    }
+
+    // Store task state
+    const state = { status: 'PROCESSING', type: task.type, startedAt: new Date(), progress: 0, partialCount: 0 };
+    await this.updateTaskState(task.id, state);
+
+    // Process task (dispatched to the registered handler)
+    const context = this.createTaskContext(task, state, signal);
+    const result = await this.executeTaskLogic(task, context);
+    await context.flush();
+
+    // A handler that ignored its signal must not overwrite the timeout/cancel state
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+
+    // Update task state
+    await this.updateTaskState(task.id, {
+      ...state,
+      status: 'COMPLETED',
+      progress: 100,
+      result,
+      completedAt: new Date(),
+      updated_at: Date.now()
+    });
+    await this.recordIdempotentResult(task, result);
+
+    return result;
+  }
+
+  /**
+   * Context handed to task handlers. reportProgress() and emitPartial()
+   * update task:{id} and publish to task.results; updates are written in
+   * call order and dropped once the task has been aborted.
+   */
+  createTaskContext(task, state, signal) {
+    let pending = Promise.resolve();
+    const enqueue = update => {
+      if (signal && signal.aborted) return pending;
+      pending = pending.then(update).catch(error => {
+        this.logger.error(`Failed to report progress for task ${task.id}:`, error);
+      });
+      return pending;
+    };
+
+    return {
+      signal,
+      reportProgress: (pct, message) => enqueue(async () => {
+        state.progress = Math.max(0, Math.min(100, Number(pct) || 0));
+        state.progressMessage = message || null;
+        state.updated_at = Date.now();
+        await this.updateTaskState(task.id, state);
+        await this.publishTaskUpdate(task, {
+          type: 'PROGRESS',
+          progress: state.progress,
+          message: state.progressMessage
         });
+      }),
+      emitPartial: chunk => enqueue(async () => {
+        const sequence = state.partialCount++;
+        state.updated_at = Date.now();
+        await this.updateTaskState(task.id, state);
+        await this.publishTaskUpdate(task, { type: 'PARTIAL', sequence, chunk });
+      }),
+      flush: () => pending
+    };
+  }
+
+  // Workflow step updates are keyed by run so one processor sees them all
+  async publishTaskUpdate(task, update) {
+    await this.producer.send({
+      topic: KafkaTopics.TASK_RESULTS.name,
+      messages: [{
+        key: task.workflow ? task.workflow.runId : task.id,
+        value: JSON.stringify({
+          taskId: task.id,
+          taskType: task.type,
+          workflow: task.workflow,
+          timestamp: Date.now(),
+          ...update
+        })
+      }]
+    });
+  }
+
+  // Final outcomes are best effort; the task state in Redis is authoritative
+  async publishTaskOutcome(task, outcome) {
+    try {
+      await this.publishTaskUpdate(task, outcome);
     } catch (error) {
-      this.logger.error('Task processing failed:', error);
+      this.logger.error(`Failed to publish outcome of task ${task.id}:`, error);
     }
   }
 
-  async processTask(task) {
+  getIdempotencyKey(task) {
+    return task.idempotencyKey || task.id;
+  }
+
+  /**
+   * Claim the task's idempotency key with SET NX. The claim is a lease of
+   * twice the task timeout, so a processor that dies mid-task does not
+   * block redeliveries for the whole dedupe window. Resolves with
+   * { claimed, key, record } where record is the existing entry when the
+   * key was already taken.
+   */
+  async claimIdempotencyKey(task) {
+    const key = this.getIdempotencyKey(task);
+    if (!key) return { claimed: true, key: null };
+
+    const token = crypto.randomUUID();
+    const lease = this.getTaskTimeout(task) * 2;
+
     const redisClient = await this.redisPool.getConnection();
     try {
-      // Store task state
-      await redisClient.setAsync(
-        `task:${task.id}`, 
-        JSON.stringify({ status: 'processing', startedAt: new Date() })
+      const claimed = await redisClient.set(
+        `idempotency:${key}`,
+        JSON.stringify({ status: 'CLAIMED', taskId: task.id, token, claimedAt: Date.now() }),
+        { NX: true, PX: lease }
       );
+      if (claimed) {
+        this.idempotencyClaims.set(task.id, { key, token });
+        return { claimed: true, key };
+      }
 
-      // Process task (to be implemented by specific task handlers)
-      const result = await this.executeTaskLogic(task);
-      
-      // Update task state
-      await redisClient.setAsync(
-        `task:${task.id}`,
-        JSON.stringify({ status: 'completed', result, completedAt: new Date() })
+      const existing = await redisClient.get(`idempotency:${key}`);
+      return { claimed: false, key, record: existing ? JSON.parse(existing) : { status: 'CLAIMED' } };
+    } finally {
+      this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
+  async recordIdempotentResult(task, result) {
+    const claim = this.idempotencyClaims.get(task.id);
+    if (!claim) return;
+    this.idempotencyClaims.delete(task.id);
+
+    let redisClient = null;
+    try {
+      redisClient = await this.redisPool.getConnection();
+      await redisClient.set(
+        `idempotency:${claim.key}`,
+        JSON.stringify({ status: 'COMPLETED', taskId: task.id, result, completedAt: Date.now() }),
+        { PX: this.config.dedupeWindow }
       );
+    } catch (error) {
+      this.logger.error(`Failed to record result for idempotency key ${claim.key}:`, error);
+    } finally {
+      if (redisClient) this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
+  // Only drops the key if this processor still holds the claim
+  async releaseIdempotencyKey(taskId) {
+    const claim = this.idempotencyClaims.get(taskId);
+    if (!claim) return;
+    this.idempotencyClaims.delete(taskId);
 
-      return result;
+    let redisClient = null;
+    try {
+      redisClient = await this.redisPool.getConnection();
+      const existing = await redisClient.get(`idempotency:${claim.key}`);
+      if (existing && JSON.parse(existing).token === claim.token) {
+        await redisClient.del(`idempotency:${claim.key}`);
+      }
+    } catch (error) {
+      this.logger.error(`Failed to release idempotency key ${claim.key}:`, error);
     } finally {
-      this.redisPool.releaseConnection(redisClient);
+      if (redisClient) this.redisPool.releaseConnection(redisClient);
     }
   }
 
-  async executeTaskLogic(task) {
-    // To be implemented by specific task processors
-    throw new Error('Task logic not implemented');
+  // Dispatches on task.type to the registered handler; subclasses may
+  // still override this to handle every task themselves
+  async executeTaskLogic(task, context = {}) {
+    const entry = this.handlers.get(task.type);
+    if (!entry) {
+      throw new UnknownTaskTypeError(task.type);
+    }
+    return entry.handler(task, context);
   }
 
-  handleTaskError(task, error) {
+  // Task-level overrides win over the handler's, which win over the default
+  getRetryPolicy(task) {
+    const entry = this.handlers.get(task.type);
+    const overrides = [entry && entry.options.retryPolicy, task.retryPolicy].filter(Boolean);
+
+    return overrides.reduce((policy, override) => ({
+      ...policy,
+      ...override,
+      backoff: { ...policy.backoff, ...override.backoff }
+    }), this.config.retryPolicy);
+  }
+
+  getCircuitBreaker(type) {
+    const key = type || '*';
+    if (!this.circuitBreakers.has(key)) {
+      this.circuitBreakers.set(key, new CircuitBreaker(this.config.circuitBreaker));
+    }
+    return this.circuitBreakers.get(key);
+  }
+
+  /**
+   * Retry the task's original message after a jittered backoff, or send it
+   * to the DLQ when the error is permanent, attempts are exhausted or the
+   * type's circuit is open. The message offset stays uncommitted while a
+   * retry is pending, so a crash leads to redelivery rather than loss.
+   */
+  async handleTaskError(task, error, message) {
+    const retryPolicy = this.getRetryPolicy(task);
     const attempts = (task.attempts || 0) + 1;
-    
-    if (attempts < this.config.retryPolicy.maxAttempts) {
-      const delay = Math.min(
-        this.config.retryPolicy.backoff.initial * Math.pow(
-          this.config.retryPolicy.backoff.factor, 
-          attempts - 1
-        ),
-        this.config.retryPolicy.backoff.max
-      );
-      
-      setTimeout(() => {
-        this.stats.retries++;
-        this.handleTask({ 
-          ...task, 
-          attempts,
-          lastError: error.message 
-        });
-      }, delay);
+    task.attemptHistory = [
+      ...(task.attemptHistory || []),
+      { attempt: attempts, error: error.message, code: error.code || null, at: Date.now() }
+    ];
+
+    let reason = null;
+    if (!isRetryable(error, retryPolicy)) {
+      reason = error.code || 'NON_RETRYABLE';
     } else {
+      const breaker = this.getCircuitBreaker(task.type);
+      if (breaker.recordFailure()) {
+        this.logger.warn(`Circuit opened for task type ${task.type}`);
+        this.emit('circuitOpened', task.type, breaker.toJSON());
+      }
+      if (attempts >= retryPolicy.maxAttempts) {
+        reason = 'RETRIES_EXHAUSTED';
+      } else if (!breaker.allowRequest()) {
+        reason = 'CIRCUIT_OPEN';
+      }
+    }
+
+    if (reason) {
       this.logger.error(`Task ${task.id} failed after ${attempts} attempts`, error);
       this.emit('taskFailed', task, error);
+      // The workflow engine retries its own steps; only a step's last attempt is dead-lettered
+      if (task.workflow && task.workflow.attempt < task.workflow.maxAttempts) {
+        await this.failTask(task, error, message);
+      } else {
+        await this.deadLetter(task, error, message, { reason });
+      }
+      return;
+    }
+
+    const delay = computeBackoff(retryPolicy.backoff, attempts, task.retryDelay);
+    message.task = {
+      ...task,
+      attempts,
+      retryDelay: delay,
+      lastError: error.message
+    };
+    this.stats.retries++;
+    await this.updateTaskState(task.id, {
+      status: 'RETRYING',
+      type: task.type,
+      attempt: attempts,
+      error: error.message,
+      nextAttemptAt: Date.now() + delay,
+      updated_at: Date.now()
+    });
+    this.emit('taskRetrying', message.task, error, delay);
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this.retryWaits.delete(task.id);
+      this.handleTask(message);
+    }, delay);
+    this.retryTimers.add(timer);
+    this.retryWaits.set(task.id, { timer, message });
+  }
+
+  /**
+   * Park a task on the DLQ. The offset is only committed once the entry is
+   * stored; until then adding it is retried with the default backoff, and
+   * a shutdown in between leaves the task to be redelivered.
+   */
+  async deadLetter(task, error, message, options = {}) {
+    const reason = options.reason || error.code || 'DEAD_LETTERED';
+    const attempt = (options.attempt || 0) + 1;
+
+    try {
+      await this.deadLetterQueue.add(task, error, { reason });
+    } catch (dlqError) {
+      const delay = computeBackoff(this.config.retryPolicy.backoff, attempt);
+      this.logger.error(`Failed to dead-letter task ${task.id}, retrying in ${delay}ms:`, dlqError);
+      const timer = setTimeout(() => {
+        this.retryTimers.delete(timer);
+        this.deadLetter(task, error, message, { ...options, attempt }).catch(retryError => {
+          this.logger.error(`Failed to dead-letter task ${task.id}:`, retryError);
+        });
+      }, delay);
+      this.retryTimers.add(timer);
+      return;
     }
+
+    this.stats.deadLettered++;
+    this.logger.error(`Task ${task.id} dead-lettered: ${error.message}`);
+    this.emit('taskDeadLettered', task, error);
+    await this.failTask(task, error, message, { deadLetterReason: reason });
+  }
+
+  // Record the task as failed, report it on task.results and release its offset
+  async failTask(task, error, message, fields = {}) {
+    await this.updateTaskState(task.id, {
+      status: 'FAILED',
+      type: task.type,
+      reason: error instanceof TaskTimeoutError ? 'TIMEOUT' : (error.code || 'FAILED'),
+      error: error.message,
+      ...fields,
+      failedAt: new Date()
+    });
+
+    await this.publishTaskOutcome(task, {
+      type: 'FAILED',
+      error: { name: error.name, message: error.message, code: error.code || null }
+    });
+    this.finishTask(message);
   }
 
   processQueue() {
-    while (this.taskQueue.length > 0 && 
-           this.activeTasks.size < this.config.maxConcurrentTasks) {
-      const message = this.taskQueue.shift();
+    const tenantOf = queued => this.tenants.tenantOf(queued.task);
+    while (!this.isPaused && this.activeTasks.size < this.getConcurrencyLimit()) {
+      // Tenants take turns by weight; priority orders tasks within a tenant.
+      // Tasks whose type or tenant is at its own limit are skipped over.
+      let message = null;
+      for (const tenantId of this.tenants.fairOrder(Object.keys(this.taskQueue.countBy(tenantOf)))) {
+        if (!this.tenants.canStart(tenantId)) continue;
+        message = this.taskQueue.take(queued =>
+          tenantOf(queued) === tenantId && this.handlers.canStart(queued.task.type)
+        );
+        if (message) break;
+      }
+      if (!message) break;
+
       this.handleTask(message);
     }
+    this.applyBackpressure();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      active: this.activeTasks.size,
+      concurrencyLimit: this.getConcurrencyLimit(),
+      queued: this.taskQueue.length,
+      queueDepth: this.taskQueue.depthByBand(),
+      tenants: this.tenants.stats(this.taskQueue.countBy(queued => this.tenants.tenantOf(queued.task))),
+      circuits: Object.fromEntries([...this.circuitBreakers].map(([type, breaker]) => [type, breaker.toJSON()]))
+    };
+  }
+
+  // Flat numeric view of getStats() for the metrics registry
+  getMetricValues() {
+    const stats = this.getStats();
+    const depth = Object.entries(stats.queueDepth).map(([band, count]) => [`queued_${band}`, count]);
+    return { ...stats, ...Object.fromEntries(depth) };
+  }
+
+  // Stop fetching task requests while the overflow queue is full
+  applyBackpressure() {
+    if (!this.taskConsumer || this.isShuttingDown) return;
+
+    const topics = [{ topic: KafkaTopics.TASK_REQUESTS.name }];
+    if (!this.consumersPaused && this.taskQueue.length >= this.config.maxQueuedTasks) {
+      this.taskConsumer.pause(topics);
+      this.consumersPaused = true;
+    } else if (this.consumersPaused && this.taskQueue.length < this.config.maxQueuedTasks / 2) {
+      this.taskConsumer.resume(topics);
+      this.consumersPaused = false;
+    }
   }
 
+  // In-flight tasks run to completion; new tasks wait in the queue
   pauseProcessing() {
     this.isPaused = true;
     this.logger.info('Task processing paused');
@@ -175,8 +937,52 @@ class TaskProcessor extends EventEmitter {
     this.logger.info('Task processing resumed');
   }
 
+  /**
+   * Stop fetching, wait up to drainTimeout for in-flight tasks to settle
+   * and commit their offsets, then disconnect. Queued tasks that never
+   * started stay uncommitted and are redelivered to another processor.
+   */
   async shutdown() {
+    this.isShuttingDown = true;
     try {
+      await this.scheduler.stop();
+
+      // Pause rather than stop: a stopped consumer can no longer commit
+      for (const { consumer, topics } of this.consumers.values()) {
+        consumer.pause(topics.map(topic => ({ topic })));
+      }
+      this.taskQueue.clear();
+      // Pending retries stay uncommitted and are redelivered elsewhere
+      this.retryTimers.forEach(timer => clearTimeout(timer));
+      this.retryTimers.clear();
+      this.retryWaits.clear();
+      await this.cancellations.stop();
+
+      let drainTimer;
+      const drained = await Promise.race([
+        Promise.allSettled([...this.activeTasks.values()].map(active => active.promise)).then(() => true),
+        new Promise(resolve => {
+          drainTimer = setTimeout(() => resolve(false), this.config.drainTimeout);
+        })
+      ]);
+      clearTimeout(drainTimer);
+      if (!drained) {
+        this.logger.warn(`Shutdown drain timed out with ${this.activeTasks.size} active tasks`);
+      }
+      // Let settled tasks record their offsets before disconnecting
+      await new Promise(resolve => setImmediate(resolve));
+      await Promise.allSettled([...this.pendingCommits]);
+
+      for (const { consumer } of this.consumers.values()) {
+        await consumer.disconnect();
+      }
+      this.consumers.clear();
+      this.workflows.stop();
+      if (this.unregisterMetrics) {
+        this.unregisterMetrics();
+        this.unregisterMetrics = null;
+      }
+      await this.producer.disconnect();
       await this.redisPool.close();
       this.logger.info('Task processor shutdown complete');
     } catch (error) {
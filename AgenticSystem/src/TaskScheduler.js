@@ -0,0 +1,302 @@
+/**
+ * Task Scheduler: cron, interval and one-shot delayed tasks
+ */
+const Joi = require('joi');
+const KafkaTopics = require('./KafkaTopics');
+const CronExpression = require('./CronExpression');
+const { ScheduleValidationError } = require('./errors');
+
+const scheduleSchema = Joi.object({
+  id: Joi.string().pattern(/^[A-Za-z0-9_.-]+$/),
+  name: Joi.string().required(),
+  task: Joi.object({
+    type: Joi.string().required(),
+    payload: Joi.any(),
+    priority: Joi.number().integer(),
+    timeout: Joi.number().integer().min(0)
+  }).required(),
+  cron: Joi.string(),
+  runAt: Joi.number().integer().min(0),
+  interval: Joi.number().integer().min(1000),
+  enabled: Joi.boolean().default(true)
+}).xor('cron', 'runAt', 'interval');
+
+/**
+ * Schedules live in Redis as `${keyPrefix}def:{id}`, indexed in the
+ * `${keyPrefix}all` sorted set. Upcoming runs sit in `${keyPrefix}due`
+ * scored by their next run time. Every processor polls the due set and
+ * claims a run by removing its member: ZREM succeeds for exactly one
+ * instance, so no leader is needed. The fired task id is derived from the
+ * schedule and run time, so a run fired twice after a crash is caught by
+ * the processor's idempotency keys. Changes to a definition hold
+ * `${keyPrefix}lock:{id}`, so a fire writing the schedule back cannot undo
+ * a remove() or setEnabled() made while its task was being sent.
+ */
+class TaskScheduler {
+  constructor(config = {}) {
+    this.producer = config.producer;
+    this.redisPool = config.redisPool;
+    this.logger = config.logger || console;
+    this.keyPrefix = config.keyPrefix || 'schedule:';
+    this.topic = config.topic || KafkaTopics.TASK_REQUESTS.name;
+    this.pollInterval = config.pollInterval || 1000;
+    this.lockTtl = config.lockTtl || 10000;
+    this.lockTimeout = config.lockTimeout || 5000;
+    this.lockRetryDelay = config.lockRetryDelay || 20;
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  /**
+   * Re-index enabled schedules (a claim lost to a crash between ZREM and
+   * the re-add would otherwise drop the schedule) and start polling
+   */
+  async start() {
+    for (const schedule of await this.list()) {
+      if (schedule.enabled && schedule.nextRunAt) {
+        await this._withClient(redisClient =>
+          redisClient.zAdd(this._dueKey(), { score: schedule.nextRunAt, value: schedule.id })
+        );
+      }
+    }
+
+    this.timer = setInterval(() => {
+      if (this.ticking) return;
+      this.ticking = this.tick()
+        .catch(error => this.logger.error('Scheduler tick failed:', error))
+        .finally(() => { this.ticking = null; });
+    }, this.pollInterval);
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.ticking;
+  }
+
+  async create(spec) {
+    const { error, value } = scheduleSchema.validate(spec, { abortEarly: false });
+    if (error) {
+      const details = error.details.reduce((acc, curr) => {
+        acc[curr.path.join('.') || 'schedule'] = curr.message;
+        return acc;
+      }, {});
+      throw new ScheduleValidationError('Invalid schedule', details);
+    }
+
+    const now = Date.now();
+    const schedule = {
+      ...value,
+      id: value.id || crypto.randomUUID(),
+      runCount: 0,
+      lastRunAt: null,
+      createdAt: now
+    };
+    schedule.nextRunAt = this.nextRunTime(schedule, now);
+    if (schedule.nextRunAt === null) {
+      throw new ScheduleValidationError(`Schedule ${schedule.name} never fires`);
+    }
+
+    await this._withClient(async redisClient => {
+      await redisClient.set(this._defKey(schedule.id), JSON.stringify(schedule));
+      await redisClient.zAdd(this._allKey(), { score: schedule.createdAt, value: schedule.id });
+      if (schedule.enabled) {
+        await redisClient.zAdd(this._dueKey(), { score: schedule.nextRunAt, value: schedule.id });
+      }
+    });
+    return schedule;
+  }
+
+  async get(id) {
+    return this._withClient(async redisClient => {
+      const data = await redisClient.get(this._defKey(id));
+      return data ? JSON.parse(data) : null;
+    });
+  }
+
+  async list() {
+    return this._withClient(async redisClient => {
+      const ids = await redisClient.zRangeByScore(this._allKey(), '-inf', '+inf');
+      if (ids.length === 0) return [];
+
+      const values = await redisClient.mGet(ids.map(id => this._defKey(id)));
+      return values.filter(Boolean).map(value => JSON.parse(value));
+    });
+  }
+
+  async remove(id) {
+    return this._withLock(id, () => this._withClient(async redisClient => {
+      await redisClient.zRem(this._dueKey(), id);
+      await redisClient.zRem(this._allKey(), id);
+      return (await redisClient.del(this._defKey(id))) > 0;
+    }));
+  }
+
+  // Paused schedules skip the runs they miss rather than catching up
+  async setEnabled(id, enabled) {
+    return this._withLock(id, async () => {
+      const schedule = await this.get(id);
+      if (!schedule) return null;
+
+      schedule.enabled = enabled;
+      if (enabled && schedule.nextRunAt !== null) {
+        schedule.nextRunAt = Math.max(schedule.nextRunAt, this.nextRunTime(schedule, Date.now()));
+      }
+
+      await this._withClient(async redisClient => {
+        await redisClient.set(this._defKey(id), JSON.stringify(schedule));
+        if (enabled && schedule.nextRunAt !== null) {
+          await redisClient.zAdd(this._dueKey(), { score: schedule.nextRunAt, value: id });
+        } else {
+          await redisClient.zRem(this._dueKey(), id);
+        }
+      });
+      return schedule;
+    });
+  }
+
+  /**
+   * Fire every schedule due at `now` that this instance manages to claim
+   */
+  async tick(now = Date.now()) {
+    const ids = await this._withClient(redisClient =>
+      redisClient.zRangeByScore(this._dueKey(), '-inf', now)
+    );
+
+    const fired = [];
+    for (const id of ids) {
+      const claimed = await this._withClient(redisClient => redisClient.zRem(this._dueKey(), id));
+      if (!claimed) continue; // another instance got there first
+
+      try {
+        const schedule = await this.fire(id, now);
+        if (schedule) fired.push(schedule);
+      } catch (error) {
+        this.logger.error(`Failed to fire schedule ${id}:`, error);
+      }
+    }
+    return fired;
+  }
+
+  async fire(id, now) {
+    const schedule = await this.get(id);
+    if (!schedule || !schedule.enabled || schedule.nextRunAt === null) return null;
+
+    const scheduledFor = schedule.nextRunAt;
+    const task = {
+      ...schedule.task,
+      id: `${schedule.id}:${scheduledFor}`,
+      scheduledBy: { scheduleId: schedule.id, scheduledFor }
+    };
+
+    try {
+      await this.producer.send({
+        topic: this.topic,
+        messages: [{ key: task.id, value: JSON.stringify(task) }]
+      });
+    } catch (error) {
+      // Put the run back so the next tick tries again, unless the schedule
+      // was removed or paused meanwhile
+      await this._withLock(id, async () => {
+        const current = await this.get(id);
+        if (current && current.enabled) {
+          await this._withClient(redisClient => redisClient.zAdd(this._dueKey(), { score: scheduledFor, value: id }));
+        }
+      });
+      throw error;
+    }
+
+    return this._withLock(id, async () => {
+      // Re-read: the task has fired, but a removal or pause made while it
+      // was being sent must stick
+      const current = await this.get(id);
+      if (!current) return schedule;
+
+      current.runCount++;
+      current.lastRunAt = now;
+      current.nextRunAt = this.nextRunTime(current, now, scheduledFor);
+
+      await this._withClient(async redisClient => {
+        await redisClient.set(this._defKey(id), JSON.stringify(current));
+        if (current.enabled && current.nextRunAt !== null) {
+          await redisClient.zAdd(this._dueKey(), { score: current.nextRunAt, value: id });
+        }
+      });
+      return current;
+    });
+  }
+
+  /**
+   * Next run strictly after `now`. Runs missed while nothing was polling
+   * are skipped, not replayed. One-shot schedules return null once fired.
+   */
+  nextRunTime(schedule, now, lastScheduled = null) {
+    if (schedule.runAt !== undefined) {
+      return lastScheduled === null ? schedule.runAt : null;
+    }
+    if (schedule.interval) {
+      if (lastScheduled === null) return now + schedule.interval;
+      const next = lastScheduled + schedule.interval;
+      return next > now ? next : now + schedule.interval;
+    }
+
+    try {
+      return CronExpression.parse(schedule.cron).next(now);
+    } catch (error) {
+      throw new ScheduleValidationError(error.message, { cron: schedule.cron });
+    }
+  }
+
+  // Run `fn` holding the schedule's lock, waiting up to lockTimeout for it
+  async _withLock(id, fn) {
+    const key = this._lockKey(id);
+    const token = crypto.randomUUID();
+    const deadline = Date.now() + this.lockTimeout;
+    while (!await this._withClient(redisClient => redisClient.set(key, token, { NX: true, PX: this.lockTtl }))) {
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for the lock on schedule ${id}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.lockRetryDelay));
+    }
+
+    try {
+      return await fn();
+    } finally {
+      // Only release the lock if it has not expired and been taken over
+      await this._withClient(async redisClient => {
+        if (await redisClient.get(key) === token) {
+          await redisClient.del(key);
+        }
+      }).catch(error => {
+        this.logger.error(`Failed to release the lock on schedule ${id}:`, error);
+      });
+    }
+  }
+
+  async _withClient(fn) {
+    const redisClient = await this.redisPool.getConnection();
+    try {
+      return await fn(redisClient);
+    } finally {
+      this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
+  _defKey(id) {
+    return `${this.keyPrefix}def:${id}`;
+  }
+
+  _lockKey(id) {
+    return `${this.keyPrefix}lock:${id}`;
+  }
+
+  _allKey() {
+    return `${this.keyPrefix}all`;
+  }
+
+  _dueKey() {
+    return `${this.keyPrefix}due`;
+  }
+}
+
+module.exports = TaskScheduler;
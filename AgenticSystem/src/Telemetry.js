@@ -0,0 +1,33 @@
+/**
+ * Process-wide metrics registry and log sink
+ *
+ * Components default to these instances so the control plane can serve
+ * everything the process records; pass `metrics` / `logger` in a
+ * component's config to use separate ones.
+ */
+const MetricsRegistry = require('./MetricsRegistry');
+const { LogSink } = require('./LogSink');
+
+const logs = new LogSink();
+const metrics = new MetricsRegistry({ logger: logs.createLogger('MetricsRegistry') });
+
+metrics.register('process', () => {
+  const memory = process.memoryUsage();
+  const cpu = process.cpuUsage();
+  return {
+    rss: memory.rss,
+    heapUsed: memory.heapUsed,
+    heapTotal: memory.heapTotal,
+    cpuUser: cpu.user,
+    cpuSystem: cpu.system,
+    uptime: process.uptime()
+  };
+});
+
+const createLogger = source => logs.createLogger(source);
+
+module.exports = {
+  metrics,
+  logs,
+  createLogger
+};
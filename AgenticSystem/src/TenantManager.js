@@ -0,0 +1,124 @@
+/**
+ * Tenant Manager: weighted fair scheduling, concurrency caps and daily quotas
+ */
+const DEFAULT_TENANT = 'default';
+
+const DEFAULT_TENANT_OPTIONS = {
+  weight: 1,
+  maxConcurrent: Infinity,
+  dailyQuota: null
+};
+
+class TenantManager {
+  /**
+   * `tenants` maps tenant id -> { weight, maxConcurrent, dailyQuota };
+   * tenants not listed get `defaults`
+   */
+  constructor(config = {}) {
+    this.tenants = config.tenants || {};
+    this.defaults = { ...DEFAULT_TENANT_OPTIONS, ...config.defaults };
+    this.redisPool = config.redisPool;
+    this.keyPrefix = config.keyPrefix || 'quota:';
+
+    this.active = new Map();     // tenantId -> running task count
+    this.finishTags = new Map(); // tenantId -> virtual finish time of its last dispatch
+    this.virtualTime = 0;
+  }
+
+  tenantOf(task) {
+    return task.tenantId || DEFAULT_TENANT;
+  }
+
+  options(tenantId) {
+    return { ...this.defaults, ...this.tenants[tenantId] };
+  }
+
+  canStart(tenantId) {
+    return (this.active.get(tenantId) || 0) < this.options(tenantId).maxConcurrent;
+  }
+
+  /**
+   * Start-time fair queuing: each dispatch advances the tenant's finish tag
+   * by 1/weight, and the tenant with the earliest start tag goes next. A
+   * tenant returning from idle starts at the current virtual time, so it
+   * gets no credit for the time it was away.
+   */
+  acquire(tenantId) {
+    const start = this.startTag(tenantId);
+    this.virtualTime = start;
+    this.finishTags.set(tenantId, start + 1 / this.options(tenantId).weight);
+    this.active.set(tenantId, (this.active.get(tenantId) || 0) + 1);
+  }
+
+  release(tenantId) {
+    const count = (this.active.get(tenantId) || 0) - 1;
+    if (count > 0) {
+      this.active.set(tenantId, count);
+    } else {
+      this.active.delete(tenantId);
+    }
+  }
+
+  startTag(tenantId) {
+    return Math.max(this.virtualTime, this.finishTags.get(tenantId) || 0);
+  }
+
+  // Tenants in the order they should be served
+  fairOrder(tenantIds) {
+    return [...tenantIds].sort((a, b) => this.startTag(a) - this.startTag(b));
+  }
+
+  /**
+   * Count a submission against the tenant's daily quota. The counter is
+   * incremented first and rolled back on a breach, so concurrent
+   * submissions cannot overshoot. Days are UTC.
+   */
+  async consumeQuota(tenantId, now = Date.now()) {
+    const limit = this.options(tenantId).dailyQuota;
+    if (!limit) return { allowed: true, used: null, limit: null };
+
+    const day = new Date(now).toISOString().slice(0, 10);
+    const key = `${this.keyPrefix}${tenantId}:${day}`;
+    const redisClient = await this.redisPool.getConnection();
+    try {
+      const used = await redisClient.incr(key);
+      if (used === 1) {
+        // Keep a day's counter a little past midnight for inspection
+        await redisClient.expire(key, 2 * 24 * 60 * 60);
+      }
+      if (used > limit) {
+        await redisClient.decr(key);
+        return { allowed: false, used: limit, limit };
+      }
+      return { allowed: true, used, limit };
+    } finally {
+      this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
+  // Give back a submission counted by consumeQuota at `now`
+  async refundQuota(tenantId, now = Date.now()) {
+    if (!this.options(tenantId).dailyQuota) return;
+
+    const day = new Date(now).toISOString().slice(0, 10);
+    const redisClient = await this.redisPool.getConnection();
+    try {
+      await redisClient.decr(`${this.keyPrefix}${tenantId}:${day}`);
+    } finally {
+      this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
+  stats(queuedByTenant = {}) {
+    const tenantIds = new Set([...this.active.keys(), ...Object.keys(queuedByTenant)]);
+    return Object.fromEntries([...tenantIds].map(tenantId => [tenantId, {
+      active: this.active.get(tenantId) || 0,
+      queued: queuedByTenant[tenantId] || 0
+    }]));
+  }
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  TenantManager
+};
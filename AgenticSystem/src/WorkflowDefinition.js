@@ -0,0 +1,168 @@
+/**
+ * Workflow definitions: a DAG of steps parsed from JSON or YAML
+ */
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const { WorkflowValidationError } = require('./errors');
+
+const CONDITION_OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  exists: actual => actual !== undefined && actual !== null,
+  truthy: actual => Boolean(actual)
+};
+
+const conditionSchema = Joi.object({
+  path: Joi.string().required(),
+  op: Joi.string().valid(...Object.keys(CONDITION_OPERATORS)).default('truthy'),
+  value: Joi.any()
+});
+
+const stepSchema = Joi.object({
+  id: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).required(),
+  type: Joi.string().required(),
+  dependsOn: Joi.array().items(Joi.string()).default([]),
+  payload: Joi.any(),
+  // Path to an array; the step runs once per element (fan-out) and its
+  // result is the array of element results (fan-in for dependents)
+  forEach: Joi.string(),
+  // All conditions must hold for the step to run, otherwise it is skipped
+  when: Joi.alternatives(conditionSchema, Joi.array().items(conditionSchema)),
+  timeout: Joi.number().integer().min(0),
+  priority: Joi.number().integer(),
+  retry: Joi.object({
+    maxAttempts: Joi.number().integer().min(1).default(1),
+    backoff: Joi.object({
+      initial: Joi.number().min(0).default(1000),
+      max: Joi.number().min(0).default(10000),
+      factor: Joi.number().min(1).default(2)
+    }).default()
+  }).default()
+});
+
+const definitionSchema = Joi.object({
+  name: Joi.string().required(),
+  version: Joi.string(),
+  description: Joi.string(),
+  steps: Joi.array().items(stepSchema).min(1).required()
+});
+
+/**
+ * Look up a dotted path ("steps.fetch.result.files") in `scope`
+ */
+function resolvePath(scope, path) {
+  return path.split('.').reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    scope
+  );
+}
+
+function evaluateCondition(when, scope) {
+  if (!when) return true;
+  const conditions = Array.isArray(when) ? when : [when];
+  return conditions.every(({ path, op = 'truthy', value }) =>
+    CONDITION_OPERATORS[op](resolvePath(scope, path), value)
+  );
+}
+
+class WorkflowDefinition {
+  constructor(definition) {
+    const { error, value } = definitionSchema.validate(definition, { abortEarly: false });
+    if (error) {
+      const details = error.details.reduce((acc, curr) => {
+        acc[curr.path.join('.')] = curr.message;
+        return acc;
+      }, {});
+      throw new WorkflowValidationError('Invalid workflow definition', details);
+    }
+
+    this.name = value.name;
+    this.version = value.version || null;
+    this.description = value.description || null;
+    this.steps = new Map();
+    for (const step of value.steps) {
+      if (this.steps.has(step.id)) {
+        throw new WorkflowValidationError(`Duplicate step id: ${step.id}`, { step: step.id });
+      }
+      // Listing a dependency twice must not count as two edges
+      this.steps.set(step.id, { ...step, dependsOn: [...new Set(step.dependsOn)] });
+    }
+
+    for (const step of this.steps.values()) {
+      const missing = step.dependsOn.filter(dependency => !this.steps.has(dependency));
+      if (missing.length > 0) {
+        throw new WorkflowValidationError(
+          `Step ${step.id} depends on unknown steps: ${missing.join(', ')}`,
+          { step: step.id, missing }
+        );
+      }
+    }
+
+    this.order = this.topologicalOrder();
+  }
+
+  /**
+   * Parse a JSON or YAML document (or an already parsed object)
+   */
+  static parse(source) {
+    if (source instanceof WorkflowDefinition) return source;
+    if (typeof source !== 'string') return new WorkflowDefinition(source);
+
+    let definition;
+    try {
+      definition = yaml.load(source);
+    } catch (error) {
+      throw new WorkflowValidationError(`Workflow definition is not valid JSON or YAML: ${error.message}`);
+    }
+    return new WorkflowDefinition(definition);
+  }
+
+  // Kahn's algorithm; anything left over sits on a cycle
+  topologicalOrder() {
+    const indegree = new Map([...this.steps.keys()].map(id => [id, this.steps.get(id).dependsOn.length]));
+    const ready = [...indegree.keys()].filter(id => indegree.get(id) === 0);
+    const order = [];
+
+    while (ready.length > 0) {
+      const id = ready.shift();
+      order.push(id);
+      for (const dependent of this.dependentsOf(id)) {
+        indegree.set(dependent, indegree.get(dependent) - 1);
+        if (indegree.get(dependent) === 0) ready.push(dependent);
+      }
+    }
+
+    if (order.length !== this.steps.size) {
+      const cycle = [...this.steps.keys()].filter(id => !order.includes(id));
+      throw new WorkflowValidationError(`Workflow contains a dependency cycle: ${cycle.join(', ')}`, { cycle });
+    }
+    return order;
+  }
+
+  dependentsOf(stepId) {
+    return [...this.steps.values()]
+      .filter(step => step.dependsOn.includes(stepId))
+      .map(step => step.id);
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      ...(this.version ? { version: this.version } : {}),
+      ...(this.description ? { description: this.description } : {}),
+      steps: this.order.map(id => this.steps.get(id))
+    };
+  }
+}
+
+module.exports = {
+  CONDITION_OPERATORS,
+  WorkflowDefinition,
+  resolvePath,
+  evaluateCondition
+};
@@ -0,0 +1,502 @@
+/**
+ * Workflow Engine: runs DAG workflows by scheduling their steps as tasks
+ */
+const { EventEmitter } = require('events');
+const KafkaTopics = require('./KafkaTopics');
+const { WorkflowDefinition, resolvePath, evaluateCondition } = require('./WorkflowDefinition');
+const { WorkflowRunExistsError } = require('./errors');
+
+const RUN_STATUS = {
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED'
+};
+
+const STEP_STATUS = {
+  PENDING: 'PENDING',
+  RUNNING: 'RUNNING',
+  RETRYING: 'RETRYING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+  SKIPPED: 'SKIPPED',
+  CANCELLED: 'CANCELLED'
+};
+
+const TERMINAL_STEP_STATUSES = [
+  STEP_STATUS.COMPLETED,
+  STEP_STATUS.FAILED,
+  STEP_STATUS.SKIPPED,
+  STEP_STATUS.CANCELLED
+];
+
+/**
+ * Run state lives in Redis under `${keyPrefix}run:{id}`, with running
+ * workflows indexed in `${keyPrefix}active` so start() can pick them up
+ * after a restart. Step results may be handled by any processor, so every
+ * update to a run holds `${keyPrefix}lock:{id}` for its read-modify-write,
+ * and the step tasks it starts are only sent once the run is saved.
+ */
+class WorkflowEngine extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.producer = config.producer;
+    this.redisPool = config.redisPool;
+    this.logger = config.logger || console;
+    this.keyPrefix = config.keyPrefix || 'workflow:';
+    this.requestsTopic = config.requestsTopic || KafkaTopics.TASK_REQUESTS.name;
+    this.cancellations = config.cancellations;
+    // Finished runs are kept this long for inspection
+    this.retention = config.retention || 7 * 24 * 60 * 60 * 1000;
+    // A crashed holder's lock expires after lockTtl; waiters give up after lockTimeout
+    this.lockTtl = config.lockTtl || 30000;
+    this.lockTimeout = config.lockTimeout || 10000;
+    this.lockRetryDelay = config.lockRetryDelay || 20;
+
+    this.locks = new Map();        // runId -> tail of the update chain
+    this.outboxes = new Map();     // runId -> step tasks to send once the run is saved
+    this.retryTimers = new Map();  // "runId.stepId.index" -> pending retry timer
+  }
+
+  // Resume runs left active by a previous process
+  async start() {
+    const runIds = await this._withClient(redisClient =>
+      redisClient.zRangeByScore(this._activeKey(), '-inf', '+inf')
+    );
+
+    for (const runId of runIds) {
+      try {
+        await this.withRun(runId, run => this.resume(run));
+      } catch (error) {
+        this.logger.error(`Failed to resume workflow run ${runId}:`, error);
+      }
+    }
+  }
+
+  stop() {
+    for (const timer of this.retryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+  }
+
+  async startRun(source, input = {}, options = {}) {
+    const definition = WorkflowDefinition.parse(source);
+    const now = Date.now();
+    const run = {
+      id: options.runId || crypto.randomUUID(),
+      name: definition.name,
+      status: RUN_STATUS.RUNNING,
+      definition: definition.toJSON(),
+      input,
+      steps: Object.fromEntries(definition.order.map(id => [id, {
+        status: STEP_STATUS.PENDING,
+        units: [],
+        result: null,
+        error: null
+      }])),
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.withRun(run.id, async (initial, parsed) => {
+      await this._withClient(redisClient => redisClient.zAdd(this._activeKey(), { score: now, value: run.id }));
+      await this.advance(initial, parsed);
+      return initial;
+    }, run);
+
+    this.emit('workflowStarted', run);
+    return run;
+  }
+
+  async getRun(runId) {
+    return this._withClient(async redisClient => {
+      const data = await redisClient.get(this._runKey(runId));
+      return data ? JSON.parse(data) : null;
+    });
+  }
+
+  async cancelRun(runId, reason) {
+    return this.withRun(runId, async run => {
+      if (run.status !== RUN_STATUS.RUNNING) return run;
+
+      run.status = RUN_STATUS.CANCELLED;
+      run.error = reason || 'Cancelled';
+      await this.cancelOutstanding(run, reason);
+      await this.finish(run);
+      return run;
+    });
+  }
+
+  /**
+   * Apply a task.results update for a workflow step. Updates for attempts
+   * that are no longer current (late, duplicate or replayed) are ignored.
+   */
+  async handleResult(update) {
+    if (!update.workflow || !['COMPLETED', 'FAILED'].includes(update.type)) return;
+
+    const { runId, stepId, index } = update.workflow;
+    await this.withRun(runId, async (run, definition) => {
+      if (run.status !== RUN_STATUS.RUNNING) return run;
+
+      const step = run.steps[stepId];
+      const unit = step && step.units[index];
+      if (!unit || unit.taskId !== update.taskId || unit.status !== STEP_STATUS.RUNNING) {
+        return run;
+      }
+
+      if (update.type === 'COMPLETED') {
+        unit.status = STEP_STATUS.COMPLETED;
+        unit.result = update.result === undefined ? null : update.result;
+      } else {
+        unit.error = (update.error && update.error.message) || 'Step failed';
+        const retry = definition.steps.get(stepId).retry;
+        if (unit.attempts < retry.maxAttempts) {
+          const delay = Math.min(
+            retry.backoff.initial * Math.pow(retry.backoff.factor, unit.attempts - 1),
+            retry.backoff.max
+          );
+          unit.status = STEP_STATUS.RETRYING;
+          unit.retryAt = Date.now() + delay;
+          this.scheduleRetry(run.id, stepId, index, delay);
+          return run;
+        }
+        unit.status = STEP_STATUS.FAILED;
+      }
+
+      await this.advance(run, definition);
+      return run;
+    });
+  }
+
+  /**
+   * Serialize updates to one run: take its lock, load it, apply `fn`, save
+   * the result and only then send the step tasks `fn` dispatched. `initial`
+   * seeds the run for the first save of a new workflow, and is refused
+   * with WorkflowRunExistsError if a run with its id is already stored.
+   */
+  withRun(runId, fn, initial = null) {
+    const previous = this.locks.get(runId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const token = await this.acquireLock(runId);
+      const outbox = [];
+      this.outboxes.set(runId, outbox);
+      try {
+        const stored = await this.getRun(runId);
+        if (initial && stored) throw new WorkflowRunExistsError(runId);
+        const run = initial || stored;
+        if (!run) return null;
+
+        const definition = new WorkflowDefinition(run.definition);
+        const updated = await fn(run, definition);
+        if (updated) {
+          updated.updatedAt = Date.now();
+          await this.save(updated);
+          await this.sendTasks(outbox);
+        }
+        return updated;
+      } finally {
+        this.outboxes.delete(runId);
+        await this.releaseLock(runId, token);
+      }
+    });
+
+    this.locks.set(runId, next);
+    next.catch(() => {}).finally(() => {
+      if (this.locks.get(runId) === next) this.locks.delete(runId);
+    });
+    return next;
+  }
+
+  /**
+   * Settle finished steps, start every step whose dependencies are done
+   * and finish the run once nothing is left to do.
+   */
+  async advance(run, definition) {
+    let changed = true;
+    while (changed && run.status === RUN_STATUS.RUNNING) {
+      changed = false;
+
+      for (const stepId of definition.order) {
+        const state = run.steps[stepId];
+
+        if (state.status === STEP_STATUS.RUNNING && this.settleStep(state)) {
+          changed = true;
+        }
+        if (state.status === STEP_STATUS.PENDING && this.isReady(run, definition.steps.get(stepId))) {
+          await this.startStep(run, definition.steps.get(stepId));
+          changed = true;
+        }
+
+        if (state.status === STEP_STATUS.FAILED) {
+          run.status = RUN_STATUS.FAILED;
+          run.error = `Step ${stepId} failed: ${state.error}`;
+          await this.cancelOutstanding(run, run.error);
+          break;
+        }
+      }
+    }
+
+    const done = Object.values(run.steps).every(state => TERMINAL_STEP_STATUSES.includes(state.status));
+    if (run.status === RUN_STATUS.RUNNING && done) {
+      run.status = RUN_STATUS.COMPLETED;
+    }
+    if (run.status !== RUN_STATUS.RUNNING) {
+      await this.finish(run);
+    }
+  }
+
+  isReady(run, step) {
+    return step.dependsOn.every(dependency =>
+      TERMINAL_STEP_STATUSES.includes(run.steps[dependency].status)
+    );
+  }
+
+  // Mark a running step as finished once all of its units are
+  settleStep(state) {
+    const failed = state.units.find(unit => unit.status === STEP_STATUS.FAILED);
+    if (failed) {
+      state.status = STEP_STATUS.FAILED;
+      state.error = failed.error;
+      return true;
+    }
+    if (state.units.every(unit => unit.status === STEP_STATUS.COMPLETED)) {
+      state.status = STEP_STATUS.COMPLETED;
+      state.result = state.fanOut
+        ? state.units.map(unit => unit.result)
+        : state.units[0].result;
+      return true;
+    }
+    return false;
+  }
+
+  async startStep(run, step) {
+    const state = run.steps[step.id];
+    const scope = this.scopeFor(run);
+
+    // A step whose dependencies were all skipped sits on a branch not taken
+    const skippedBranch = step.dependsOn.length > 0 &&
+      step.dependsOn.every(dependency => run.steps[dependency].status === STEP_STATUS.SKIPPED);
+    if (skippedBranch || !evaluateCondition(step.when, scope)) {
+      state.status = STEP_STATUS.SKIPPED;
+      return;
+    }
+
+    let items = [undefined];
+    if (step.forEach) {
+      items = resolvePath(scope, step.forEach);
+      if (!Array.isArray(items)) {
+        state.status = STEP_STATUS.FAILED;
+        state.error = `forEach path ${step.forEach} did not resolve to an array`;
+        return;
+      }
+      state.fanOut = true;
+    }
+
+    state.status = STEP_STATUS.RUNNING;
+    state.startedAt = Date.now();
+    state.units = items.map((item, index) => ({
+      index,
+      item: item === undefined ? null : item,
+      status: STEP_STATUS.PENDING,
+      attempts: 0,
+      taskId: null,
+      result: null,
+      error: null
+    }));
+
+    for (const unit of state.units) {
+      await this.dispatch(run, step, unit);
+    }
+  }
+
+  async dispatch(run, step, unit) {
+    unit.attempts++;
+    unit.status = STEP_STATUS.RUNNING;
+    unit.taskId = `${run.id}.${step.id}.${unit.index}.${unit.attempts}`;
+    delete unit.retryAt;
+
+    const dependencies = Object.fromEntries(
+      step.dependsOn.map(dependency => [dependency, run.steps[dependency].result])
+    );
+    const task = {
+      id: unit.taskId,
+      type: step.type,
+      priority: step.priority,
+      timeout: step.timeout,
+      payload: {
+        params: step.payload === undefined ? null : step.payload,
+        input: run.input,
+        dependencies,
+        ...(run.steps[step.id].fanOut ? { item: unit.item, index: unit.index } : {})
+      },
+      workflow: {
+        runId: run.id,
+        stepId: step.id,
+        index: unit.index,
+        attempt: unit.attempts,
+        maxAttempts: step.retry.maxAttempts
+      },
+      // Step retries are driven by the workflow definition
+      retryPolicy: { maxAttempts: 1 }
+    };
+
+    this.outboxes.get(run.id).push(task);
+  }
+
+  /**
+   * Send step tasks of a saved run. A task that cannot be sent fails its
+   * attempt, leaving the step's retry policy to decide what happens next.
+   */
+  async sendTasks(tasks) {
+    for (const task of tasks) {
+      try {
+        await this.producer.send({
+          topic: this.requestsTopic,
+          messages: [{ key: task.id, value: JSON.stringify(task) }]
+        });
+      } catch (error) {
+        this.logger.error(`Failed to send workflow step task ${task.id}:`, error);
+        this.handleResult({
+          type: 'FAILED',
+          taskId: task.id,
+          workflow: task.workflow,
+          error: { message: `Step task could not be sent: ${error.message}` }
+        }).catch(resultError => {
+          this.logger.error(`Failed to fail workflow step task ${task.id}:`, resultError);
+        });
+      }
+    }
+  }
+
+  scheduleRetry(runId, stepId, index, delay) {
+    const key = `${runId}.${stepId}.${index}`;
+    clearTimeout(this.retryTimers.get(key));
+    this.retryTimers.set(key, setTimeout(() => {
+      this.retryTimers.delete(key);
+      this.withRun(runId, async (run, definition) => {
+        const unit = run.steps[stepId].units[index];
+        if (run.status !== RUN_STATUS.RUNNING || unit.status !== STEP_STATUS.RETRYING) return run;
+
+        await this.dispatch(run, definition.steps.get(stepId), unit);
+        return run;
+      }).catch(error => {
+        this.logger.error(`Failed to retry workflow step ${stepId} of run ${runId}:`, error);
+      });
+    }, delay));
+  }
+
+  // Re-arm retries lost with the previous process and start ready steps
+  async resume(run) {
+    if (run.status !== RUN_STATUS.RUNNING) return null;
+
+    for (const [stepId, state] of Object.entries(run.steps)) {
+      state.units
+        .filter(unit => unit.status === STEP_STATUS.RETRYING)
+        .forEach(unit => this.scheduleRetry(run.id, stepId, unit.index, Math.max(0, unit.retryAt - Date.now())));
+    }
+
+    await this.advance(run, new WorkflowDefinition(run.definition));
+    return run;
+  }
+
+  async cancelOutstanding(run, reason) {
+    for (const [stepId, state] of Object.entries(run.steps)) {
+      for (const unit of state.units) {
+        clearTimeout(this.retryTimers.get(`${run.id}.${stepId}.${unit.index}`));
+        this.retryTimers.delete(`${run.id}.${stepId}.${unit.index}`);
+
+        if (unit.status === STEP_STATUS.RUNNING) {
+          await this.cancellations.request(unit.taskId, reason);
+        }
+        if (unit.status === STEP_STATUS.RUNNING || unit.status === STEP_STATUS.RETRYING ||
+            unit.status === STEP_STATUS.PENDING) {
+          unit.status = STEP_STATUS.CANCELLED;
+        }
+      }
+      if (state.status === STEP_STATUS.RUNNING || state.status === STEP_STATUS.PENDING) {
+        state.status = STEP_STATUS.CANCELLED;
+      }
+    }
+  }
+
+  async finish(run) {
+    run.finishedAt = run.finishedAt || Date.now();
+    await this._withClient(redisClient => redisClient.zRem(this._activeKey(), run.id));
+    this.emit('workflowFinished', run);
+  }
+
+  scopeFor(run) {
+    return {
+      input: run.input,
+      steps: Object.fromEntries(Object.entries(run.steps).map(([id, state]) => [id, {
+        status: state.status,
+        result: state.result
+      }]))
+    };
+  }
+
+  async save(run) {
+    await this._withClient(async redisClient => {
+      const options = run.status === RUN_STATUS.RUNNING ? {} : { PX: this.retention };
+      await redisClient.set(this._runKey(run.id), JSON.stringify(run), options);
+    });
+  }
+
+  // Take the run's lock, waiting up to lockTimeout for another holder
+  async acquireLock(runId) {
+    const token = crypto.randomUUID();
+    const deadline = Date.now() + this.lockTimeout;
+    for (;;) {
+      const acquired = await this._withClient(redisClient =>
+        redisClient.set(this._lockKey(runId), token, { NX: true, PX: this.lockTtl })
+      );
+      if (acquired) return token;
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for the lock on workflow run ${runId}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.lockRetryDelay));
+    }
+  }
+
+  // Release the lock unless it expired and was taken over meanwhile
+  async releaseLock(runId, token) {
+    try {
+      await this._withClient(async redisClient => {
+        if (await redisClient.get(this._lockKey(runId)) === token) {
+          await redisClient.del(this._lockKey(runId));
+        }
+      });
+    } catch (error) {
+      this.logger.error(`Failed to release the lock on workflow run ${runId}:`, error);
+    }
+  }
+
+  async _withClient(fn) {
+    const redisClient = await this.redisPool.getConnection();
+    try {
+      return await fn(redisClient);
+    } finally {
+      this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
+  _runKey(runId) {
+    return `${this.keyPrefix}run:${runId}`;
+  }
+
+  _lockKey(runId) {
+    return `${this.keyPrefix}lock:${runId}`;
+  }
+
+  _activeKey() {
+    return `${this.keyPrefix}active`;
+  }
+}
+
+module.exports = {
+  RUN_STATUS,
+  STEP_STATUS,
+  WorkflowEngine
+};
@@ -0,0 +1,119 @@
+/**
+ * Core Agentic System Errors
+ */
+class InvalidStateTransitionError extends Error {
+  constructor(from, to, reason) {
+    super(`Invalid state transition from '${from}' to '${to}'` + (reason ? `: ${reason}` : ''));
+    this.name = 'InvalidStateTransitionError';
+    this.code = 'INVALID_STATE_TRANSITION';
+    this.from = from;
+    this.to = to;
+    this.reason = reason || null;
+    this.isOperational = true;
+  }
+}
+
+class TaskTimeoutError extends Error {
+  constructor(taskId, timeout) {
+    super(`Task ${taskId} timed out after ${timeout}ms`);
+    this.name = 'TaskTimeoutError';
+    this.code = 'TASK_TIMEOUT';
+    this.taskId = taskId;
+    this.timeout = timeout;
+    this.isOperational = true;
+  }
+}
+
+class TaskCancelledError extends Error {
+  constructor(taskId, reason) {
+    super(`Task ${taskId} was cancelled` + (reason ? `: ${reason}` : ''));
+    this.name = 'TaskCancelledError';
+    this.code = 'TASK_CANCELLED';
+    this.taskId = taskId;
+    this.isOperational = true;
+  }
+}
+
+class ConfigValidationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ConfigValidationError';
+    this.code = 'INVALID_CONFIG';
+    this.details = details;
+    this.isOperational = true;
+  }
+}
+
+class DelegationError extends Error {
+  constructor(message, code = 'DELEGATION_FAILED', details = {}) {
+    super(message);
+    this.name = 'DelegationError';
+    this.code = code;
+    this.details = details;
+    this.isOperational = true;
+  }
+}
+
+class UnknownTaskTypeError extends Error {
+  constructor(type) {
+    super(`No handler registered for task type: ${type}`);
+    this.name = 'UnknownTaskTypeError';
+    this.code = 'UNKNOWN_TASK_TYPE';
+    this.taskType = type;
+    this.isOperational = true;
+  }
+}
+
+class DuplicateTaskError extends Error {
+  constructor(taskId, idempotencyKey) {
+    super(`Task ${taskId} is already being processed under idempotency key ${idempotencyKey}`);
+    this.name = 'DuplicateTaskError';
+    this.code = 'DUPLICATE_TASK';
+    this.taskId = taskId;
+    this.idempotencyKey = idempotencyKey;
+    this.isOperational = true;
+  }
+}
+
+class WorkflowValidationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'WorkflowValidationError';
+    this.code = 'INVALID_WORKFLOW';
+    this.details = details;
+    this.isOperational = true;
+  }
+}
+
+class WorkflowRunExistsError extends Error {
+  constructor(runId) {
+    super(`Workflow run ${runId} already exists`);
+    this.name = 'WorkflowRunExistsError';
+    this.code = 'WORKFLOW_RUN_EXISTS';
+    this.runId = runId;
+    this.isOperational = true;
+  }
+}
+
+class ScheduleValidationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ScheduleValidationError';
+    this.code = 'INVALID_SCHEDULE';
+    this.details = details;
+    this.isOperational = true;
+  }
+}
+
+module.exports = {
+  InvalidStateTransitionError,
+  TaskTimeoutError,
+  TaskCancelledError,
+  ConfigValidationError,
+  DelegationError,
+  UnknownTaskTypeError,
+  DuplicateTaskError,
+  WorkflowValidationError,
+  WorkflowRunExistsError,
+  ScheduleValidationError
+};
@@ -0,0 +1,163 @@
+/**
+ * Control Plane Auth: transport credentials and per-RPC authorization
+ *
+ * Callers send the same bearer JWT the MCP servers accept, in the
+ * `authorization` metadata entry. The interceptor verifies it and checks
+ * the permission each RPC requires before the handler runs.
+ */
+const fs = require('fs');
+const grpc = require('@grpc/grpc-js');
+const { verifyToken } = require('../mcp-servers/authMiddleware');
+const { PERMISSION_LEVELS, RESOURCE_TYPES, PermissionManager } = require('../mcp-servers/PermissionConfig');
+
+const { READ, WRITE, ADMIN } = PERMISSION_LEVELS;
+const { DATA, CONFIG } = RESOURCE_TYPES;
+
+// Permission each RPC requires; RPCs missing here are refused
+const RPC_PERMISSIONS = {
+  SubmitTask: { resource: DATA, action: WRITE },
+  CancelTask: { resource: DATA, action: WRITE },
+  GetTaskStatus: { resource: DATA, action: READ },
+  ListTasks: { resource: DATA, action: READ },
+  WatchTask: { resource: DATA, action: READ },
+  WatchTasks: { resource: DATA, action: READ },
+  ListDeadLetters: { resource: DATA, action: READ },
+  GetDeadLetter: { resource: DATA, action: READ },
+  PurgeDeadLetters: { resource: DATA, action: ADMIN },
+  ReplayDeadLetters: { resource: DATA, action: WRITE },
+  StartWorkflow: { resource: DATA, action: WRITE },
+  GetWorkflowRun: { resource: DATA, action: READ },
+  CancelWorkflowRun: { resource: DATA, action: WRITE },
+  CreateSchedule: { resource: DATA, action: WRITE },
+  GetSchedule: { resource: DATA, action: READ },
+  ListSchedules: { resource: DATA, action: READ },
+  DeleteSchedule: { resource: DATA, action: WRITE },
+  PauseSchedule: { resource: DATA, action: WRITE },
+  ResumeSchedule: { resource: DATA, action: WRITE },
+  PauseSystem: { resource: CONFIG, action: ADMIN },
+  ResumeSystem: { resource: CONFIG, action: ADMIN },
+  GetSystemStatus: { resource: DATA, action: READ },
+  UpdateConfig: { resource: CONFIG, action: ADMIN },
+  GetMetrics: { resource: DATA, action: READ },
+  GetLogs: { resource: DATA, action: READ },
+  DiscoverServers: { resource: DATA, action: READ },
+  CheckHealth: { resource: DATA, action: READ },
+  GetServerDetails: { resource: DATA, action: READ }
+};
+
+/**
+ * Server credentials from PEM file paths: TLS with `certPath` and
+ * `keyPath`, mutual TLS when `caPath` is also given (client certificates
+ * are then required unless `requireClientCert` is false). Without a
+ * certificate bearer tokens would cross the network in plaintext, so
+ * plaintext is only served on a loopback `address` or when `allowInsecure`
+ * is set; anything else throws.
+ */
+function createServerCredentials(tls = {}, address, logger = console) {
+  if (!tls.certPath || !tls.keyPath) {
+    if (!tls.allowInsecure && !isLoopback(address)) {
+      throw new Error(
+        `Refusing to serve the control plane on ${address} without TLS; configure a certificate, ` +
+        'bind to a loopback address or set CONTROL_PLANE_ALLOW_INSECURE=true'
+      );
+    }
+    logger.warn(`No TLS certificate configured; the control plane is serving plaintext on ${address}`);
+    return grpc.ServerCredentials.createInsecure();
+  }
+
+  const ca = tls.caPath ? fs.readFileSync(tls.caPath) : null;
+  return grpc.ServerCredentials.createSsl(
+    ca,
+    [{ private_key: fs.readFileSync(tls.keyPath), cert_chain: fs.readFileSync(tls.certPath) }],
+    Boolean(ca) && tls.requireClientCert !== false
+  );
+}
+
+// TLS settings from CONTROL_PLANE_TLS_CERT / _KEY / _CA and CONTROL_PLANE_ALLOW_INSECURE
+function tlsFromEnv(env = process.env) {
+  return {
+    certPath: env.CONTROL_PLANE_TLS_CERT,
+    keyPath: env.CONTROL_PLANE_TLS_KEY,
+    caPath: env.CONTROL_PLANE_TLS_CA,
+    allowInsecure: env.CONTROL_PLANE_ALLOW_INSECURE === 'true'
+  };
+}
+
+// True for host:port addresses that only accept local connections
+function isLoopback(address = '') {
+  const host = address.replace(/:\d+$/, '').replace(/^\[(.*)\]$/, '$1');
+  return host === 'localhost' || host === '::1' || /^127\./.test(host);
+}
+
+/**
+ * Resolve the user a call's metadata authenticates and check it may invoke
+ * `method`. Throws an error carrying the gRPC status to fail the call with.
+ */
+function authorizeCall(method, metadata, { permissions = RPC_PERMISSIONS, permissionManager } = {}) {
+  const [authorization] = metadata.get('authorization');
+  if (typeof authorization !== 'string' || !authorization.startsWith('Bearer ')) {
+    throw callError(grpc.status.UNAUTHENTICATED, 'Authentication token required');
+  }
+
+  let user;
+  try {
+    user = verifyToken(authorization.slice('Bearer '.length));
+  } catch (error) {
+    throw callError(grpc.status.UNAUTHENTICATED,
+      error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+  }
+
+  const required = permissions[method];
+  if (!required) {
+    throw callError(grpc.status.PERMISSION_DENIED, `No permission is defined for ${method}`);
+  }
+  try {
+    permissionManager.checkPermission(user, required.resource, required.action);
+  } catch (error) {
+    throw callError(grpc.status.PERMISSION_DENIED, error.message);
+  }
+  return user;
+}
+
+/**
+ * Server interceptor that authorizes every call from its metadata before
+ * the request reaches the handler.
+ */
+function createAuthInterceptor(options = {}) {
+  const permissionManager = options.permissionManager || new PermissionManager();
+  const permissions = options.permissions || RPC_PERMISSIONS;
+  const logger = options.logger || console;
+
+  return (methodDescriptor, call) => {
+    const method = methodDescriptor.path.split('/').pop();
+    const listener = new grpc.ServerListenerBuilder()
+      .withOnReceiveMetadata((metadata, next) => {
+        try {
+          authorizeCall(method, metadata, { permissions, permissionManager });
+        } catch (error) {
+          logger.warn(`Rejected ${method} call: ${error.message}`);
+          call.sendStatus({ code: error.code, details: error.message, metadata: new grpc.Metadata() });
+          return;
+        }
+        next(metadata);
+      })
+      .build();
+    const responder = new grpc.ResponderBuilder()
+      .withStart(next => next(listener))
+      .build();
+    return new grpc.ServerInterceptingCall(call, responder);
+  };
+}
+
+function callError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+module.exports = {
+  RPC_PERMISSIONS,
+  createServerCredentials,
+  tlsFromEnv,
+  isLoopback,
+  authorizeCall,
+  createAuthInterceptor
+};
@@ -1,17 +1,33 @@
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
 const path = require('path');
-const { TaskProcessor } = require('../TaskProcessor');
+const crypto = require('crypto');
 const RedisPool = require('../RedisConfig');
+const KafkaTopics = require('../KafkaTopics');
+const { DEFAULT_TENANT } = require('../TenantManager');
+const { TaskIndex } = require('../TaskIndex');
+const Telemetry = require('../Telemetry');
+const { createAuthInterceptor, createServerCredentials, tlsFromEnv } = require('./ControlPlaneAuth');
 
 const PROTO_PATH = path.join(__dirname, 'control.proto');
 
+const TERMINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED'];
+
 class ControlPlaneService {
-  constructor(taskProcessor, redisPool) {
+  constructor(taskProcessor, redisPool, options = {}) {
     this.taskProcessor = taskProcessor;
     this.redisPool = redisPool;
-    this.server = new grpc.Server();
-    this.isRunning = true;
+    this.metrics = options.metrics || Telemetry.metrics;
+    this.logs = options.logs || Telemetry.logs;
+    this.logger = options.logger || this.logs.createLogger('ControlPlane');
+    this.tls = options.tls || tlsFromEnv();
+    // Without TLS only local clients are served unless plaintext is opted into
+    this.address = options.address ||
+      (this.tls.certPath || this.tls.allowInsecure ? '0.0.0.0:50051' : '127.0.0.1:50051');
+    this.port = null;
+    this.server = new grpc.Server({
+      interceptors: [createAuthInterceptor({ ...options.auth, logger: this.logger })]
+    });
   }
 
   async init() {
@@ -36,27 +52,45 @@ class ControlPlaneService {
       CancelTask: this.cancelTask.bind(this),
       GetTaskStatus: this.getTaskStatus.bind(this),
       ListTasks: this.listTasks.bind(this),
+      WatchTask: this.watchTask.bind(this),
+      WatchTasks: this.watchTasks.bind(this),
+      ListDeadLetters: this.listDeadLetters.bind(this),
+      GetDeadLetter: this.getDeadLetter.bind(this),
+      PurgeDeadLetters: this.purgeDeadLetters.bind(this),
+      ReplayDeadLetters: this.replayDeadLetters.bind(this),
+      StartWorkflow: this.startWorkflow.bind(this),
+      GetWorkflowRun: this.getWorkflowRun.bind(this),
+      CancelWorkflowRun: this.cancelWorkflowRun.bind(this),
+      CreateSchedule: this.createSchedule.bind(this),
+      GetSchedule: this.getSchedule.bind(this),
+      ListSchedules: this.listSchedules.bind(this),
+      DeleteSchedule: this.deleteSchedule.bind(this),
+      PauseSchedule: this.setScheduleEnabled.bind(this, false),
+      ResumeSchedule: this.setScheduleEnabled.bind(this, true),
       PauseSystem: this.pauseSystem.bind(this),
       ResumeSystem: this.resumeSystem.bind(this),
       GetSystemStatus: this.getSystemStatus.bind(this),
       UpdateConfig: this.updateConfig.bind(this),
       GetMetrics: this.getMetrics.bind(this),
       GetLogs: this.getLogs.bind(this),
+      DiscoverServers: this.discoverServers.bind(this),
       CheckHealth: this.checkHealth.bind(this),
       GetServerDetails: this.getServerDetails.bind(this)
     });
 
     // Start server
+    const credentials = createServerCredentials(this.tls, this.address, this.logger);
     return new Promise((resolve, reject) => {
       this.server.bindAsync(
-        '0.0.0.0:50051',
-        grpc.ServerCredentials.createInsecure(),
+        this.address,
+        credentials,
         (err, port) => {
           if (err) {
             return reject(err);
           }
-          this.server.start();
-          console.log(`gRPC server running on port ${port}`);
+          this.port = port;
+          this.metrics.start();
+          this.logger.info(`gRPC server running on port ${port}`);
           resolve();
         }
       );
@@ -64,30 +98,70 @@ class ControlPlaneService {
   }
 
   async submitTask(call, callback) {
+    let task;
+    try {
+      task = this.toTask(call.request);
+    } catch (error) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: error.message
+      });
+    }
+
+    let counted = false;
+    let created = false;
     try {
-      const task = call.request;
-      const redisClient = await this.redisPool.getConnection();
-      
-      // Store initial task state
-      await redisClient.setAsync(
+      const quota = await this.taskProcessor.tenants.consumeQuota(task.tenantId, task.submittedAt);
+      if (!quota.allowed) {
+        return callback({
+          code: grpc.status.RESOURCE_EXHAUSTED,
+          message: `Tenant ${task.tenantId} exceeded its daily quota of ${quota.limit} tasks`
+        });
+      }
+      counted = true;
+
+      // Written before publishing so a fast processor's PROCESSING state is
+      // never overwritten; NX keeps a resubmitted id from resetting a task
+      const state = {
+        status: 'PENDING',
+        created_at: task.submittedAt,
+        type: task.type,
+        priority: task.priority,
+        tenantId: task.tenantId
+      };
+      created = await this.withRedis(redisClient => redisClient.set(
         `task:${task.id}`,
-        JSON.stringify({
-          status: 'PENDING',
-          created_at: Date.now(),
-          type: task.type,
-          priority: task.priority
-        })
-      );
+        JSON.stringify(state),
+        { NX: true }
+      ));
+      if (!created) {
+        await this.rollbackSubmission(task, { counted, created });
+        return callback({
+          code: grpc.status.ALREADY_EXISTS,
+          message: `Task ${task.id} already exists`
+        });
+      }
+      await this.taskProcessor.taskIndex.add({ id: task.id, type: task.type, createdAt: task.submittedAt });
+      await this.taskProcessor.taskIndex.setStatus(task.id, 'PENDING');
+      await this.taskProcessor.taskEvents.record(task.id, state);
+
+      try {
+        await this.publish(KafkaTopics.TASK_REQUESTS.name, task.id, task);
+      } catch (error) {
+        await this.rollbackSubmission(task, { counted, created });
+        return callback({
+          code: grpc.status.UNAVAILABLE,
+          message: `Task ${task.id} could not be queued: ${error.message}`
+        });
+      }
 
-      // Forward to task processor via Kafka
-      // (Implementation would publish to Kafka topic)
-      
       callback(null, {
         id: task.id,
         status: 'PENDING',
         message: 'Task submitted successfully'
       });
     } catch (error) {
+      await this.rollbackSubmission(task, { counted, created });
       callback({
         code: grpc.status.INTERNAL,
         message: error.message
@@ -95,25 +169,109 @@ class ControlPlaneService {
     }
   }
 
+  /**
+   * Undo what submitTask recorded for a task that was never queued: the
+   * quota it counted and, if it created the task, its state, index entries
+   * and events. Each step is attempted even if an earlier one fails.
+   */
+  async rollbackSubmission(task, { counted, created }) {
+    const steps = [];
+    if (counted) {
+      steps.push(() => this.taskProcessor.tenants.refundQuota(task.tenantId, task.submittedAt));
+    }
+    if (created) {
+      steps.push(
+        () => this.withRedis(redisClient => redisClient.del(`task:${task.id}`)),
+        () => this.taskProcessor.taskIndex.remove(task),
+        () => this.taskProcessor.taskEvents.remove(task.id)
+      );
+    }
+
+    for (const step of steps) {
+      try {
+        await step();
+      } catch (error) {
+        this.logger.error(`Failed to roll back submission of task ${task.id}:`, error);
+      }
+    }
+  }
+
+
+  /**
+   * Validate a TaskRequest and turn it into the task.requests message the
+   * processors consume. Throws on invalid input.
+   */
+  toTask(request) {
+    const type = (request.type || '').trim();
+    if (!type) {
+      throw new Error('Task type is required');
+    }
+
+    const timeout = Number(request.timeout_ms) || 0;
+    if (!Number.isInteger(timeout) || timeout < 0) {
+      throw new Error(`Invalid timeout_ms: ${request.timeout_ms}`);
+    }
+
+    let payload;
+    if (request.payload && request.payload.length > 0) {
+      try {
+        payload = JSON.parse(request.payload.toString());
+      } catch (error) {
+        throw new Error(`Task payload is not valid JSON: ${error.message}`);
+      }
+    }
+
+    return {
+      id: request.id || crypto.randomUUID(),
+      type,
+      payload,
+      priority: request.priority || 0,
+      // 0 leaves the handler's or processor's default in place
+      timeout: timeout || undefined,
+      tenantId: request.tenant_id || DEFAULT_TENANT,
+      submittedAt: Date.now()
+    };
+  }
+
+  /**
+   * Cancellation is carried out by the processors: the command reaches a
+   * processor that aborts the task if it is running or queued there, and a
+   * task that has not started yet is marked CANCELLED so whichever
+   * processor picks it up drops it.
+   */
   async cancelTask(call, callback) {
     try {
-      const taskId = call.request.id;
-      const redisClient = await this.redisPool.getConnection();
-      
-      // Update task status
-      await redisClient.setAsync(
-        `task:${taskId}`,
-        JSON.stringify({
-          status: 'CANCELLED',
-          updated_at: Date.now()
-        })
-      );
+      const { id: taskId } = call.request;
+      const taskData = await this.withRedis(redisClient => redisClient.get(`task:${taskId}`));
 
-      // (Implementation would publish cancel command to Kafka)
+      if (!taskData) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: `Task ${taskId} not found`
+        });
+      }
+
+      const task = JSON.parse(taskData);
+      if (TERMINAL_STATUSES.includes(task.status)) {
+        return callback(null, {
+          success: false,
+          message: `Task ${taskId} already ${task.status.toLowerCase()}`
+        });
+      }
+
+      if (task.status === 'PENDING' || task.status === 'RETRYING') {
+        const state = { ...task, status: 'CANCELLED', reason: 'Cancelled via control plane', updated_at: Date.now() };
+        await this.withRedis(redisClient => redisClient.set(`task:${taskId}`, JSON.stringify(state)));
+        await this.taskProcessor.taskIndex.setStatus(taskId, 'CANCELLED');
+        await this.taskProcessor.taskEvents.record(taskId, state);
+      }
+
+      // Whichever processor is running or holding the task cancels it
+      await this.taskProcessor.cancellations.request(taskId, 'Cancelled via control plane');
 
       callback(null, {
         success: true,
-        message: `Task ${taskId} cancelled`
+        message: `Cancellation of task ${taskId} requested`
       });
     } catch (error) {
       callback({
@@ -123,11 +281,28 @@ class ControlPlaneService {
     }
   }
 
+  // Resolves once every in-sync replica has the message
+  async publish(topic, key, value) {
+    await this.taskProcessor.producer.send({
+      topic,
+      acks: -1,
+      messages: [{ key, value: JSON.stringify(value) }]
+    });
+  }
+
+  async withRedis(fn) {
+    const redisClient = await this.redisPool.getConnection();
+    try {
+      return await fn(redisClient);
+    } finally {
+      this.redisPool.releaseConnection(redisClient);
+    }
+  }
+
   async getTaskStatus(call, callback) {
     try {
       const taskId = call.request.id;
-      const redisClient = await this.redisPool.getConnection();
-      const taskData = await redisClient.getAsync(`task:${taskId}`);
+      const taskData = await this.withRedis(redisClient => redisClient.get(`task:${taskId}`));
 
       if (!taskData) {
         return callback({
@@ -136,15 +311,276 @@ class ControlPlaneService {
         });
       }
 
-      const task = JSON.parse(taskData);
+      callback(null, this.toTaskStatus(taskId, JSON.parse(taskData)));
+    } catch (error) {
+      callback({
+        code: grpc.status.INTERNAL,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Stream tasks newest first. Each status carries a cursor; sending the
+   * last one back in TaskFilter.cursor continues the listing after it.
+   * Writes wait for the client to drain, so a slow reader holds back the
+   * Redis reads rather than buffering the whole history.
+   */
+  async listTasks(call) {
+    const request = call.request;
+    const filter = {
+      types: request.types,
+      statuses: request.statuses,
+      since: Number(request.since) || 0,
+      limit: request.limit,
+      cursor: request.cursor || null
+    };
+
+    try {
+      if (filter.cursor) {
+        TaskIndex.decodeCursor(filter.cursor);
+      }
+    } catch (error) {
+      return call.destroy({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: error.message
+      });
+    }
+
+    try {
+      for await (const entry of this.taskProcessor.taskIndex.scan(filter)) {
+        if (call.cancelled) return;
+        const status = this.toTaskStatus(entry.id, entry.task, entry);
+        if (!call.write(status)) {
+          await this.waitForDrain(call);
+        }
+      }
+      call.end();
+    } catch (error) {
+      call.destroy({
+        code: grpc.status.INTERNAL,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Stream one task's state changes. from_version resumes after the last
+   * version the client saw, as far back as the retained history goes; 0
+   * starts with the current state. The stream ends once the task reaches a
+   * terminal status.
+   */
+  async watchTask(call) {
+    const { id: taskId, from_version: fromVersion } = call.request;
+    await this.streamTaskEvents(call, {
+      matches: event => event.taskId === taskId,
+      resume: { [taskId]: Number(fromVersion) || 0 },
+      requireExisting: true,
+      endOnTerminal: true
+    });
+  }
+
+  /**
+   * Stream state changes of every task matching the filter until the
+   * client disconnects. Listed ids start with their current state, or
+   * resume from their entry in from_versions.
+   */
+  async watchTasks(call) {
+    const { ids, types, statuses, from_versions: fromVersions } = call.request;
+    const resume = Object.fromEntries(ids.map(id => [id, 0]));
+    Object.entries(fromVersions || {}).forEach(([id, version]) => {
+      resume[id] = Number(version) || 0;
+    });
+
+    await this.streamTaskEvents(call, {
+      matches: event => (ids.length === 0 || ids.includes(event.taskId)) &&
+        (types.length === 0 || types.includes(event.type)) &&
+        (statuses.length === 0 || statuses.includes(event.state.status)),
+      resume
+    });
+  }
+
+  /**
+   * Live events are buffered while the history is replayed, then delivered
+   * in order; anything at or below a task's last sent version is dropped,
+   * so the replay/live overlap is never sent twice.
+   */
+  async streamTaskEvents(call, { matches, resume, requireExisting = false, endOnTerminal = false }) {
+    const taskEvents = this.taskProcessor.taskEvents;
+    const lastSent = new Map(Object.entries(resume).filter(([, version]) => version > 0));
+    let buffered = [];
+    let closed = false;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      taskEvents.off('event', onEvent);
+    };
+    // Returns false when the client's buffer is full
+    const send = event => {
+      const last = lastSent.has(event.taskId) ? lastSent.get(event.taskId) : -1;
+      if (closed || !matches(event) || event.version <= last) return true;
+
+      lastSent.set(event.taskId, event.version);
+      const writable = call.write(this.toTaskEvent(event));
+      if (endOnTerminal && TERMINAL_STATUSES.includes(event.state.status)) {
+        close();
+        call.end();
+      }
+      return writable;
+    };
+    const fail = error => {
+      close();
+      call.destroy({
+        code: grpc.status.INTERNAL,
+        message: error.message
+      });
+    };
+    const onEvent = event => {
+      if (buffered) return buffered.push(event);
+      try {
+        send(event);
+      } catch (error) {
+        fail(error);
+      }
+    };
+
+    call.on('cancelled', close);
+    call.on('close', close);
+    call.on('error', close);
+
+    try {
+      await taskEvents.listen();
+      if (closed) return;
+      taskEvents.on('event', onEvent);
+
+      for (const [taskId, fromVersion] of Object.entries(resume)) {
+        const events = await this.replayTaskEvents(taskId, fromVersion);
+        if (events === null && requireExisting) {
+          close();
+          return call.destroy({
+            code: grpc.status.NOT_FOUND,
+            message: `Task ${taskId} not found`
+          });
+        }
+        for (const event of events || []) {
+          if (!send(event)) await this.waitForDrain(call);
+          if (closed) return;
+        }
+      }
+
+      const live = buffered;
+      buffered = null;
+      live.forEach(send);
+    } catch (error) {
+      fail(error);
+    }
+  }
+
+  /**
+   * Events to send before going live: those after `fromVersion`, or just
+   * the latest when starting fresh. Tasks recorded before events existed
+   * get a version 0 snapshot. Resolves null for unknown tasks.
+   */
+  async replayTaskEvents(taskId, fromVersion) {
+    const taskEvents = this.taskProcessor.taskEvents;
+    if (fromVersion > 0) {
+      const events = await taskEvents.history(taskId, fromVersion);
+      if (events.length > 0) return events;
+    } else {
+      const latest = await taskEvents.latest(taskId);
+      if (latest) return [latest];
+    }
+
+    const taskData = await this.withRedis(redisClient => redisClient.get(`task:${taskId}`));
+    if (!taskData) return null;
+    if (fromVersion > 0) return [];
+
+    const task = JSON.parse(taskData);
+    return [{ taskId, version: 0, type: task.type || null, state: task, timestamp: Date.now() }];
+  }
+
+  toTaskEvent(event) {
+    return {
+      task_id: event.taskId,
+      version: event.version,
+      type: event.type || '',
+      status: this.toTaskStatus(event.taskId, event.state),
+      timestamp: event.timestamp
+    };
+  }
+
+  waitForDrain(call) {
+    return new Promise(resolve => {
+      const done = () => {
+        call.off('drain', done);
+        call.off('cancelled', done);
+        resolve();
+      };
+      call.on('drain', done);
+      call.on('cancelled', done);
+    });
+  }
+
+  // `entry` is the task's index entry when listing
+  toTaskStatus(taskId, task, entry = null) {
+    return {
+      id: taskId,
+      status: task.status,
+      created_at: task.created_at || (entry && entry.createdAt) || 0,
+      updated_at: task.updated_at || 0,
+      worker_id: task.worker_id || '',
+      result: task.result !== undefined && task.result !== null ? Buffer.from(JSON.stringify(task.result)) : null,
+      error: task.error || '',
+      progress: task.progress || 0,
+      progress_message: task.progressMessage || '',
+      partial_count: task.partialCount || 0,
+      cursor: entry ? entry.cursor : ''
+    };
+  }
+
+  async listDeadLetters(call) {
+    try {
+      const entries = await this.taskProcessor.deadLetterQueue.list(this.toDeadLetterFilter(call.request));
+      entries.forEach(entry => call.write(this.toDeadLetterEntry(entry)));
+      call.end();
+    } catch (error) {
+      call.destroy({
+        code: grpc.status.INTERNAL,
+        message: error.message
+      });
+    }
+  }
+
+  async getDeadLetter(call, callback) {
+    try {
+      const taskId = call.request.id;
+      const entry = await this.taskProcessor.deadLetterQueue.get(taskId);
+
+      if (!entry) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: `Dead-letter entry ${taskId} not found`
+        });
+      }
+
+      callback(null, this.toDeadLetterEntry(entry));
+    } catch (error) {
+      callback({
+        code: grpc.status.INTERNAL,
+        message: error.message
+      });
+    }
+  }
+
+  async purgeDeadLetters(call, callback) {
+    try {
+      const ids = await this.taskProcessor.deadLetterQueue.purge(this.toDeadLetterFilter(call.request));
       callback(null, {
-        id: taskId,
-        status: task.status,
-        created_at: task.created_at,
-        updated_at: task.updated_at || 0,
-        worker_id: task.worker_id || '',
-        result: task.result ? Buffer.from(task.result) : null,
-        error: task.error || ''
+        success: true,
+        count: ids.length,
+        ids,
+        message: `Purged ${ids.length} dead-letter entries`
       });
     } catch (error) {
       callback({
@@ -154,28 +590,285 @@ class ControlPlaneService {
     }
   }
 
-  listTasks(call) {
-    // Implementation would stream task statuses from Redis
-    // Simplified example:
-    const mockTasks = [
-      { id: '1', status: 'COMPLETED', created_at: Date.now() - 10000 },
-      { id: '2', status: 'PROCESSING', created_at: Date.now() - 5000 }
-    ];
+  async replayDeadLetters(call, callback) {
+    try {
+      const ids = await this.taskProcessor.deadLetterQueue.replay(this.toDeadLetterFilter(call.request));
+      callback(null, {
+        success: true,
+        count: ids.length,
+        ids,
+        message: `Replayed ${ids.length} dead-letter entries`
+      });
+    } catch (error) {
+      callback({
+        code: grpc.status.INTERNAL,
+        message: error.message
+      });
+    }
+  }
 
-    mockTasks.forEach(task => {
-      call.write({
-        id: task.id,
-        status: task.status,
-        created_at: task.created_at
+  // An empty filter matches every entry, so purge/replay of the whole DLQ
+  // is an explicit empty request
+  toDeadLetterFilter(request) {
+    return {
+      ids: request.ids,
+      types: request.types,
+      reasons: request.reasons,
+      since: Number(request.since) || 0,
+      until: Number(request.until) || 0,
+      limit: request.limit
+    };
+  }
+
+  toDeadLetterEntry(entry) {
+    return {
+      id: entry.id,
+      type: entry.type || '',
+      reason: entry.reason,
+      task: Buffer.from(JSON.stringify(entry.task)),
+      attempts: entry.attempts.map(attempt => ({
+        attempt: attempt.attempt,
+        error: attempt.error,
+        code: attempt.code || '',
+        at: attempt.at
+      })),
+      last_error: entry.lastError.message,
+      last_error_code: entry.lastError.code || '',
+      dead_lettered_at: entry.deadLetteredAt
+    };
+  }
+
+  async startWorkflow(call, callback) {
+    try {
+      const { definition, input, run_id: runId } = call.request;
+      const run = await this.taskProcessor.workflows.startRun(
+        definition,
+        input && input.length > 0 ? JSON.parse(input.toString()) : {},
+        { runId: runId || undefined }
+      );
+      callback(null, this.toWorkflowRun(run));
+    } catch (error) {
+      let code = grpc.status.INTERNAL;
+      if (error.code === 'INVALID_WORKFLOW' || error instanceof SyntaxError) {
+        code = grpc.status.INVALID_ARGUMENT;
+      } else if (error.code === 'WORKFLOW_RUN_EXISTS') {
+        code = grpc.status.ALREADY_EXISTS;
+      }
+      callback({ code, message: error.message });
+    }
+  }
+
+  async getWorkflowRun(call, callback) {
+    try {
+      const runId = call.request.id;
+      const run = await this.taskProcessor.workflows.getRun(runId);
+
+      if (!run) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: `Workflow run ${runId} not found`
+        });
+      }
+
+      callback(null, this.toWorkflowRun(run));
+    } catch (error) {
+      callback({
+        code: grpc.status.INTERNAL,
+        message: error.message
       });
-    });
+    }
+  }
 
-    call.end();
+  async cancelWorkflowRun(call, callback) {
+    try {
+      const { id: runId, reason } = call.request;
+      const run = await this.taskProcessor.workflows.cancelRun(runId, reason || undefined);
+
+      if (!run) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: `Workflow run ${runId} not found`
+        });
+      }
+
+      callback(null, {
+        success: run.status === 'CANCELLED',
+        message: run.status === 'CANCELLED'
+          ? `Workflow run ${runId} cancelled`
+          : `Workflow run ${runId} already ${run.status.toLowerCase()}`
+      });
+    } catch (error) {
+      callback({
+        code: grpc.status.INTERNAL,
+        message: error.message
+      });
+    }
+  }
+
+  toWorkflowRun(run) {
+    return {
+      id: run.id,
+      name: run.name,
+      status: run.status,
+      steps: run.definition.steps.map(step => {
+        const state = run.steps[step.id];
+        return {
+          id: step.id,
+          type: step.type,
+          status: state.status,
+          depends_on: step.dependsOn,
+          units: state.units.map(unit => ({
+            index: unit.index,
+            status: unit.status,
+            attempts: unit.attempts,
+            task_id: unit.taskId || '',
+            error: unit.error || ''
+          })),
+          result: state.result !== null ? Buffer.from(JSON.stringify(state.result)) : null,
+          error: state.error || ''
+        };
+      }),
+      created_at: run.createdAt,
+      updated_at: run.updatedAt,
+      error: run.error || ''
+    };
+  }
+
+  async createSchedule(call, callback) {
+    try {
+      const request = call.request;
+      const schedule = await this.taskProcessor.scheduler.create({
+        id: request.id || undefined,
+        name: request.name,
+        task: {
+          type: request.task_type,
+          payload: request.payload && request.payload.length > 0
+            ? JSON.parse(request.payload.toString())
+            : undefined,
+          priority: request.priority || undefined,
+          timeout: Number(request.timeout_ms) || undefined
+        },
+        cron: request.trigger === 'cron' ? request.cron : undefined,
+        runAt: request.trigger === 'run_at' ? Number(request.run_at) : undefined,
+        interval: request.trigger === 'interval_ms' ? Number(request.interval_ms) : undefined,
+        enabled: true
+      });
+      callback(null, this.toSchedule(schedule));
+    } catch (error) {
+      callback({
+        code: error.code === 'INVALID_SCHEDULE' || error instanceof SyntaxError
+          ? grpc.status.INVALID_ARGUMENT
+          : grpc.status.INTERNAL,
+        message: error.message
+      });
+    }
   }
 
+  async getSchedule(call, callback) {
+    try {
+      const schedule = await this.taskProcessor.scheduler.get(call.request.id);
+
+      if (!schedule) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: `Schedule ${call.request.id} not found`
+        });
+      }
+
+      callback(null, this.toSchedule(schedule));
+    } catch (error) {
+      callback({
+        code: grpc.status.INTERNAL,
+        message: error.message
+      });
+    }
+  }
+
+  async listSchedules(call) {
+    try {
+      const schedules = await this.taskProcessor.scheduler.list();
+      schedules.forEach(schedule => call.write(this.toSchedule(schedule)));
+      call.end();
+    } catch (error) {
+      call.destroy({
+        code: grpc.status.INTERNAL,
+        message: error.message
+      });
+    }
+  }
+
+  async deleteSchedule(call, callback) {
+    try {
+      const scheduleId = call.request.id;
+      const removed = await this.taskProcessor.scheduler.remove(scheduleId);
+
+      if (!removed) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: `Schedule ${scheduleId} not found`
+        });
+      }
+
+      callback(null, {
+        success: true,
+        message: `Schedule ${scheduleId} deleted`
+      });
+    } catch (error) {
+      callback({
+        code: grpc.status.INTERNAL,
+        message: error.message
+      });
+    }
+  }
+
+  async setScheduleEnabled(enabled, call, callback) {
+    try {
+      const schedule = await this.taskProcessor.scheduler.setEnabled(call.request.id, enabled);
+
+      if (!schedule) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: `Schedule ${call.request.id} not found`
+        });
+      }
+
+      callback(null, this.toSchedule(schedule));
+    } catch (error) {
+      callback({
+        code: grpc.status.INTERNAL,
+        message: error.message
+      });
+    }
+  }
+
+  toSchedule(schedule) {
+    const trigger = schedule.cron !== undefined
+      ? { cron: schedule.cron }
+      : schedule.runAt !== undefined
+        ? { run_at: schedule.runAt }
+        : { interval_ms: schedule.interval };
+
+    return {
+      id: schedule.id,
+      name: schedule.name,
+      task_type: schedule.task.type,
+      payload: schedule.task.payload !== undefined
+        ? Buffer.from(JSON.stringify(schedule.task.payload))
+        : Buffer.alloc(0),
+      priority: schedule.task.priority || 0,
+      timeout_ms: schedule.task.timeout || 0,
+      ...trigger,
+      enabled: schedule.enabled,
+      next_run_at: schedule.nextRunAt || 0,
+      last_run_at: schedule.lastRunAt || 0,
+      run_count: schedule.runCount,
+      created_at: schedule.createdAt
+    };
+  }
+
+  // In-flight tasks run to completion; queued ones wait until resumed
   pauseSystem(call, callback) {
-    this.isRunning = false;
-    // (Implementation would publish pause command to Kafka)
+    this.taskProcessor.pauseProcessing();
     callback(null, {
       success: true,
       message: 'System paused'
@@ -183,8 +876,7 @@ class ControlPlaneService {
   }
 
   resumeSystem(call, callback) {
-    this.isRunning = true;
-    // (Implementation would publish resume command to Kafka)
+    this.taskProcessor.resumeProcessing();
     callback(null, {
       success: true,
       message: 'System resumed'
@@ -193,14 +885,18 @@ class ControlPlaneService {
 
   getSystemStatus(call, callback) {
     callback(null, {
-      is_running: this.isRunning,
+      is_running: !this.taskProcessor.isPaused,
       active_tasks: this.taskProcessor.activeTasks.size,
       queued_tasks: this.taskProcessor.taskQueue.length,
       stats: {
         processed: this.taskProcessor.stats.processed,
         failed: this.taskProcessor.stats.failed,
-        retries: this.taskProcessor.stats.retries
-      }
+        retries: this.taskProcessor.stats.retries,
+        deadLettered: this.taskProcessor.stats.deadLettered
+      },
+      queue_depth: this.taskProcessor.taskQueue.depthByBand(),
+      concurrency_limit: this.taskProcessor.getConcurrencyLimit(),
+      adaptive_concurrency: Boolean(this.taskProcessor.concurrencyLimiter)
     });
   }
 
@@ -217,41 +913,141 @@ class ControlPlaneService {
     });
   }
 
-  getMetrics(call) {
-    // Implementation would stream metrics
-    // Simplified example:
-    const metrics = [
-      { name: 'cpu', values: { usage: 0.75 }, timestamp: Date.now() },
-      { name: 'memory', values: { used: 0.6 }, timestamp: Date.now() }
-    ];
+  /**
+   * Stream recorded samples from the last duration_ms, oldest first, or the
+   * current values when duration_ms is 0. With follow, every later sample
+   * is streamed as it is taken until the client cancels.
+   */
+  async getMetrics(call) {
+    const { names = [], follow } = call.request;
+    const durationMs = Number(call.request.duration_ms) || 0;
+    const metrics = durationMs > 0
+      ? this.metrics.query({ names, since: Date.now() - durationMs })
+      : this.metrics.collect(names);
 
-    metrics.forEach(metric => {
-      call.write(metric);
+    await this.streamTelemetry(call, {
+      history: metrics.map(metric => this.toMetricData(metric)),
+      emitter: this.metrics,
+      event: 'sample',
+      follow,
+      toMessages: sample => sample
+        .filter(metric => names.length === 0 || names.includes(metric.name))
+        .map(metric => this.toMetricData(metric))
     });
+  }
+
+  /**
+   * Stream buffered log entries at or above `level`, oldest first; `limit`
+   * keeps the most recent ones. With follow, new entries are tailed until
+   * the client cancels. Entries written while the client is not reading
+   * are dropped rather than buffered.
+   */
+  async getLogs(call) {
+    const { source, limit, follow } = call.request;
+    const filter = {
+      level: call.request.level ? call.request.level.toLowerCase() : null,
+      source: source || null,
+      since: Number(call.request.since) || 0
+    };
 
-    call.end();
+    let matches;
+    try {
+      matches = this.logs.matcher(filter);
+    } catch (error) {
+      return call.destroy({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: error.message
+      });
+    }
+
+    await this.streamTelemetry(call, {
+      history: this.logs.query({ ...filter, limit }).map(entry => this.toLogEntry(entry)),
+      emitter: this.logs,
+      event: 'entry',
+      follow,
+      toMessages: entry => (matches(entry) ? [this.toLogEntry(entry)] : []),
+      dropWhileFull: true
+    });
   }
 
-  getLogs(call) {
-    // Implementation would stream logs
-    // Simplified example:
-    const logs = [
-      { timestamp: Date.now(), level: 'INFO', source: 'ControlPlane', message: 'Service started' },
-      { timestamp: Date.now() - 1000, level: 'DEBUG', source: 'TaskProcessor', message: 'Processing task' }
-    ];
+  /**
+   * Write `history`, then, when following, whatever `toMessages` makes of
+   * each later `event` until the call closes. Live messages arriving while
+   * the history is written are held back and sent after it. When the
+   * client falls behind, live messages are queued, or dropped with
+   * `dropWhileFull`.
+   */
+  async streamTelemetry(call, { history, emitter, event, follow, toMessages, dropWhileFull = false }) {
+    let closed = false;
+    let replaying = true;
+    let writable = true;
+    const backlog = [];
 
-    logs.forEach(log => {
-      call.write(log);
+    const flush = () => {
+      while (!closed && !replaying && writable && backlog.length > 0) {
+        writable = call.write(backlog.shift());
+      }
+    };
+    const onEvent = value => {
+      if (closed) return;
+      if (!replaying && !writable && dropWhileFull) return;
+      backlog.push(...toMessages(value));
+      flush();
+    };
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      emitter.off(event, onEvent);
+    };
+
+    call.on('cancelled', close);
+    call.on('close', close);
+    call.on('error', close);
+    call.on('drain', () => {
+      writable = true;
+      flush();
     });
 
-    call.end();
+    if (follow) {
+      emitter.on(event, onEvent);
+    }
+
+    for (const message of history) {
+      if (closed) return;
+      if (!call.write(message)) await this.waitForDrain(call);
+    }
+    if (!follow) return call.end();
+
+    replaying = false;
+    writable = true;
+    flush();
+  }
+
+  toMetricData(metric) {
+    return {
+      name: metric.name,
+      values: metric.values,
+      timestamp: metric.timestamp
+    };
+  }
+
+  toLogEntry(entry) {
+    return {
+      timestamp: entry.timestamp,
+      level: entry.level.toUpperCase(),
+      source: entry.source,
+      message: entry.message,
+      fields: entry.fields
+    };
   }
 
   async shutdown() {
     await new Promise((resolve) => {
       this.server.tryShutdown(resolve);
     });
-    console.log('gRPC server shutdown');
+    this.metrics.stop();
+    await this.taskProcessor.taskEvents.stop();
+    this.logger.info('gRPC server shutdown');
   }
 
   checkHealth(call, callback) {
@@ -266,9 +1062,25 @@ class ControlPlaneService {
     });
   }
 
+  // The control plane only knows itself; other servers register over Kafka
+  discoverServers(call, callback) {
+    callback(null, { servers: [this.serverDetails()] });
+  }
+
   getServerDetails(call, callback) {
-    callback(null, {
-      serverId: process.env.SERVER_ID || 'control-plane',
+    const details = this.serverDetails();
+    if (call.request.id && call.request.id !== details.id) {
+      return callback({
+        code: grpc.status.NOT_FOUND,
+        message: `Server ${call.request.id} not found`
+      });
+    }
+    callback(null, details);
+  }
+
+  serverDetails() {
+    return {
+      id: process.env.SERVER_ID || 'control-plane',
       name: 'Control Plane Service',
       version: '1.0.0',
       capabilities: [
@@ -280,11 +1092,11 @@ class ControlPlaneService {
       endpoints: [
         {
           protocol: 'grpc',
-          address: `0.0.0.0:50051`,
+          address: this.address,
           methods: Object.keys(this.server.handlers)
         }
       ]
-    });
+    };
   }
 }
 
@@ -1,6 +1,7 @@
 const { MCPBaseServer } = require('@manus/mcp-core');
 const { Octokit } = require('@octokit/rest');
 const { createNodeMiddleware } = require('@octokit/webhooks');
+const { createLogger } = require('../Telemetry');
 
 class GitHubIntegrationServer extends MCPBaseServer {
   constructor(config = {}) {
@@ -11,6 +12,8 @@ class GitHubIntegrationServer extends MCPBaseServer {
       ...config
     });
 
+    this.logger = config.logger || createLogger('GitHubIntegrationServer');
+
     this.octokit = new Octokit({
       auth: config.token,
       userAgent: 'Manus GitHub MCP Server'
@@ -1,4 +1,5 @@
 const { MCPBaseServer } = require('./MCPBaseServer');
+const { createLogger } = require('../Telemetry');
 
 class LocalServerTemplate extends MCPBaseServer {
   constructor(config = {}) {
@@ -9,6 +10,8 @@ class LocalServerTemplate extends MCPBaseServer {
       ...config
     });
 
+    this.logger = config.logger || createLogger('LocalServerTemplate');
+
     // Register capabilities
     this.registerCapability('local-processing');
     this.registerCapability('data-transformation');
@@ -22,7 +25,7 @@ class LocalServerTemplate extends MCPBaseServer {
 
   async start() {
     await super.start();
-    this.log('Local template server started');
+    this.logger.info('Local template server started');
   }
 
   async processData(input) {
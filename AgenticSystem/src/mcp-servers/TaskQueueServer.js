@@ -1,6 +1,7 @@
 const { MCPBaseServer } = require('@manus/mcp-core');
 const { Kafka } = require('kafkajs');
 const uuid = require('uuid');
+const { createLogger } = require('../Telemetry');
 
 class TaskQueueServer extends MCPBaseServer {
   constructor(config = {}) {
@@ -11,6 +12,8 @@ class TaskQueueServer extends MCPBaseServer {
       ...config
     });
 
+    this.logger = config.logger || createLogger('TaskQueueServer');
+
     this.kafka = new Kafka({
       clientId: 'task-queue-server',
       brokers: config.kafkaBrokers || ['localhost:9092']
@@ -112,7 +115,7 @@ class TaskQueueServer extends MCPBaseServer {
                 await handler(task);
               } catch (error) {
                 // Handle task failure (could send to DLQ)
-                console.error(`Task failed in queue ${topic}:`, error);
+                this.logger.error(`Task failed in queue ${topic}:`, error);
               }
             }
           }
@@ -1,6 +1,26 @@
 const jwt = require('jsonwebtoken');
 const { UnauthorizedError } = require('./errors');
 
+// Verify a bearer token issued by the control plane and return its user
+const verifyToken = token => {
+  // Verify token - use HS256 in test environment for simplicity
+  const verifyOptions = {
+    algorithms: ['HS256'],
+    issuer: 'mcp-control-plane'
+  };
+
+  if (process.env.NODE_ENV === 'test') {
+    verifyOptions.ignoreExpiration = true;
+  }
+
+  const decoded = jwt.verify(token, process.env.MCP_JWT_SECRET, verifyOptions);
+  return {
+    id: decoded.sub,
+    roles: decoded.roles || [],
+    permissions: decoded.permissions || []
+  };
+};
+
 const authenticate = (req, res, next) => {
   try {
     // Get token from Authorization header
@@ -16,29 +36,13 @@ const authenticate = (req, res, next) => {
       console.log('Running in test environment with algorithm: HS256');
     }
 
-    // Verify token - use HS256 in test environment for simplicity
-    const verifyOptions = {
-      algorithms: ['HS256'],
-      issuer: 'mcp-control-plane'
-    };
-    
-    if (process.env.NODE_ENV === 'test') {
-      verifyOptions.ignoreExpiration = true;
-    }
-
-    const decoded = jwt.verify(token, process.env.MCP_JWT_SECRET, verifyOptions);
+    // Attach user to request
+    req.user = verifyToken(token);
 
     if (process.env.NODE_ENV === 'test') {
-      console.log('Token successfully verified:', decoded);
+      console.log('Token successfully verified:', req.user);
     }
 
-    // Attach user to request
-    req.user = {
-      id: decoded.sub,
-      roles: decoded.roles || [],
-      permissions: decoded.permissions || []
-    };
-
     next();
   } catch (error) {
     // Force debug output regardless of DEBUG flag during tests
@@ -80,6 +84,7 @@ const authorize = (resourceType, action, serverName = null) => {
 };
 
 module.exports = {
+  verifyToken,
   authenticate,
   authorize
 };
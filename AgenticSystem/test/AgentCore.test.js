@@ -0,0 +1,644 @@
+const Joi = require('joi');
+const AgentCore = require('../src/AgentCore');
+const { InMemoryPersistence, RedisPersistence } = require('../src/AgentPersistence');
+const ServerRegistry = require('../src/ServerRegistry');
+const MetricsRegistry = require('../src/MetricsRegistry');
+const {
+  InvalidStateTransitionError,
+  TaskTimeoutError,
+  TaskCancelledError,
+  ConfigValidationError,
+  DelegationError
+} = require('../src/errors');
+
+class TestAgent extends AgentCore {
+  async setup() {}
+  async cleanup() {}
+}
+
+describe('AgentCore', () => {
+  let agent;
+
+  beforeEach(() => {
+    agent = new TestAgent({ id: 'agent-1' });
+  });
+
+  describe('lifecycle state machine', () => {
+    it('should move through initialize and shutdown', async () => {
+      const changes = [];
+      agent.on('stateChanged', change => changes.push(change.newState));
+
+      await agent.initialize();
+      expect(agent.getState()).toBe('ready');
+
+      await agent.shutdown();
+      expect(agent.getState()).toBe('terminated');
+      expect(changes).toEqual(['ready', 'draining', 'terminated']);
+    });
+
+    it('should reject illegal transitions via stateChanged and keep the current state', async () => {
+      const changes = [];
+      agent.on('stateChanged', change => changes.push(change));
+      await agent.initialize();
+      await agent.shutdown();
+
+      await expect(agent.setState('ready')).resolves.toBe(false);
+      await expect(agent.transitionTo('ready')).rejects.toThrow(InvalidStateTransitionError);
+      await expect(agent.initialize()).rejects.toThrow(/cannot be initialized/);
+      expect(agent.getState()).toBe('terminated');
+      expect(changes[changes.length - 1]).toEqual(expect.objectContaining({
+        oldState: 'terminated',
+        newState: 'ready',
+        accepted: false,
+        reason: 'transition not allowed'
+      }));
+      expect(changes.filter(change => change.accepted).map(change => change.newState))
+        .toEqual(['ready', 'draining', 'terminated']);
+    });
+
+    it('should enter the error state when setup fails and recover on re-initialize', async () => {
+      agent.setup = jest.fn()
+        .mockRejectedValueOnce(new Error('boom'))
+        .mockResolvedValueOnce();
+
+      await expect(agent.initialize()).rejects.toThrow('boom');
+      expect(agent.getState()).toBe('error');
+
+      await agent.initialize();
+      expect(agent.getState()).toBe('ready');
+      expect(agent.getStateHistory().map(entry => entry.to))
+        .toEqual(['error', 'recovering', 'ready']);
+    });
+
+    it('should apply guards and hooks', async () => {
+      const entered = jest.fn();
+      agent.stateMachine.addGuard('ready', 'busy', ({ context }) => context.allowed === true);
+      agent.stateMachine.onEnter('busy', entered);
+      await agent.initialize();
+
+      await expect(agent.transitionTo('busy')).rejects.toThrow(/rejected by guard/);
+      await expect(agent.setState('busy', { allowed: true })).resolves.toBe(true);
+      expect(entered).toHaveBeenCalledTimes(1);
+      expect(agent.getStateHistory({ accepted: false })).toHaveLength(1);
+    });
+
+    it('should let subclasses declare sub-states', async () => {
+      class IndexingAgent extends TestAgent {
+        defineStates(machine) {
+          machine.defineState('busy.indexing', { parent: 'busy' });
+        }
+      }
+      const indexer = new IndexingAgent();
+      await indexer.initialize();
+
+      await indexer.setState('busy.indexing');
+      expect(indexer.isInState('busy')).toBe(true);
+
+      await indexer.setState('ready');
+      expect(indexer.getState()).toBe('ready');
+    });
+
+    it('should apply transitions one at a time in call order', async () => {
+      await agent.initialize();
+      agent.stateMachine.onTransition(() => new Promise(resolve => setTimeout(resolve, 10)));
+
+      const moves = [agent.setState('busy'), agent.setState('draining')];
+      await expect(Promise.all(moves)).resolves.toEqual([true, true]);
+
+      expect(agent.getState()).toBe('draining');
+      expect(agent.getStateHistory().slice(-2).map(({ from, to }) => `${from}->${to}`))
+        .toEqual(['ready->busy', 'busy->draining']);
+    });
+
+    it('should not let the run loop undo a shutdown it raced with', async () => {
+      let finish;
+      agent.handleTask = () => new Promise(resolve => { finish = resolve; });
+      const errors = [];
+      agent.on('error', error => errors.push(error));
+      await agent.initialize();
+      agent.enqueueTask({ id: 't1' });
+      await agent.busySync;
+      expect(agent.getState()).toBe('busy');
+      agent.stateMachine.onExit('busy', () => new Promise(resolve => setTimeout(resolve, 10)));
+
+      const shutdown = agent.shutdown();
+      finish('done');
+      await shutdown;
+
+      expect(agent.getState()).toBe('terminated');
+      expect(errors).toEqual([]);
+    });
+
+    it('should not hand out tasks once draining', async () => {
+      await agent.initialize();
+      agent.enqueueTask({ id: 't1' });
+      await agent.setState('draining');
+
+      expect(agent.processNextTask()).toBeNull();
+      expect(() => agent.enqueueTask({ id: 't2' })).toThrow(/not accepting tasks/);
+    });
+  });
+
+  describe('task run loop', () => {
+    const settle = (target, event) => new Promise(resolve => target.on(event, (...args) => resolve(args)));
+
+    it('should run tasks through handleTask and report completion', async () => {
+      agent.handleTask = jest.fn(async task => task.input * 2);
+      await agent.initialize();
+
+      const completed = settle(agent, 'taskCompleted');
+      agent.enqueueTask({ id: 't1', input: 21 });
+
+      const [task, result] = await completed;
+      expect(task.id).toBe('t1');
+      expect(result).toBe(42);
+    });
+
+    it('should order queued tasks by priority and respect concurrency', async () => {
+      const order = [];
+      let release;
+      const gate = new Promise(resolve => { release = resolve; });
+      agent.handleTask = jest.fn(async task => {
+        order.push(task.id);
+        if (task.id === 'first') await gate;
+      });
+      await agent.initialize();
+
+      agent.enqueueTask({ id: 'first' });
+      agent.enqueueTask({ id: 'low', priority: 1 });
+      agent.enqueueTask({ id: 'high', priority: 5 });
+      expect(agent.activeTasks.size).toBe(1);
+
+      release();
+      await agent.drainTasks();
+      expect(order).toEqual(['first', 'high', 'low']);
+      expect(agent.getState()).toBe('ready');
+    });
+
+    it('should fail tasks that exceed their timeout', async () => {
+      agent.handleTask = jest.fn(() => new Promise(() => {}));
+      await agent.initialize();
+
+      const failed = settle(agent, 'taskFailed');
+      agent.enqueueTask({ id: 'slow', timeout: 20 });
+
+      const [, error] = await failed;
+      expect(error).toBeInstanceOf(TaskTimeoutError);
+      expect(agent.activeTasks.size).toBe(0);
+    });
+
+    it('should abort running tasks on cancelTask', async () => {
+      let signal;
+      agent.handleTask = jest.fn((task, options) => {
+        signal = options.signal;
+        return new Promise(() => {});
+      });
+      await agent.initialize();
+
+      const failed = settle(agent, 'taskFailed');
+      agent.enqueueTask({ id: 'long' });
+      expect(agent.cancelTask('long', 'no longer needed')).toBe(true);
+
+      const [, error] = await failed;
+      expect(error).toBeInstanceOf(TaskCancelledError);
+      expect(signal.aborted).toBe(true);
+    });
+  });
+
+  describe('capabilities', () => {
+    it('should store structured descriptors from strings and objects', () => {
+      const added = jest.fn();
+      agent.on('capabilityAdded', added);
+
+      agent.addCapability('summarize');
+      agent.addCapability({ name: 'code-review', version: '2.3.1', cost: { units: 5 } });
+
+      expect(added).toHaveBeenCalledTimes(2);
+      expect(agent.getCapability('summarize').version).toBe('1.0.0');
+      expect(agent.getCapabilities().map(capability => capability.name))
+        .toEqual(['summarize', 'code-review']);
+    });
+
+    it('should match capabilities by semver range', () => {
+      agent.addCapability({ name: 'code-review', version: '2.3.1' });
+
+      expect(agent.hasCapability('code-review')).toBe(true);
+      expect(agent.hasCapability('code-review@^2.1.0')).toBe(true);
+      expect(agent.hasCapability({ name: 'code-review', range: '>=3' })).toBe(false);
+      expect(agent.hasCapability('deploy')).toBe(false);
+    });
+
+    it('should match requests against the input schema', () => {
+      agent.addCapability({
+        name: 'code-review',
+        version: '2.0.0',
+        inputSchema: {
+          type: 'object',
+          required: ['repository'],
+          properties: { repository: { type: 'string' } }
+        }
+      });
+
+      expect(agent.hasCapability({ name: 'code-review', input: { repository: 'org/repo' } })).toBe(true);
+      expect(agent.hasCapability({ name: 'code-review', input: { branch: 'main' } })).toBe(false);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should checkpoint on transitions and resume the queue under the same id', async () => {
+      const persistence = new InMemoryPersistence();
+      const first = new TestAgent({ id: 'agent-p', persistence });
+      first.handleTask = jest.fn(() => new Promise(() => {}));
+      first.addCapability({ name: 'summarize', version: '1.2.0' });
+      await first.initialize();
+      first.enqueueTask({ id: 'running' });
+      first.enqueueTask({ id: 'queued' });
+      await first.checkpoint();
+
+      const restarted = new TestAgent({ id: 'agent-p', persistence });
+      const restored = jest.fn();
+      restarted.on('stateRestored', restored);
+      restarted.handleTask = jest.fn(async () => 'done');
+      await restarted.initialize();
+      await restarted.drainTasks();
+
+      expect(restored).toHaveBeenCalledWith(expect.objectContaining({ queuedTasks: 2 }));
+      expect(restarted.handleTask.mock.calls.map(([task]) => task.id)).toEqual(['running', 'queued']);
+      expect(restarted.getCapability('summarize').version).toBe('1.2.0');
+    });
+
+    it('should not restore queued tasks that were cancelled', async () => {
+      const persistence = new InMemoryPersistence();
+      const first = new TestAgent({ id: 'agent-c', persistence });
+      first.handleTask = jest.fn(() => new Promise(() => {}));
+      await first.initialize();
+      first.enqueueTask({ id: 'running' });
+      first.enqueueTask({ id: 'queued' });
+      await first.checkpoint();
+
+      expect(first.cancelTask('queued')).toBe(true);
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const restarted = new TestAgent({ id: 'agent-c', persistence });
+      restarted.handleTask = jest.fn(async () => 'done');
+      await restarted.initialize();
+      await restarted.drainTasks();
+
+      expect(restarted.handleTask.mock.calls.map(([task]) => task.id)).toEqual(['running']);
+    });
+
+    it('should keep priority order and notify config watchers when restoring', async () => {
+      const persistence = new InMemoryPersistence();
+      await persistence.save('agent-q', {
+        config: { concurrency: 1, taskTimeout: 500 },
+        activeTasks: [{ id: 'was-running', priority: 1 }],
+        taskQueue: [{ id: 'urgent', priority: 5 }, { id: 'normal', priority: 1 }, { id: 'low' }]
+      });
+
+      const restarted = new TestAgent({ id: 'agent-q', persistence });
+      const watcher = jest.fn();
+      restarted.onConfigChange('taskTimeout', watcher);
+      restarted.handleTask = jest.fn(async () => 'done');
+      await restarted.initialize();
+      await restarted.drainTasks();
+
+      expect(watcher).toHaveBeenCalledWith(500, 0);
+      expect(restarted.getConfig('taskTimeout')).toBe(500);
+      expect(restarted.handleTask.mock.calls.map(([task]) => task.id))
+        .toEqual(['urgent', 'was-running', 'normal', 'low']);
+    });
+
+    it('should store snapshots through the Redis pool', async () => {
+      const store = new Map();
+      const client = {
+        set: jest.fn(async (key, value) => store.set(key, value)),
+        get: jest.fn(async key => store.get(key) || null),
+        del: jest.fn(async key => (store.delete(key) ? 1 : 0))
+      };
+      const redisPool = {
+        getConnection: jest.fn(async () => client),
+        releaseConnection: jest.fn()
+      };
+      const persistence = new RedisPersistence(redisPool);
+
+      await persistence.save('agent-r', { state: 'ready' });
+      expect(await persistence.load('agent-r')).toEqual({ state: 'ready' });
+      expect(store.has('agent:state:agent-r')).toBe(true);
+      expect(await persistence.remove('agent-r')).toBe(true);
+      expect(redisPool.releaseConnection).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('event bus', () => {
+    it('should support once, off and wildcard subscriptions', () => {
+      const all = jest.fn();
+      const task = jest.fn();
+      const once = jest.fn();
+      agent.on('*', all);
+      agent.on('task.*', task);
+      agent.once('task.started', once);
+
+      agent.emit('task.started', { id: 't1' });
+      agent.emit('task.started', { id: 't2' });
+      agent.emit('task.step.done');
+      agent.off('*', all);
+      agent.emit('agent.ready');
+
+      expect(all).toHaveBeenCalledTimes(3);
+      expect(task).toHaveBeenCalledTimes(2);
+      expect(once).toHaveBeenCalledTimes(1);
+    });
+
+    it('should match agent events under their dotted aliases', async () => {
+      const task = jest.fn();
+      const queued = [];
+      const state = jest.fn();
+      agent.on('task.*', task);
+      agent.on('task.queued', queuedTask => queued.push(queuedTask.id));
+      agent.on('taskQueued', queuedTask => queued.push(queuedTask.id));
+      agent.on('state.changed', state);
+      agent.handleTask = jest.fn(async () => 'done');
+
+      await agent.initialize();
+      agent.enqueueTask({ id: 't1' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(task).toHaveBeenCalledTimes(3); // queued, started, completed
+      expect(queued).toEqual(['t1', 't1']);
+      expect(state).toHaveBeenCalledWith(expect.objectContaining({ newState: 'ready' }));
+      expect(agent.events.listenerCount('taskCompleted')).toBe(1);
+    });
+
+    it('should isolate failing handlers and route errors to handleError', async () => {
+      const errors = [];
+      const after = jest.fn();
+      agent.on('error', error => errors.push(error.message));
+      agent.on('stateChanged', () => { throw new Error('sync failure'); });
+      agent.on('stateChanged', async () => { throw new Error('async failure'); });
+      agent.on('stateChanged', after);
+
+      await agent.initialize();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(after).toHaveBeenCalled();
+      expect(agent.getState()).toBe('ready');
+      expect(errors).toEqual(expect.arrayContaining(['sync failure', 'async failure']));
+    });
+
+    it('should await handlers with emitAsync', async () => {
+      const order = [];
+      agent.on('sync.requested', async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        order.push('handler');
+        return 'ok';
+      });
+
+      const results = await agent.emitAsync('sync.requested');
+      order.push('after');
+
+      expect(results).toEqual(['ok']);
+      expect(order).toEqual(['handler', 'after']);
+    });
+  });
+
+  describe('kafka bridge', () => {
+    let sent;
+    let eachMessage;
+    let kafka;
+
+    beforeEach(() => {
+      sent = [];
+      kafka = {
+        producer: () => ({
+          connect: jest.fn(),
+          disconnect: jest.fn(),
+          send: jest.fn(async ({ topic, messages }) => {
+            messages.forEach(message => sent.push({ topic, ...JSON.parse(message.value) }));
+          })
+        }),
+        consumer: () => ({
+          connect: jest.fn(),
+          disconnect: jest.fn(),
+          subscribe: jest.fn(),
+          run: jest.fn(async config => { eachMessage = config.eachMessage; })
+        })
+      };
+    });
+
+    const command = (type, payload = {}, agentId = 'agent-k') => ({
+      message: { value: Buffer.from(JSON.stringify({ version: 1, agentId, type, payload })) }
+    });
+
+    it('should publish lifecycle events in a versioned envelope', async () => {
+      const bridged = new TestAgent({ id: 'agent-k', kafkaBridge: { kafka } });
+      await bridged.initialize();
+      bridged.addCapability('summarize');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(sent[0]).toEqual(expect.objectContaining({
+        topic: 'agent.events',
+        version: 1,
+        agentId: 'agent-k',
+        type: 'stateChanged',
+        payload: { oldState: 'initializing', newState: 'ready' }
+      }));
+      expect(sent.map(envelope => envelope.type)).toContain('capabilityAdded');
+    });
+
+    it('should translate agent.commands into method calls', async () => {
+      const bridged = new TestAgent({ id: 'agent-k', kafkaBridge: { kafka } });
+      await bridged.initialize();
+
+      await eachMessage(command('pause'));
+      expect(bridged.paused).toBe(true);
+
+      await eachMessage(command('updateConfig', { config: { concurrency: 4 } }, '*'));
+      expect(bridged.getConfig('concurrency')).toBe(4);
+
+      await eachMessage(command('pause', {}, 'another-agent'));
+      await eachMessage(command('selfDestruct'));
+
+      const results = sent.filter(envelope => envelope.type === 'commandResult');
+      expect(results.map(envelope => envelope.payload.success)).toEqual([true, true, false]);
+    });
+  });
+
+  describe('config', () => {
+    class ConfiguredAgent extends TestAgent {
+      configSchema() {
+        return Joi.object({
+          concurrency: Joi.number().integer().min(1).max(16),
+          taskTimeout: Joi.number().min(0),
+          model: Joi.string().default('small')
+        });
+      }
+    }
+
+    it('should apply schema defaults and reject invalid updates', () => {
+      const configured = new ConfiguredAgent({ concurrency: 2 });
+      expect(configured.getConfig('model')).toBe('small');
+
+      expect(() => configured.updateConfig({ concurrency: 0 })).toThrow(ConfigValidationError);
+      expect(configured.getConfig('concurrency')).toBe(2);
+      expect(() => new ConfiguredAgent({ taskTimeout: 'soon' })).toThrow(ConfigValidationError);
+    });
+
+    it('should emit a diff of changed keys and notify key watchers', () => {
+      const configured = new ConfiguredAgent({ concurrency: 2 });
+      const updated = jest.fn();
+      const watcher = jest.fn();
+      configured.on('configUpdated', updated);
+      configured.onConfigChange('taskTimeout', watcher);
+
+      configured.updateConfig({ concurrency: 2, taskTimeout: 5000 });
+      configured.updateConfig({ concurrency: 2 });
+
+      expect(updated).toHaveBeenCalledTimes(1);
+      expect(updated.mock.calls[0][1]).toEqual([{ key: 'taskTimeout', previous: 0, current: 5000 }]);
+      expect(watcher).toHaveBeenCalledWith(5000, 0);
+    });
+
+    it('should start queued tasks when concurrency is raised', async () => {
+      agent.handleTask = jest.fn(() => new Promise(() => {}));
+      await agent.initialize();
+      agent.enqueueTask({ id: 'a' });
+      agent.enqueueTask({ id: 'b' });
+      expect(agent.activeTasks.size).toBe(1);
+
+      agent.updateConfig({ concurrency: 2 });
+      expect(agent.activeTasks.size).toBe(2);
+    });
+  });
+
+  describe('delegation', () => {
+    // In-process stand-in for Kafka: every consumer sees every message
+    const createBus = () => {
+      const consumers = [];
+      return {
+        producer: () => ({
+          connect: jest.fn(),
+          disconnect: jest.fn(),
+          send: async ({ topic, messages }) => {
+            messages.forEach(message => setImmediate(() => {
+              consumers
+                .filter(consumer => consumer.topics.includes(topic))
+                .forEach(consumer => consumer.eachMessage({ topic, message: { value: Buffer.from(message.value) } }));
+            }));
+          }
+        }),
+        consumer: () => {
+          const consumer = { topics: [] };
+          consumers.push(consumer);
+          return {
+            connect: jest.fn(),
+            disconnect: jest.fn(),
+            subscribe: async ({ topic }) => { consumer.topics.push(topic); },
+            run: async ({ eachMessage }) => { consumer.eachMessage = eachMessage; }
+          };
+        }
+      };
+    };
+
+    const createAgent = (id, serverRegistry, kafka, handleTask) => {
+      const peer = new TestAgent({ id, delegation: { serverRegistry, kafka, timeout: 50 } });
+      peer.handleTask = handleTask || jest.fn();
+      return peer;
+    };
+
+    it('should delegate to a peer with the capability and resolve with its reply', async () => {
+      const kafka = createBus();
+      const serverRegistry = { discoverServers: jest.fn(async () => [{ serverId: 'reviewer' }]) };
+      const requester = createAgent('requester', serverRegistry, kafka);
+      const reviewer = createAgent('reviewer', serverRegistry, kafka, async task => ({ approved: task.payload.pr === 7 }));
+      reviewer.addCapability('code-review');
+      await requester.initialize();
+      await reviewer.initialize();
+
+      const result = await requester.delegate('code-review', { pr: 7 });
+
+      expect(result).toEqual({ approved: true });
+      expect(serverRegistry.discoverServers).toHaveBeenCalledWith(['code-review']);
+    });
+
+    it('should find peers through the announcements agents publish to the server registry', async () => {
+      const kafka = createBus();
+      const logger = { log: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+      // No control plane is listening; announced agents need none
+      const serverRegistry = new ServerRegistry({ kafka, grpcHost: '127.0.0.1:1', logger, metrics: new MetricsRegistry() });
+      await serverRegistry.initialize();
+      const requester = createAgent('requester', serverRegistry, kafka);
+      const reviewer = createAgent('reviewer', serverRegistry, kafka, async () => 'reviewed');
+      const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+      try {
+        await requester.initialize();
+        await reviewer.initialize();
+        await settle();
+        expect([...serverRegistry.servers.keys()]).toEqual(['requester', 'reviewer']);
+        await expect(requester.delegate('code-review', {})).rejects.toMatchObject({ code: 'NO_PEER_AVAILABLE' });
+
+        reviewer.addCapability('code-review@1.2.0');
+        await settle();
+        await expect(requester.delegate('code-review@^1.0', {})).resolves.toBe('reviewed');
+
+        await reviewer.shutdown();
+        await settle();
+        expect(await serverRegistry.discoverServers(['code-review'])).toEqual([]);
+      } finally {
+        await requester.shutdown();
+        await serverRegistry.stop();
+      }
+    });
+
+    it('should retry on another peer when one times out', async () => {
+      const kafka = createBus();
+      const serverRegistry = {
+        discoverServers: jest.fn(async () => [{ serverId: 'offline' }, { serverId: 'reviewer' }])
+      };
+      const requester = createAgent('requester', serverRegistry, kafka);
+      const reviewer = createAgent('reviewer', serverRegistry, kafka, async () => 'reviewed');
+      reviewer.addCapability('code-review');
+      await requester.initialize();
+      await reviewer.initialize();
+
+      await expect(requester.delegate('code-review', {})).resolves.toBe('reviewed');
+    });
+
+    it('should time out while the request is still being sent without leaking the rejection', async () => {
+      const unhandled = jest.fn();
+      process.on('unhandledRejection', unhandled);
+      const kafka = createBus();
+      const producer = kafka.producer;
+      kafka.producer = () => ({
+        ...producer(),
+        send: () => new Promise(resolve => setTimeout(resolve, 100))
+      });
+      const serverRegistry = { discoverServers: jest.fn(async () => [{ serverId: 'slow' }]) };
+      const requester = createAgent('requester', serverRegistry, kafka);
+      await requester.initialize();
+
+      await expect(requester.delegate('code-review', {})).rejects.toMatchObject({
+        code: 'DELEGATION_FAILED',
+        details: { attempts: [{ peer: 'slow', error: 'Delegation to slow timed out after 50ms' }] }
+      });
+      await new Promise(resolve => setTimeout(resolve, 100));
+      process.off('unhandledRejection', unhandled);
+
+      expect(unhandled).not.toHaveBeenCalled();
+    });
+
+    it('should not delegate back along the current chain', async () => {
+      const kafka = createBus();
+      const serverRegistry = { discoverServers: jest.fn(async () => [{ serverId: 'requester' }]) };
+      const requester = createAgent('requester', serverRegistry, kafka);
+      await requester.initialize();
+
+      const task = { id: 't1', delegation: { from: 'requester', chain: ['requester'] } };
+      await expect(requester.delegate('code-review', {}, { task }))
+        .rejects.toMatchObject({ code: 'NO_PEER_AVAILABLE' });
+      await expect(requester.delegate('code-review', {}, {
+        task: { delegation: { chain: ['a', 'b', 'c', 'd', 'e'] } }
+      })).rejects.toThrow(DelegationError);
+    });
+  });
+});
@@ -0,0 +1,682 @@
+jest.mock('redis', () => ({ createClient: jest.fn() }), { virtual: true });
+
+const { EventEmitter } = require('events');
+const path = require('path');
+const grpc = require('@grpc/grpc-js');
+const protoLoader = require('@grpc/proto-loader');
+const jwt = require('jsonwebtoken');
+const ControlPlaneService = require('../src/grpc/ControlPlaneService');
+const ServerRegistry = require('../src/ServerRegistry');
+const { createServerCredentials, isLoopback } = require('../src/grpc/ControlPlaneAuth');
+const { TenantManager } = require('../src/TenantManager');
+const { TaskIndex } = require('../src/TaskIndex');
+const TaskEvents = require('../src/TaskEvents');
+const TaskCancellations = require('../src/TaskCancellations');
+const MetricsRegistry = require('../src/MetricsRegistry');
+const { LogSink } = require('../src/LogSink');
+const MockRedisService = require('./mocks/MockRedisService');
+
+const createRedisPool = redis => ({
+  getConnection: jest.fn(async () => redis),
+  releaseConnection: jest.fn(),
+  createSubscriber: jest.fn(async () => redis)
+});
+
+const flush = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Invoke a unary handler and resolve with what it passed to its callback
+const unary = (handler, request) => new Promise(resolve => {
+  handler({ request }, (error, response) => resolve({ error, response }));
+});
+
+// Server-stream stand-in whose buffer fills after `highWaterMark` writes
+const createStream = (request, highWaterMark = Infinity) => {
+  const call = new EventEmitter();
+  call.request = request;
+  call.cancelled = false;
+  call.written = [];
+  call.drainWaits = 0;
+  call.write = jest.fn(message => {
+    call.written.push(message);
+    const full = call.written.length % highWaterMark === 0;
+    if (full) {
+      call.drainWaits++;
+      setImmediate(() => call.emit('drain'));
+    }
+    return !full;
+  });
+  call.end = jest.fn();
+  call.destroy = jest.fn();
+  return call;
+};
+
+describe('ControlPlaneService', () => {
+  let redis;
+  let redisPool;
+  let producer;
+  let metrics;
+  let logs;
+  let service;
+
+  beforeEach(() => {
+    redis = new MockRedisService({ latency: 1 });
+    redisPool = createRedisPool(redis);
+    producer = { send: jest.fn(async () => {}) };
+    const taskProcessor = {
+      producer,
+      tenants: new TenantManager({ tenants: { capped: { dailyQuota: 1 } }, redisPool }),
+      taskIndex: new TaskIndex({ redisPool, batchSize: 2 }),
+      taskEvents: new TaskEvents({ redisPool }),
+      cancellations: new TaskCancellations({ redisPool }),
+      isPaused: false,
+      pauseProcessing: jest.fn(function () { this.isPaused = true; }),
+      resumeProcessing: jest.fn(function () { this.isPaused = false; })
+    };
+    metrics = new MetricsRegistry();
+    logs = new LogSink();
+    service = new ControlPlaneService(taskProcessor, redisPool, { metrics, logs });
+  });
+
+  const sent = topic => producer.send.mock.calls
+    .filter(([record]) => record.topic === topic)
+    .map(([record]) => record);
+
+  describe('submitTask', () => {
+    it('should record the task as PENDING and publish it keyed by id', async () => {
+      const { error, response } = await unary(service.submitTask.bind(service), {
+        id: 't1',
+        type: 'summarize',
+        payload: Buffer.from(JSON.stringify({ text: 'hello' })),
+        priority: 5,
+        timeout_ms: '30000',
+        tenant_id: ''
+      });
+
+      expect(error).toBeNull();
+      expect(response).toEqual(expect.objectContaining({ id: 't1', status: 'PENDING' }));
+      expect(JSON.parse(redis.data.get('task:t1'))).toEqual(expect.objectContaining({
+        status: 'PENDING',
+        type: 'summarize',
+        tenantId: 'default'
+      }));
+
+      const [record] = sent('task.requests');
+      expect(record.acks).toBe(-1);
+      expect(record.messages[0].key).toBe('t1');
+      expect(JSON.parse(record.messages[0].value)).toEqual(expect.objectContaining({
+        id: 't1',
+        type: 'summarize',
+        payload: { text: 'hello' },
+        priority: 5,
+        timeout: 30000,
+        tenantId: 'default'
+      }));
+      expect(redisPool.releaseConnection).toHaveBeenCalledTimes(redisPool.getConnection.mock.calls.length);
+    });
+
+    it('should generate an id when none is given', async () => {
+      const { response } = await unary(service.submitTask.bind(service), { type: 'summarize' });
+
+      expect(response.id).toEqual(expect.any(String));
+      expect(JSON.parse(sent('task.requests')[0].messages[0].value).id).toBe(response.id);
+    });
+
+    it('should reject invalid requests without publishing', async () => {
+      const submit = request => unary(service.submitTask.bind(service), request);
+
+      expect((await submit({ id: 't1', type: '' })).error.code).toBe(grpc.status.INVALID_ARGUMENT);
+      expect((await submit({ id: 't1', type: 'x', timeout_ms: '-5' })).error.code).toBe(grpc.status.INVALID_ARGUMENT);
+      expect((await submit({ id: 't1', type: 'x', payload: Buffer.from('{') })).error.code)
+        .toBe(grpc.status.INVALID_ARGUMENT);
+      expect(producer.send).not.toHaveBeenCalled();
+      expect(redis.data.has('task:t1')).toBe(false);
+    });
+
+    it('should refuse a duplicate id and tenants over quota', async () => {
+      await unary(service.submitTask.bind(service), { id: 't1', type: 'x' });
+      const duplicate = await unary(service.submitTask.bind(service), { id: 't1', type: 'x' });
+      expect(duplicate.error.code).toBe(grpc.status.ALREADY_EXISTS);
+
+      await unary(service.submitTask.bind(service), { id: 'q1', type: 'x', tenant_id: 'capped' });
+      const overQuota = await unary(service.submitTask.bind(service), { id: 'q2', type: 'x', tenant_id: 'capped' });
+      expect(overQuota.error.code).toBe(grpc.status.RESOURCE_EXHAUSTED);
+      expect(sent('task.requests')).toHaveLength(2);
+    });
+
+    it('should report UNAVAILABLE and forget the task when the publish fails', async () => {
+      producer.send.mockRejectedValueOnce(new Error('broker down'));
+
+      const { error } = await unary(service.submitTask.bind(service), { id: 't1', type: 'x' });
+
+      expect(error.code).toBe(grpc.status.UNAVAILABLE);
+      expect(redis.data.has('task:t1')).toBe(false);
+      expect(redis.sortedSets.get('tasks:created').has('t1')).toBe(false);
+      expect(redis.sortedSets.get('tasks:status:PENDING').has('t1')).toBe(false);
+      expect(await service.taskProcessor.taskEvents.latest('t1')).toBeNull();
+      expect(redis.data.has('task-events:t1:version')).toBe(false);
+    });
+
+    it('should refund the quota when a submission is not queued', async () => {
+      const submit = request => unary(service.submitTask.bind(service), { type: 'x', tenant_id: 'capped', ...request });
+      await redis.set('task:q0', JSON.stringify({ status: 'COMPLETED' }));
+
+      expect((await submit({ id: 'q0' })).error.code).toBe(grpc.status.ALREADY_EXISTS);
+      producer.send.mockRejectedValueOnce(new Error('broker down'));
+      expect((await submit({ id: 'q1' })).error.code).toBe(grpc.status.UNAVAILABLE);
+
+      expect((await submit({ id: 'q2' })).error).toBeNull();
+      expect((await submit({ id: 'q3' })).error.code).toBe(grpc.status.RESOURCE_EXHAUSTED);
+    });
+  });
+
+  describe('cancelTask', () => {
+    let broadcasts;
+
+    beforeEach(() => {
+      broadcasts = [];
+      redis.subscribe('task-cancellations', message => broadcasts.push(JSON.parse(message)));
+    });
+
+    it('should mark pending tasks cancelled and broadcast the cancellation', async () => {
+      await redis.set('task:t1', JSON.stringify({ status: 'PENDING', type: 'x' }));
+
+      const { response } = await unary(service.cancelTask.bind(service), { id: 't1' });
+
+      expect(response.success).toBe(true);
+      expect(JSON.parse(redis.data.get('task:t1'))).toEqual(expect.objectContaining({ status: 'CANCELLED', type: 'x' }));
+      expect(broadcasts).toEqual([expect.objectContaining({ taskId: 't1', reason: 'Cancelled via control plane' })]);
+    });
+
+    it('should leave running tasks to the processor that owns them', async () => {
+      await redis.set('task:t1', JSON.stringify({ status: 'PROCESSING' }));
+
+      await unary(service.cancelTask.bind(service), { id: 't1' });
+
+      expect(JSON.parse(redis.data.get('task:t1')).status).toBe('PROCESSING');
+      expect(broadcasts).toEqual([expect.objectContaining({ taskId: 't1' })]);
+      expect(sent('agent.commands')).toHaveLength(0);
+    });
+
+    it('should not cancel unknown or finished tasks', async () => {
+      await redis.set('task:done', JSON.stringify({ status: 'COMPLETED' }));
+
+      expect((await unary(service.cancelTask.bind(service), { id: 'missing' })).error.code)
+        .toBe(grpc.status.NOT_FOUND);
+      expect((await unary(service.cancelTask.bind(service), { id: 'done' })).response.success).toBe(false);
+      expect(broadcasts).toEqual([]);
+    });
+  });
+
+  describe('listTasks', () => {
+    const seed = async tasks => {
+      for (const task of tasks) {
+        await redis.set(`task:${task.id}`, JSON.stringify({ status: task.status }));
+        await service.taskProcessor.taskIndex.add(task);
+        await service.taskProcessor.taskIndex.setStatus(task.id, task.status);
+      }
+    };
+
+    const list = async (request, highWaterMark) => {
+      const call = createStream({ types: [], statuses: [], since: '0', limit: 0, cursor: '', ...request }, highWaterMark);
+      await service.listTasks(call);
+      return call;
+    };
+
+    beforeEach(() => seed([
+      { id: 'a', type: 'email', status: 'COMPLETED', createdAt: 1000 },
+      { id: 'b', type: 'report', status: 'FAILED', createdAt: 2000 },
+      { id: 'c', type: 'email', status: 'PROCESSING', createdAt: 3000 },
+      { id: 'd', type: 'email', status: 'FAILED', createdAt: 3000 },
+      { id: 'e', type: 'report', status: 'COMPLETED', createdAt: 4000 }
+    ]));
+
+    it('should stream tasks newest first from the index', async () => {
+      const call = await list({});
+
+      expect(call.written.map(status => status.id)).toEqual(['e', 'd', 'c', 'b', 'a']);
+      expect(call.written[0]).toEqual(expect.objectContaining({ status: 'COMPLETED', created_at: 4000 }));
+      expect(call.end).toHaveBeenCalled();
+    });
+
+    it('should filter by status, type and creation time', async () => {
+      const ids = async request => (await list(request)).written.map(status => status.id);
+
+      expect(await ids({ statuses: ['FAILED', 'COMPLETED'] })).toEqual(['e', 'd', 'b', 'a']);
+      expect(await ids({ types: ['email'] })).toEqual(['d', 'c', 'a']);
+      expect(await ids({ statuses: ['FAILED'], types: ['email'] })).toEqual(['d']);
+      expect(await ids({ since: '3000' })).toEqual(['e', 'd', 'c']);
+    });
+
+    it('should follow status changes', async () => {
+      await service.taskProcessor.taskIndex.setStatus('c', 'COMPLETED');
+
+      const call = await list({ statuses: ['PROCESSING'] });
+      expect(call.written).toEqual([]);
+      expect((await list({ statuses: ['COMPLETED'] })).written.map(status => status.id)).toEqual(['e', 'c', 'a']);
+    });
+
+    it('should page with cursors, including across tied creation times', async () => {
+      const seen = [];
+      let cursor = '';
+      for (;;) {
+        const call = await list({ limit: 2, cursor });
+        if (call.written.length === 0) break;
+        seen.push(...call.written.map(status => status.id));
+        cursor = call.written[call.written.length - 1].cursor;
+      }
+
+      expect(seen).toEqual(['e', 'd', 'c', 'b', 'a']);
+    });
+
+    it('should not skip tasks when ones already listed change status mid-scan', async () => {
+      const { taskIndex } = service.taskProcessor;
+      await seed([
+        { id: 'f', type: 'email', status: 'COMPLETED', createdAt: 500 },
+        { id: 'g', type: 'email', status: 'COMPLETED', createdAt: 250 }
+      ]);
+
+      const seen = [];
+      for await (const entry of taskIndex.scan({ statuses: ['COMPLETED'] })) {
+        seen.push(entry.id);
+        if (entry.id === 'e') await taskIndex.setStatus('e', 'FAILED');
+      }
+
+      expect(seen).toEqual(['e', 'a', 'f', 'g']);
+    });
+
+    it('should wait for the client to drain before writing more', async () => {
+      const call = await list({}, 2);
+
+      expect(call.written).toHaveLength(5);
+      expect(call.drainWaits).toBe(2);
+      expect(call.end).toHaveBeenCalled();
+    });
+
+    it('should serialize handler results of any shape', async () => {
+      const result = { rows: [1, 2], total: 2 };
+      await redis.set('task:e', JSON.stringify({ status: 'COMPLETED', result }));
+      await redis.set('task:d', JSON.stringify({ status: 'FAILED', result: 0 }));
+
+      const call = await list({ statuses: ['COMPLETED'] });
+      expect(call.destroy).not.toHaveBeenCalled();
+      expect(call.written.map(status => status.id)).toEqual(['e', 'a']);
+      expect(JSON.parse(call.written[0].result.toString())).toEqual(result);
+      expect(call.written[1].result).toBeNull();
+
+      const { error, response } = await unary(service.getTaskStatus.bind(service), { id: 'e' });
+      expect(error).toBeNull();
+      expect(JSON.parse(response.result.toString())).toEqual(result);
+      expect(JSON.parse((await unary(service.getTaskStatus.bind(service), { id: 'd' })).response.result.toString())).toBe(0);
+    });
+
+    it('should reject malformed cursors', async () => {
+      const call = await list({ cursor: 'not-a-cursor' });
+
+      expect(call.destroy).toHaveBeenCalledWith(expect.objectContaining({ code: grpc.status.INVALID_ARGUMENT }));
+      expect(call.write).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('watching tasks', () => {
+    let taskEvents;
+
+    beforeEach(() => {
+      taskEvents = service.taskProcessor.taskEvents;
+    });
+
+    const record = async (id, state) => {
+      await redis.set(`task:${id}`, JSON.stringify(state));
+      return taskEvents.record(id, state);
+    };
+
+    const watch = async (method, request) => {
+      const call = createStream(request);
+      await service[method](call);
+      return call;
+    };
+
+    const versions = call => call.written.map(event => event.version);
+
+    it('should start from the current state and end at a terminal status', async () => {
+      await record('t1', { status: 'PENDING', type: 'email' });
+      await record('t1', { status: 'PROCESSING', type: 'email' });
+
+      const call = await watch('watchTask', { id: 't1', from_version: '0' });
+      expect(call.written).toEqual([expect.objectContaining({
+        task_id: 't1',
+        version: 2,
+        type: 'email',
+        status: expect.objectContaining({ status: 'PROCESSING' })
+      })]);
+
+      await record('t1', { status: 'PROCESSING', type: 'email', progress: 50 });
+      await record('t1', { status: 'COMPLETED', type: 'email', progress: 100 });
+      await flush();
+
+      expect(versions(call)).toEqual([2, 3, 4]);
+      expect(call.written[1].status.progress).toBe(50);
+      expect(call.end).toHaveBeenCalled();
+      expect(taskEvents.listenerCount('event')).toBe(0);
+    });
+
+    it('should deliver results of any shape and keep other watchers going when one fails', async () => {
+      await record('t1', { status: 'PROCESSING', type: 'email' });
+      const call = await watch('watchTask', { id: 't1', from_version: '0' });
+      const other = jest.fn();
+      taskEvents.on('event', () => {
+        throw new Error('broken watcher');
+      });
+      taskEvents.on('event', other);
+
+      await record('t1', { status: 'COMPLETED', type: 'email', result: { sent: 3 } });
+      await flush();
+
+      expect(versions(call)).toEqual([1, 2]);
+      expect(JSON.parse(call.written[1].status.result.toString())).toEqual({ sent: 3 });
+      expect(call.end).toHaveBeenCalled();
+      expect(other).toHaveBeenCalledWith(expect.objectContaining({ taskId: 't1', version: 2 }));
+      taskEvents.removeAllListeners('event');
+    });
+
+    it('should resume after the last version the client saw', async () => {
+      for (const progress of [10, 20, 30]) {
+        await record('t1', { status: 'PROCESSING', progress });
+      }
+
+      const call = await watch('watchTask', { id: 't1', from_version: '1' });
+
+      expect(versions(call)).toEqual([2, 3]);
+      expect(call.end).not.toHaveBeenCalled();
+    });
+
+    it('should snapshot tasks that have no recorded events and reject unknown ones', async () => {
+      await redis.set('task:old', JSON.stringify({ status: 'COMPLETED' }));
+
+      const old = await watch('watchTask', { id: 'old', from_version: '0' });
+      expect(old.written).toEqual([expect.objectContaining({ version: 0 })]);
+      expect(old.end).toHaveBeenCalled();
+
+      const missing = await watch('watchTask', { id: 'missing', from_version: '0' });
+      expect(missing.destroy).toHaveBeenCalledWith(expect.objectContaining({ code: grpc.status.NOT_FOUND }));
+      expect(taskEvents.listenerCount('event')).toBe(0);
+    });
+
+    it('should stop streaming when the client goes away', async () => {
+      await record('t1', { status: 'PROCESSING' });
+      const call = await watch('watchTask', { id: 't1', from_version: '0' });
+
+      call.emit('cancelled');
+      await record('t1', { status: 'COMPLETED' });
+      await flush();
+
+      expect(versions(call)).toEqual([1]);
+      expect(taskEvents.listenerCount('event')).toBe(0);
+    });
+
+    it('should stream filtered events for many tasks', async () => {
+      await record('a', { status: 'PROCESSING', type: 'email' });
+
+      const call = await watch('watchTasks', {
+        ids: [],
+        types: ['email'],
+        statuses: ['COMPLETED', 'FAILED'],
+        from_versions: { a: '0' }
+      });
+      await record('a', { status: 'COMPLETED', type: 'email' });
+      await record('b', { status: 'FAILED', type: 'report' });
+      await record('c', { status: 'PROCESSING', type: 'email' });
+      await record('c', { status: 'FAILED', type: 'email' });
+      await flush();
+
+      expect(call.written.map(event => [event.task_id, event.version])).toEqual([['a', 2], ['c', 2]]);
+      expect(call.end).not.toHaveBeenCalled();
+      call.emit('cancelled');
+    });
+  });
+
+  describe('system control', () => {
+    it('should pause and resume the task processor and report it in the system status', async () => {
+      Object.assign(service.taskProcessor, {
+        activeTasks: new Map(),
+        taskQueue: { length: 0, depthByBand: () => ({}) },
+        stats: { processed: 0, failed: 0, retries: 0, deadLettered: 0 },
+        getConcurrencyLimit: () => 4,
+        concurrencyLimiter: null
+      });
+      const isRunning = async () => (await unary(service.getSystemStatus.bind(service), {})).response.is_running;
+
+      expect((await unary(service.pauseSystem.bind(service), {})).response.success).toBe(true);
+      expect(service.taskProcessor.pauseProcessing).toHaveBeenCalledTimes(1);
+      expect(await isRunning()).toBe(false);
+
+      expect((await unary(service.resumeSystem.bind(service), {})).response.success).toBe(true);
+      expect(service.taskProcessor.resumeProcessing).toHaveBeenCalledTimes(1);
+      expect(await isRunning()).toBe(true);
+    });
+  });
+
+  describe('getMetrics', () => {
+    let depth;
+
+    beforeEach(() => {
+      depth = 0;
+      metrics.register('queue', () => ({ depth, label: 'ignored' }));
+    });
+
+    it('should stream current values when no duration is given', async () => {
+      metrics.observe('latency', 10);
+      metrics.observe('latency', 30);
+      const call = createStream({ names: [], duration_ms: '0', follow: false });
+      await service.getMetrics(call);
+
+      expect(call.written).toEqual([
+        expect.objectContaining({ name: 'queue', values: { depth: 0 } }),
+        expect.objectContaining({ name: 'latency', values: expect.objectContaining({ count: 2, avg: 20, max: 30 }) })
+      ]);
+      expect(call.end).toHaveBeenCalled();
+    });
+
+    it('should replay recorded samples and follow new ones', async () => {
+      const now = Date.now();
+      metrics.sample(now - 120000);
+      depth = 1;
+      metrics.sample(now - 30000);
+
+      const call = createStream({ names: ['queue'], duration_ms: '60000', follow: true });
+      await service.getMetrics(call);
+      depth = 2;
+      metrics.sample();
+
+      expect(call.written.map(metric => metric.values.depth)).toEqual([1, 2]);
+      expect(call.end).not.toHaveBeenCalled();
+
+      call.emit('cancelled');
+      metrics.sample();
+      expect(call.written).toHaveLength(2);
+      expect(metrics.listenerCount('sample')).toBe(0);
+    });
+  });
+
+  describe('getLogs', () => {
+    const write = (level, message, source = 'TaskProcessor') => logs.write({ level, source, message });
+
+    it('should filter buffered entries by level, source and limit', async () => {
+      write('debug', 'polling');
+      write('warn', 'slow handler');
+      write('error', 'handler failed');
+      write('error', 'registry down', 'ServerRegistry');
+      write('warn', 'still slow');
+
+      const call = createStream({ level: 'WARN', source: 'TaskProcessor', since: '0', limit: 2, follow: false });
+      await service.getLogs(call);
+
+      expect(call.written).toEqual([
+        expect.objectContaining({ level: 'ERROR', source: 'TaskProcessor', message: 'handler failed' }),
+        expect.objectContaining({ level: 'WARN', message: 'still slow' })
+      ]);
+      expect(call.end).toHaveBeenCalled();
+    });
+
+    it('should record errors logged through a component logger', async () => {
+      const error = Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED' });
+      logs.createLogger('ServerRegistry', null).error('Health check failed for s1:', error);
+
+      const call = createStream({ level: 'error', source: '', since: '0', limit: 0, follow: false });
+      await service.getLogs(call);
+
+      expect(call.written).toEqual([expect.objectContaining({
+        source: 'ServerRegistry',
+        message: expect.stringContaining('Health check failed for s1: Error: connection refused'),
+        fields: { errorName: 'Error', errorCode: 'ECONNREFUSED' }
+      })]);
+    });
+
+    it('should reject an unknown level', async () => {
+      const call = createStream({ level: 'verbose', source: '', since: '0', limit: 0, follow: false });
+      await service.getLogs(call);
+
+      expect(call.destroy).toHaveBeenCalledWith(expect.objectContaining({ code: grpc.status.INVALID_ARGUMENT }));
+      expect(call.written).toEqual([]);
+    });
+
+    it('should tail new entries and drop them while the client is behind', async () => {
+      write('info', 'before');
+
+      const call = createStream({ level: 'info', source: '', since: '0', limit: 0, follow: true }, 2);
+      await service.getLogs(call);
+      write('debug', 'filtered out');
+      write('info', 'first');
+      write('info', 'dropped');
+      await flush();
+      write('info', 'second');
+
+      expect(call.written.map(entry => entry.message)).toEqual(['before', 'first', 'second']);
+      expect(call.end).not.toHaveBeenCalled();
+
+      call.emit('cancelled');
+      expect(logs.listenerCount('entry')).toBe(0);
+    });
+  });
+
+  describe('transport security', () => {
+    it('should refuse to serve plaintext beyond loopback unless opted into', async () => {
+      const exposed = new ControlPlaneService(service.taskProcessor, redisPool, {
+        metrics, logs, address: '0.0.0.0:0', tls: {}
+      });
+      await expect(exposed.init()).rejects.toThrow(/without TLS/);
+
+      expect(() => createServerCredentials({ allowInsecure: true }, '0.0.0.0:0', logs.createLogger('test')))
+        .not.toThrow();
+    });
+
+    it('should bind to loopback by default when no certificate is configured', () => {
+      expect(new ControlPlaneService(service.taskProcessor, redisPool, { metrics, logs, tls: {} }).address)
+        .toBe('127.0.0.1:50051');
+      expect(new ControlPlaneService(service.taskProcessor, redisPool, {
+        metrics, logs, tls: { allowInsecure: true }
+      }).address).toBe('0.0.0.0:50051');
+
+      expect(['localhost:1', '127.0.0.1:1', '[::1]:1'].every(address => isLoopback(address))).toBe(true);
+      expect(['0.0.0.0:1', '10.0.0.5:1', '[::]:1'].some(address => isLoopback(address))).toBe(false);
+    });
+  });
+
+  describe('authentication', () => {
+    let client;
+
+    beforeEach(async () => {
+      service = new ControlPlaneService(service.taskProcessor, redisPool, { metrics, logs, address: '127.0.0.1:0' });
+      await service.init();
+
+      const packageDefinition = protoLoader.loadSync(path.join(__dirname, '../src/grpc/control.proto'), {
+        keepCase: true,
+        longs: String,
+        enums: String,
+        defaults: true
+      });
+      const { ControlPlane } = grpc.loadPackageDefinition(packageDefinition).agentic.control;
+      client = new ControlPlane(`127.0.0.1:${service.port}`, grpc.credentials.createInsecure());
+    });
+
+    afterEach(async () => {
+      client.close();
+      await service.shutdown();
+    });
+
+    const tokenFor = (roles, options = {}) => jwt.sign(
+      { sub: 'user-1', roles },
+      process.env.MCP_JWT_SECRET,
+      { algorithm: 'HS256', issuer: 'mcp-control-plane', ...options }
+    );
+
+    const invoke = (method, request, token) => new Promise(resolve => {
+      const metadata = new grpc.Metadata();
+      if (token) metadata.set('authorization', `Bearer ${token}`);
+      client[method](request, metadata, (error, response) => resolve({ error, response }));
+    });
+
+    it('should reject calls without a valid token', async () => {
+      expect((await invoke('GetTaskStatus', { id: 't1' })).error.code).toBe(grpc.status.UNAUTHENTICATED);
+
+      const forged = jwt.sign({ sub: 'user-1', roles: ['admin'] }, 'other-secret', { issuer: 'mcp-control-plane' });
+      expect((await invoke('PauseSystem', {}, forged)).error.code).toBe(grpc.status.UNAUTHENTICATED);
+
+      const foreign = tokenFor(['admin'], { issuer: 'someone-else' });
+      expect((await invoke('PauseSystem', {}, foreign)).error.code).toBe(grpc.status.UNAUTHENTICATED);
+      expect(service.taskProcessor.pauseProcessing).not.toHaveBeenCalled();
+    });
+
+    it('should check the permission each RPC requires', async () => {
+      await redis.set('task:t1', JSON.stringify({ status: 'PENDING' }));
+      const viewer = tokenFor(['viewer']);
+
+      const status = await invoke('GetTaskStatus', { id: 't1' }, viewer);
+      expect(status.error).toBeNull();
+      expect(status.response.status).toBe('PENDING');
+
+      const pause = await invoke('PauseSystem', {}, viewer);
+      expect(pause.error.code).toBe(grpc.status.PERMISSION_DENIED);
+      expect(pause.error.details).toContain('lacks admin permission for config');
+      expect((await invoke('SubmitTask', { type: 'email' }, viewer)).error.code).toBe(grpc.status.PERMISSION_DENIED);
+      expect(service.taskProcessor.pauseProcessing).not.toHaveBeenCalled();
+
+      expect((await invoke('PauseSystem', {}, tokenFor(['admin']))).response.success).toBe(true);
+      expect(service.taskProcessor.pauseProcessing).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse roles without read access', async () => {
+      const { error } = await invoke('GetTaskStatus', { id: 't1' }, tokenFor(['auditor']));
+      expect(error.code).toBe(grpc.status.PERMISSION_DENIED);
+    });
+
+    it('should let the server registry discover and health-check with its token', async () => {
+      const registryLogger = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+      const registry = new ServerRegistry({
+        grpcHost: `127.0.0.1:${service.port}`,
+        token: tokenFor(['viewer']),
+        logger: registryLogger,
+        metrics
+      });
+      const anonymous = new ServerRegistry({ grpcHost: `127.0.0.1:${service.port}`, logger: registryLogger, metrics });
+
+      try {
+        await registry.discoverNewServers();
+        await registry.checkServerHealth();
+        expect(registryLogger.error).not.toHaveBeenCalled();
+        expect(await registry.discoverServers(['metrics'])).toEqual([
+          expect.objectContaining({ serverId: 'control-plane', name: 'Control Plane Service' })
+        ]);
+
+        await anonymous.discoverNewServers();
+        expect(registryLogger.error).toHaveBeenCalledWith('Discovery failed:',
+          expect.objectContaining({ code: grpc.status.UNAUTHENTICATED }));
+        expect(anonymous.servers.size).toBe(0);
+      } finally {
+        registry.grpcClient.close();
+        anonymous.grpcClient.close();
+        registry.unregisterMetrics();
+        anonymous.unregisterMetrics();
+      }
+    });
+  });
+});
@@ -0,0 +1,1358 @@
+jest.mock('redis', () => ({ createClient: jest.fn() }), { virtual: true });
+
+const TaskProcessor = require('../src/TaskProcessor');
+const { PriorityTaskQueue } = require('../src/PriorityTaskQueue');
+const CronExpression = require('../src/CronExpression');
+const AdaptiveConcurrencyLimiter = require('../src/AdaptiveConcurrencyLimiter');
+const MetricsRegistry = require('../src/MetricsRegistry');
+const { TenantManager } = require('../src/TenantManager');
+const { computeBackoff, isRetryable } = require('../src/RetryPolicy');
+const { ConfigValidationError } = require('../src/errors');
+const MockRedisService = require('./mocks/MockRedisService');
+
+// Minimal kafkajs stand-in that records consumers by group id
+const createKafka = () => {
+  const consumers = {};
+  const producers = [];
+  return {
+    consumers,
+    producers,
+    producer: () => {
+      const producer = {
+        connect: jest.fn(),
+        disconnect: jest.fn(),
+        send: jest.fn(async () => {})
+      };
+      producers.push(producer);
+      return producer;
+    },
+    consumer: options => {
+      const consumer = {
+        options,
+        topics: [],
+        connect: jest.fn(),
+        disconnect: jest.fn(),
+        subscribe: jest.fn(async ({ topic }) => consumer.topics.push(topic)),
+        run: jest.fn(async config => { consumer.runConfig = config; }),
+        commitOffsets: jest.fn(async () => {}),
+        pause: jest.fn(),
+        resume: jest.fn()
+      };
+      consumers[options.groupId] = consumer;
+      return consumer;
+    }
+  };
+};
+
+const createRedisPool = redis => ({
+  init: jest.fn(),
+  close: jest.fn(),
+  getConnection: jest.fn(async () => redis),
+  releaseConnection: jest.fn(),
+  createSubscriber: jest.fn(async () => redis)
+});
+
+const deliver = (consumer, topic, value, offset, partition = 0) =>
+  consumer.runConfig.eachMessage({
+    topic,
+    partition,
+    message: { offset: String(offset), key: null, value: Buffer.from(JSON.stringify(value)), headers: {} }
+  });
+
+const flush = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('TaskProcessor', () => {
+  let kafka;
+  let redis;
+  let processor;
+
+  beforeEach(async () => {
+    kafka = createKafka();
+    redis = new MockRedisService({ latency: 1 });
+    processor = new TaskProcessor({
+      kafka,
+      redisPool: createRedisPool(redis),
+      maxConcurrentTasks: 2
+    });
+  });
+
+  afterEach(async () => {
+    // Release anything a test left hanging so no timers outlive it
+    for (const taskId of [...processor.activeTasks.keys()]) {
+      await processor.cancelTask(taskId, 'test teardown');
+    }
+    processor.retryTimers.forEach(timer => clearTimeout(timer));
+    await processor.scheduler.stop();
+  });
+
+  describe('kafka consumer lifecycle', () => {
+    it('should create consumers from the group definitions', async () => {
+      await processor.init();
+
+      const taskConsumer = kafka.consumers['task-processor'];
+      expect(taskConsumer.options).toEqual(expect.objectContaining({
+        sessionTimeout: 60000,
+        heartbeatInterval: 10000
+      }));
+      expect(taskConsumer.topics).toEqual(['task.requests', 'task.results']);
+      expect(taskConsumer.runConfig.autoCommit).toBe(false);
+      expect(kafka.consumers['agent-controller'].topics).toEqual(['agent.commands', 'agent.events']);
+    });
+
+    it('should commit offsets only after tasks finish, in partition order', async () => {
+      const releases = {};
+      processor.executeTaskLogic = jest.fn(task => new Promise(resolve => { releases[task.id] = resolve; }));
+      await processor.init();
+      const taskConsumer = kafka.consumers['task-processor'];
+
+      await deliver(taskConsumer, 'task.requests', { id: 'a' }, 0);
+      await deliver(taskConsumer, 'task.requests', { id: 'b' }, 1);
+      await flush();
+      expect(taskConsumer.commitOffsets).not.toHaveBeenCalled();
+
+      releases.b('done');
+      await flush();
+      expect(taskConsumer.commitOffsets).toHaveBeenLastCalledWith([
+        { topic: 'task.requests', partition: 0, offset: '0' }
+      ]);
+
+      releases.a('done');
+      await flush();
+      expect(taskConsumer.commitOffsets).toHaveBeenLastCalledWith([
+        { topic: 'task.requests', partition: 0, offset: '2' }
+      ]);
+    });
+
+    it('should route agent commands from the controller consumer', async () => {
+      await processor.init();
+
+      await deliver(kafka.consumers['agent-controller'], 'agent.commands', { type: 'PAUSE' }, 5);
+
+      expect(processor.isPaused).toBe(true);
+      expect(kafka.consumers['agent-controller'].commitOffsets).toHaveBeenCalledWith([
+        { topic: 'agent.commands', partition: 0, offset: '6' }
+      ]);
+    });
+
+    it('should drain in-flight tasks before disconnecting on shutdown', async () => {
+      let release;
+      processor.executeTaskLogic = jest.fn(() => new Promise(resolve => { release = resolve; }));
+      await processor.init();
+      const taskConsumer = kafka.consumers['task-processor'];
+      await deliver(taskConsumer, 'task.requests', { id: 'a' }, 0);
+      await flush();
+
+      const shutdown = processor.shutdown();
+      await flush();
+      expect(taskConsumer.pause).toHaveBeenCalled();
+      expect(taskConsumer.disconnect).not.toHaveBeenCalled();
+
+      release('done');
+      await shutdown;
+      expect(taskConsumer.commitOffsets).toHaveBeenCalledWith([
+        { topic: 'task.requests', partition: 0, offset: '1' }
+      ]);
+      expect(taskConsumer.disconnect).toHaveBeenCalled();
+    });
+  });
+
+  describe('handler registry', () => {
+    it('should dispatch tasks to the handler registered for their type', async () => {
+      const handler = jest.fn(async task => ({ echoed: task.payload }));
+      processor.registerHandler('echo', handler);
+      await processor.init();
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 't1', type: 'echo', payload: 'hi' }, 0);
+      await flush();
+
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ id: 't1' }), expect.anything());
+      expect(JSON.parse(redis.data.get('task:t1'))).toEqual(expect.objectContaining({
+        status: 'COMPLETED',
+        result: { echoed: 'hi' }
+      }));
+    });
+
+    it('should enforce per-type concurrency limits', async () => {
+      const releases = [];
+      const slow = jest.fn(() => new Promise(resolve => releases.push(resolve)));
+      const fast = jest.fn(async () => 'ok');
+      processor.registerHandler('slow', slow, { concurrency: 1 });
+      processor.registerHandler('fast', fast);
+      await processor.init();
+      const taskConsumer = kafka.consumers['task-processor'];
+
+      await deliver(taskConsumer, 'task.requests', { id: 's1', type: 'slow' }, 0);
+      await deliver(taskConsumer, 'task.requests', { id: 's2', type: 'slow' }, 1);
+      await deliver(taskConsumer, 'task.requests', { id: 'f1', type: 'fast' }, 2);
+      await flush();
+
+      expect(slow).toHaveBeenCalledTimes(1);
+      expect(fast).toHaveBeenCalledTimes(1);
+
+      releases[0]();
+      await flush();
+      expect(slow).toHaveBeenCalledTimes(2);
+    });
+
+    it('should dead-letter unknown task types without retrying', async () => {
+      const deadLettered = jest.fn();
+      processor.on('taskDeadLettered', deadLettered);
+      await processor.init();
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'u1', type: 'mystery' }, 0);
+      await flush();
+
+      expect(deadLettered).toHaveBeenCalledTimes(1);
+      expect(processor.stats.retries).toBe(0);
+      expect(JSON.parse(redis.data.get('task:u1'))).toEqual(expect.objectContaining({
+        status: 'FAILED',
+        reason: 'UNKNOWN_TASK_TYPE'
+      }));
+    });
+
+    it('should apply per-type timeouts and retry policy overrides', async () => {
+      processor.registerHandler('hang', () => new Promise(() => {}), {
+        timeout: 10,
+        retryPolicy: { maxAttempts: 1 }
+      });
+      const failed = jest.fn();
+      processor.on('taskFailed', failed);
+      await processor.init();
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'h1', type: 'hang' }, 0);
+      await flush(60);
+
+      expect(failed).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'h1' }),
+        expect.objectContaining({ code: 'TASK_TIMEOUT' })
+      );
+    });
+  });
+
+  describe('timeouts and cancellation', () => {
+    it('should abort timed-out tasks, mark them in Redis and free the slot', async () => {
+      let signal;
+      processor.config.taskTimeout = 10;
+      processor.config.retryPolicy.maxAttempts = 1;
+      processor.registerHandler('hang', (task, context) => {
+        signal = context.signal;
+        return new Promise(() => {});
+      });
+      await processor.init();
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'h1', type: 'hang' }, 0);
+      await flush(60);
+
+      expect(signal.aborted).toBe(true);
+      expect(processor.activeTasks.size).toBe(0);
+      expect(processor.stats).toEqual(expect.objectContaining({ timeouts: 1, failed: 0 }));
+      expect(JSON.parse(redis.data.get('task:h1'))).toEqual(expect.objectContaining({
+        status: 'FAILED',
+        reason: 'TIMEOUT'
+      }));
+    });
+
+    it('should cancel running tasks from a CANCEL_TASK command', async () => {
+      let signal;
+      processor.registerHandler('hang', (task, context) => {
+        signal = context.signal;
+        return new Promise(() => {});
+      });
+      const cancelled = jest.fn();
+      processor.on('taskCancelled', cancelled);
+      await processor.init();
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'c1', type: 'hang' }, 0);
+      await flush();
+      await deliver(kafka.consumers['agent-controller'], 'agent.commands', { type: 'CANCEL_TASK', taskId: 'c1' }, 0);
+      await flush();
+
+      expect(signal.aborted).toBe(true);
+      expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({ id: 'c1' }));
+      expect(processor.stats.retries).toBe(0);
+      expect(JSON.parse(redis.data.get('task:c1')).status).toBe('CANCELLED');
+      expect(kafka.consumers['task-processor'].commitOffsets).toHaveBeenCalledWith([
+        { topic: 'task.requests', partition: 0, offset: '1' }
+      ]);
+    });
+
+    it('should cancel tasks running on another processor through the broadcast', async () => {
+      let signal;
+      processor.registerHandler('hang', (task, context) => {
+        signal = context.signal;
+        return new Promise(() => {});
+      });
+      await processor.init();
+      const other = new TaskProcessor({ kafka: createKafka(), redisPool: createRedisPool(redis) });
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'b1', type: 'hang' }, 0);
+      await flush();
+      expect(await other.cancelTask('b1', 'stop')).toBe(false);
+      await other.cancellations.request('b1', 'stop');
+      await flush();
+
+      expect(signal.aborted).toBe(true);
+      expect(JSON.parse(redis.data.get('task:b1'))).toEqual(expect.objectContaining({ status: 'CANCELLED', reason: 'stop' }));
+    });
+
+    it('should cancel tasks waiting to retry', async () => {
+      const handler = jest.fn(async () => {
+        throw new Error('flaky');
+      });
+      processor.registerHandler('work', handler, {
+        retryPolicy: { maxAttempts: 3, backoff: { initial: 50, max: 50, jitter: 'none' } }
+      });
+      await processor.init();
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'r1', type: 'work' }, 0);
+      await flush();
+      expect(JSON.parse(redis.data.get('task:r1')).status).toBe('RETRYING');
+
+      expect(await processor.cancelTask('r1', 'stop')).toBe(true);
+      await flush(80);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(processor.stats.cancelled).toBe(1);
+      expect(JSON.parse(redis.data.get('task:r1')).status).toBe('CANCELLED');
+      expect(kafka.consumers['task-processor'].commitOffsets).toHaveBeenCalledWith([
+        { topic: 'task.requests', partition: 0, offset: '1' }
+      ]);
+    });
+
+    it('should drop tasks cancelled before they started', async () => {
+      const handler = jest.fn();
+      processor.registerHandler('work', handler);
+      await processor.init();
+      await redis.set('task:p1', JSON.stringify({ status: 'CANCELLED', reason: 'changed my mind' }));
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'p1', type: 'work' }, 0);
+      await flush();
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(processor.stats.cancelled).toBe(1);
+      expect(JSON.parse(redis.data.get('task:p1')).status).toBe('CANCELLED');
+      expect(kafka.consumers['task-processor'].commitOffsets).toHaveBeenCalledWith([
+        { topic: 'task.requests', partition: 0, offset: '1' }
+      ]);
+    });
+  });
+
+  describe('dead-letter queue', () => {
+    const sentTo = (topic) => kafka.producers[0].send.mock.calls
+      .filter(([record]) => record.topic === topic)
+      .map(([record]) => JSON.parse(record.messages[0].value));
+
+    beforeEach(async () => {
+      processor.config.retryPolicy.maxAttempts = 1;
+      processor.registerHandler('flaky', async task => {
+        throw new Error(`boom ${task.id}`);
+      });
+      processor.registerHandler('other', async () => {
+        throw new Error('nope');
+      });
+      await processor.init();
+    });
+
+    it('should publish exhausted tasks with their attempt history and index them', async () => {
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'd1', type: 'flaky' }, 0);
+      await flush();
+
+      const [entry] = sentTo('task.dlq');
+      expect(entry).toEqual(expect.objectContaining({
+        id: 'd1',
+        type: 'flaky',
+        reason: 'RETRIES_EXHAUSTED',
+        lastError: expect.objectContaining({ message: 'boom d1' })
+      }));
+      expect(entry.attempts).toEqual([expect.objectContaining({ attempt: 1, error: 'boom d1' })]);
+      expect(await processor.deadLetterQueue.get('d1')).toEqual(expect.objectContaining({ id: 'd1' }));
+      expect(processor.stats.deadLettered).toBe(1);
+      expect(kafka.consumers['task-processor'].commitOffsets).toHaveBeenCalledWith([
+        { topic: 'task.requests', partition: 0, offset: '1' }
+      ]);
+    });
+
+    it('should keep the offset until the entry is stored and published', async () => {
+      processor.config.retryPolicy.backoff = { initial: 20, max: 20, factor: 1, jitter: 'none' };
+      const producer = kafka.producers[0];
+      let failDlq = true;
+      producer.send.mockImplementation(async record => {
+        if (record.topic === 'task.dlq' && failDlq) {
+          failDlq = false;
+          throw new Error('broker unavailable');
+        }
+      });
+      const taskConsumer = kafka.consumers['task-processor'];
+
+      await deliver(taskConsumer, 'task.requests', { id: 'd1', type: 'flaky' }, 0);
+      await flush();
+      expect(await processor.deadLetterQueue.get('d1')).toEqual(expect.objectContaining({ id: 'd1' }));
+      expect(processor.stats.deadLettered).toBe(0);
+      expect(taskConsumer.commitOffsets).not.toHaveBeenCalled();
+
+      await flush(60);
+      expect(sentTo('task.dlq').map(entry => entry.id)).toEqual(['d1', 'd1']);
+      expect(processor.stats.deadLettered).toBe(1);
+      expect(taskConsumer.commitOffsets).toHaveBeenCalledWith([
+        { topic: 'task.requests', partition: 0, offset: '1' }
+      ]);
+    });
+
+    it('should list, purge and replay entries by filter', async () => {
+      const taskConsumer = kafka.consumers['task-processor'];
+      await deliver(taskConsumer, 'task.requests', { id: 'd1', type: 'flaky' }, 0);
+      await deliver(taskConsumer, 'task.requests', { id: 'd2', type: 'flaky' }, 1);
+      await deliver(taskConsumer, 'task.requests', { id: 'd3', type: 'other' }, 2);
+      // d3 waits for a slot behind d1 and d2
+      await flush(60);
+
+      const dlq = processor.deadLetterQueue;
+      expect((await dlq.list()).map(entry => entry.id).sort()).toEqual(['d1', 'd2', 'd3']);
+      expect((await dlq.list({ types: ['other'] })).map(entry => entry.id)).toEqual(['d3']);
+
+      expect(await dlq.purge({ types: ['other'] })).toEqual(['d3']);
+      expect(await dlq.get('d3')).toBeNull();
+
+      expect(await dlq.replay({ ids: ['d1'] })).toEqual(['d1']);
+      const [replayed] = sentTo('task.requests');
+      expect(replayed).toEqual(expect.objectContaining({ id: 'd1', type: 'flaky', replayedFrom: 'dlq' }));
+      expect(replayed.attemptHistory).toBeUndefined();
+      expect((await dlq.list()).map(entry => entry.id)).toEqual(['d2']);
+    });
+  });
+
+  describe('pause and priority queue', () => {
+    it('should stop dispatching while paused and let in-flight tasks finish', async () => {
+      const releases = {};
+      const handler = jest.fn(task => new Promise(resolve => { releases[task.id] = resolve; }));
+      processor.registerHandler('work', handler);
+      await processor.init();
+      const taskConsumer = kafka.consumers['task-processor'];
+
+      await deliver(taskConsumer, 'task.requests', { id: 'a', type: 'work' }, 0);
+      await flush();
+      processor.pauseProcessing();
+      await deliver(taskConsumer, 'task.requests', { id: 'b', type: 'work' }, 1);
+      releases.a('done');
+      await flush();
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(redis.data.get('task:a')).status).toBe('COMPLETED');
+      expect(processor.taskQueue.length).toBe(1);
+
+      processor.resumeProcessing();
+      await flush();
+      expect(handler).toHaveBeenCalledTimes(2);
+      releases.b('done');
+    });
+
+    it('should dispatch queued tasks by priority and report depth per band', async () => {
+      const started = [];
+      processor.registerHandler('work', async task => { started.push(task.id); });
+      await processor.init();
+      const taskConsumer = kafka.consumers['task-processor'];
+
+      processor.pauseProcessing();
+      await deliver(taskConsumer, 'task.requests', { id: 'low', type: 'work', priority: 1 }, 0);
+      await deliver(taskConsumer, 'task.requests', { id: 'high', type: 'work', priority: 9 }, 1);
+      await deliver(taskConsumer, 'task.requests', { id: 'normal', type: 'work', priority: 5 }, 2);
+      expect(processor.getStats().queueDepth).toEqual({ high: 1, normal: 1, low: 1 });
+
+      processor.config.maxConcurrentTasks = 1;
+      processor.resumeProcessing();
+      await flush(60);
+      expect(started).toEqual(['high', 'normal', 'low']);
+    });
+
+    it('should age waiting tasks so low priorities are not starved', () => {
+      const queue = new PriorityTaskQueue({ agingInterval: 1000 });
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      queue.push('old', 1);
+      Date.now.mockReturnValue(now + 5000);
+      queue.push('fresh', 4);
+
+      expect(queue.take()).toBe('old');
+      Date.now.mockRestore();
+    });
+  });
+
+  describe('idempotency', () => {
+    it('should answer redeliveries from the stored result without re-executing', async () => {
+      const handler = jest.fn(async () => ({ value: 42 }));
+      processor.registerHandler('work', handler);
+      const duplicates = jest.fn();
+      processor.on('taskDuplicate', duplicates);
+      await processor.init();
+      const taskConsumer = kafka.consumers['task-processor'];
+
+      await deliver(taskConsumer, 'task.requests', { id: 'i1', type: 'work' }, 0);
+      await flush();
+      const completed = redis.data.get('task:i1');
+      await deliver(taskConsumer, 'task.requests', { id: 'i1', type: 'work' }, 1);
+      await flush();
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(duplicates).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'i1' }),
+        expect.objectContaining({ status: 'COMPLETED', result: { value: 42 } })
+      );
+      expect(redis.data.get('task:i1')).toBe(completed);
+      expect(processor.stats.duplicates).toBe(1);
+    });
+
+    it('should skip duplicates of a task that is still running', async () => {
+      let release;
+      const handler = jest.fn(() => new Promise(resolve => { release = resolve; }));
+      processor.registerHandler('work', handler);
+      await processor.init();
+      const taskConsumer = kafka.consumers['task-processor'];
+
+      await deliver(taskConsumer, 'task.requests', { id: 'a', type: 'work', idempotencyKey: 'order-1' }, 0);
+      await flush();
+      await deliver(taskConsumer, 'task.requests', { id: 'b', type: 'work', idempotencyKey: 'order-1' }, 1);
+      await flush();
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(processor.stats).toEqual(expect.objectContaining({ duplicates: 1, failed: 0 }));
+      release('done');
+    });
+
+    describe('while another processor holds the claim', () => {
+      const claimElsewhere = () => redis.set('idempotency:order-9', JSON.stringify({
+        status: 'CLAIMED',
+        taskId: 'elsewhere',
+        token: 'other-token',
+        claimedAt: Date.now()
+      }), { PX: 40 });
+
+      beforeEach(() => {
+        processor.config.taskTimeout = 20; // a 40ms claim lease
+      });
+
+      it('should run the task once the claim expires with its holder', async () => {
+        const handler = jest.fn(async () => 'ok');
+        processor.registerHandler('work', handler);
+        await processor.init();
+        const taskConsumer = kafka.consumers['task-processor'];
+        await claimElsewhere();
+
+        await deliver(taskConsumer, 'task.requests', { id: 'd1', type: 'work', idempotencyKey: 'order-9' }, 0);
+        await flush(10);
+        expect(processor.stats.duplicates).toBe(1);
+        expect(handler).not.toHaveBeenCalled();
+        expect(taskConsumer.commitOffsets).not.toHaveBeenCalled();
+
+        await flush(100);
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(redis.data.get('task:d1')).status).toBe('COMPLETED');
+        expect(taskConsumer.commitOffsets).toHaveBeenLastCalledWith([
+          { topic: 'task.requests', partition: 0, offset: '1' }
+        ]);
+      });
+
+      it('should commit without running once the holder settles the claim', async () => {
+        const handler = jest.fn(async () => 'ok');
+        processor.registerHandler('work', handler);
+        await processor.init();
+        const taskConsumer = kafka.consumers['task-processor'];
+        await claimElsewhere();
+
+        await deliver(taskConsumer, 'task.requests', { id: 'd2', type: 'work', idempotencyKey: 'order-9' }, 0);
+        await flush(10);
+        await redis.set('idempotency:order-9', JSON.stringify({ status: 'COMPLETED', taskId: 'elsewhere', result: 'ok' }));
+        await flush(100);
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(taskConsumer.commitOffsets).toHaveBeenLastCalledWith([
+          { topic: 'task.requests', partition: 0, offset: '1' }
+        ]);
+
+        await claimElsewhere();
+        await deliver(taskConsumer, 'task.requests', { id: 'd3', type: 'work', idempotencyKey: 'order-9' }, 1);
+        await flush(10);
+        // The holder failed for good: its claim is released and its task settled
+        await redis.set('task:elsewhere', JSON.stringify({ status: 'FAILED' }));
+        await redis.del('idempotency:order-9');
+        await flush(100);
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(taskConsumer.commitOffsets).toHaveBeenLastCalledWith([
+          { topic: 'task.requests', partition: 0, offset: '2' }
+        ]);
+      });
+    });
+
+    it('should release the claim when an attempt fails', async () => {
+      let attempts = 0;
+      processor.registerHandler('work', async () => {
+        attempts++;
+        throw new Error('boom');
+      });
+      processor.config.retryPolicy.maxAttempts = 1;
+      await processor.init();
+      const taskConsumer = kafka.consumers['task-processor'];
+
+      await deliver(taskConsumer, 'task.requests', { id: 'f1', type: 'work' }, 0);
+      await flush();
+      expect(redis.data.has('idempotency:f1')).toBe(false);
+
+      await deliver(taskConsumer, 'task.requests', { id: 'f1', type: 'work' }, 1);
+      await flush();
+      expect(attempts).toBe(2);
+    });
+
+    it('should drop a claim won after the attempt timed out and let the retry run', async () => {
+      const handler = jest.fn(async () => 'ok');
+      processor.registerHandler('work', handler, {
+        timeout: 10,
+        retryPolicy: { maxAttempts: 2, backoff: { initial: 5, max: 5, jitter: 'none' } }
+      });
+      const claim = processor.claimIdempotencyKey.bind(processor);
+      jest.spyOn(processor, 'claimIdempotencyKey').mockImplementationOnce(async task => {
+        await flush(30);
+        return claim(task);
+      });
+      await processor.init();
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 's1', type: 'work' }, 0);
+      await flush(100);
+
+      expect(processor.stats).toEqual(expect.objectContaining({ timeouts: 1, retries: 1, duplicates: 0, processed: 1 }));
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(redis.data.get('task:s1')).status).toBe('COMPLETED');
+    });
+
+    it('should keep completed results for the configured dedupe window', async () => {
+      processor.config.dedupeWindow = 1000;
+      processor.registerHandler('work', async () => 'ok');
+      await processor.init();
+
+      const before = Date.now();
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'w1', type: 'work' }, 0);
+      await flush();
+
+      const expiresAt = redis.expirations.get('idempotency:w1');
+      expect(expiresAt).toBeGreaterThanOrEqual(before + 1000);
+      expect(expiresAt).toBeLessThan(before + 2000);
+    });
+  });
+
+  describe('settling tasks', () => {
+    it('should not leak rejections when Redis is unavailable while failing a task', async () => {
+      const unhandled = jest.fn();
+      process.on('unhandledRejection', unhandled);
+      let fail;
+      processor.registerHandler('work', () => new Promise((resolve, reject) => { fail = reject; }));
+      processor.config.retryPolicy.maxAttempts = 1;
+      await processor.init();
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'p1', type: 'work' }, 0);
+      await flush();
+      processor.config.retryPolicy.backoff = { initial: 20, max: 20, factor: 1, jitter: 'none' };
+      processor.redisPool.getConnection.mockRejectedValue(new Error('No available Redis connections in pool'));
+      fail(new Error('boom'));
+      await flush(50);
+
+      expect(unhandled).not.toHaveBeenCalled();
+      expect(processor.activeTasks.size).toBe(0);
+      expect(processor.stats.deadLettered).toBe(0);
+
+      processor.redisPool.getConnection.mockImplementation(async () => redis);
+      await flush(60);
+      process.off('unhandledRejection', unhandled);
+
+      expect(unhandled).not.toHaveBeenCalled();
+      expect(processor.stats.deadLettered).toBe(1);
+      expect(await processor.deadLetterQueue.get('p1')).toEqual(expect.objectContaining({ id: 'p1' }));
+    });
+
+    it('should not retry a completed task when finishing it fails', async () => {
+      const handler = jest.fn(async () => 'ok');
+      processor.registerHandler('work', handler);
+      await processor.init();
+      jest.spyOn(processor, 'finishTask').mockImplementationOnce(() => {
+        throw new Error('commit failed');
+      });
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'c1', type: 'work' }, 0);
+      await flush(50);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(processor.stats).toEqual(expect.objectContaining({ processed: 1, failed: 0, retries: 0 }));
+      expect(processor.handlers.canStart('work')).toBe(true);
+      expect(JSON.parse(redis.data.get('task:c1')).status).toBe('COMPLETED');
+    });
+  });
+
+  describe('progress reporting', () => {
+    const updates = () => kafka.producers[0].send.mock.calls
+      .filter(([record]) => record.topic === 'task.results')
+      .map(([record]) => JSON.parse(record.messages[0].value));
+
+    it('should record progress and partial results in Redis and publish them', async () => {
+      let release;
+      processor.registerHandler('long', async (task, context) => {
+        await context.reportProgress(40, 'halfway there');
+        context.emitPartial({ rows: [1, 2] });
+        return new Promise(resolve => { release = resolve; });
+      });
+      await processor.init();
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'p1', type: 'long' }, 0);
+      await flush();
+
+      expect(JSON.parse(redis.data.get('task:p1'))).toEqual(expect.objectContaining({
+        status: 'PROCESSING',
+        progress: 40,
+        progressMessage: 'halfway there',
+        partialCount: 1
+      }));
+      expect(updates()).toEqual([
+        expect.objectContaining({ taskId: 'p1', type: 'PROGRESS', progress: 40, message: 'halfway there' }),
+        expect.objectContaining({ taskId: 'p1', type: 'PARTIAL', sequence: 0, chunk: { rows: [1, 2] } })
+      ]);
+
+      release('done');
+      await flush();
+      expect(JSON.parse(redis.data.get('task:p1'))).toEqual(expect.objectContaining({
+        status: 'COMPLETED',
+        progress: 100
+      }));
+    });
+
+    it('should ignore progress reported after the task was cancelled', async () => {
+      let context;
+      processor.registerHandler('long', (task, ctx) => {
+        context = ctx;
+        return new Promise(() => {});
+      });
+      await processor.init();
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'p2', type: 'long' }, 0);
+      await flush();
+      await processor.cancelTask('p2');
+      await context.reportProgress(90);
+      await flush();
+
+      expect(JSON.parse(redis.data.get('task:p2')).status).toBe('CANCELLED');
+      expect(updates()).toEqual([]);
+    });
+  });
+
+  describe('workflows', () => {
+    const definition = `
+name: triage
+steps:
+  - id: fetch
+    type: fetch
+  - id: analyse
+    type: analyse
+    forEach: steps.fetch.result.files
+    dependsOn: [fetch]
+  - id: file-issue
+    type: issue
+    dependsOn: [analyse]
+    when: { path: input.fileIssues }
+  - id: report
+    type: report
+    dependsOn: [analyse]
+`;
+
+    // Feed everything the processor published back through its own consumer
+    const pump = async () => {
+      const producer = kafka.producers[0];
+      const taskConsumer = kafka.consumers['task-processor'];
+      let forwarded = 0;
+      let offset = 1000;
+      while (forwarded < producer.send.mock.calls.length) {
+        const [record] = producer.send.mock.calls[forwarded++];
+        if (record.topic === 'task.requests' || record.topic === 'task.results') {
+          await deliver(taskConsumer, record.topic, JSON.parse(record.messages[0].value), offset++);
+        }
+        await flush(40);
+      }
+    };
+
+    beforeEach(async () => {
+      processor.registerHandler('fetch', async () => ({ files: ['a.js', 'b.js'] }));
+      processor.registerHandler('analyse', async task => ({ file: task.payload.item, issues: 1 }));
+      processor.registerHandler('issue', async () => 'filed');
+      processor.registerHandler('report', async task => task.payload.dependencies.analyse.length);
+      await processor.init();
+    });
+
+    it('should fan out, fan in and skip branches whose condition fails', async () => {
+      const run = await processor.workflows.startRun(definition, { fileIssues: false });
+      await pump();
+
+      const stored = await processor.workflows.getRun(run.id);
+      expect(stored.status).toBe('COMPLETED');
+      expect(stored.steps.analyse.result).toEqual([
+        { file: 'a.js', issues: 1 },
+        { file: 'b.js', issues: 1 }
+      ]);
+      expect(stored.steps['file-issue'].status).toBe('SKIPPED');
+      expect(stored.steps.report.result).toBe(2);
+    });
+
+    it('should retry failing steps per their retry policy', async () => {
+      let calls = 0;
+      processor.registerHandler('flaky', async () => {
+        if (++calls < 2) throw new Error('try again');
+        return 'ok';
+      });
+      const run = await processor.workflows.startRun({
+        name: 'retrying',
+        steps: [{ id: 'only', type: 'flaky', retry: { maxAttempts: 2, backoff: { initial: 5 } } }]
+      });
+      await pump();
+
+      const stored = await processor.workflows.getRun(run.id);
+      expect(stored.status).toBe('COMPLETED');
+      expect(stored.steps.only.units[0].attempts).toBe(2);
+      // Attempts the workflow retries are not dead-lettered
+      expect(processor.stats.deadLettered).toBe(0);
+      expect(await processor.deadLetterQueue.list()).toEqual([]);
+    });
+
+    it('should fail the run once a step exhausts its retries', async () => {
+      processor.registerHandler('broken', async () => { throw new Error('nope'); });
+      const run = await processor.workflows.startRun({
+        name: 'failing',
+        steps: [{ id: 'one', type: 'broken' }, { id: 'two', type: 'issue', dependsOn: ['one'] }]
+      });
+      await pump();
+
+      const stored = await processor.workflows.getRun(run.id);
+      expect(stored.status).toBe('FAILED');
+      expect(stored.error).toBe('Step one failed: nope');
+      expect(stored.steps.two.status).toBe('CANCELLED');
+      expect(processor.stats.deadLettered).toBe(1);
+    });
+
+    it('should save the run before sending its step tasks', async () => {
+      const producer = kafka.producers[0];
+      const send = producer.send.getMockImplementation();
+      const savedAtSend = [];
+      producer.send.mockImplementation(async record => {
+        if (record.topic === 'task.requests') {
+          const task = JSON.parse(record.messages[0].value);
+          const stored = JSON.parse(redis.data.get(`workflow:run:${task.workflow.runId}`));
+          savedAtSend.push(stored.steps[task.workflow.stepId].units[task.workflow.index].taskId === task.id);
+        }
+        return send(record);
+      });
+
+      await processor.workflows.startRun(definition, { fileIssues: false });
+      await pump();
+
+      // fetch, two analyse units and report
+      expect(savedAtSend).toEqual([true, true, true, true]);
+    });
+
+    it('should make updates from other processors wait for the run lock', async () => {
+      let release;
+      processor.registerHandler('slow', () => new Promise(resolve => { release = resolve; }));
+      const run = await processor.workflows.startRun({ name: 'locked', steps: [{ id: 'wait', type: 'slow' }] });
+      await pump();
+
+      // Another processor is midway through an update of the run
+      redis.data.set(`workflow:lock:${run.id}`, 'elsewhere');
+      const handled = processor.workflows.handleResult({
+        type: 'COMPLETED',
+        taskId: `${run.id}.wait.0.1`,
+        workflow: { runId: run.id, stepId: 'wait', index: 0 },
+        result: 'done'
+      });
+      await flush(100);
+      expect((await processor.workflows.getRun(run.id)).status).toBe('RUNNING');
+
+      redis.data.delete(`workflow:lock:${run.id}`);
+      await handled;
+      expect((await processor.workflows.getRun(run.id)).status).toBe('COMPLETED');
+      expect(redis.data.has(`workflow:lock:${run.id}`)).toBe(false);
+      release('done');
+    });
+
+    it('should fail the attempt when its step task cannot be sent', async () => {
+      const producer = kafka.producers[0];
+      const send = producer.send.getMockImplementation();
+      producer.send.mockImplementation(async record => {
+        if (record.topic === 'task.requests') throw new Error('broker down');
+        return send(record);
+      });
+
+      const run = await processor.workflows.startRun({ name: 'unsent', steps: [{ id: 'only', type: 'issue' }] });
+      await flush(100);
+
+      const stored = await processor.workflows.getRun(run.id);
+      expect(stored.status).toBe('FAILED');
+      expect(stored.error).toBe('Step only failed: Step task could not be sent: broker down');
+    });
+
+    it('should cancel running steps and ignore their late results', async () => {
+      let release;
+      processor.registerHandler('slow', () => new Promise(resolve => { release = resolve; }));
+      const run = await processor.workflows.startRun({ name: 'slow', steps: [{ id: 'wait', type: 'slow' }] });
+      await pump();
+
+      const request = jest.spyOn(processor.cancellations, 'request');
+      const cancelled = await processor.workflows.cancelRun(run.id, 'no longer needed');
+      expect(cancelled.status).toBe('CANCELLED');
+      expect(request).toHaveBeenCalledWith(`${run.id}.wait.0.1`, 'no longer needed');
+
+      await pump();
+      expect(processor.activeTasks.size).toBe(0);
+      release('late');
+      await pump();
+      expect((await processor.workflows.getRun(run.id)).steps.wait.status).toBe('CANCELLED');
+    });
+
+    it('should resume active runs after a restart', async () => {
+      const run = await processor.workflows.startRun({ name: 'resume', steps: [{ id: 'only', type: 'issue' }] });
+      const stored = JSON.parse(redis.data.get(`workflow:run:${run.id}`));
+      stored.steps.only = { status: 'PENDING', units: [], result: null, error: null };
+      redis.data.set(`workflow:run:${run.id}`, JSON.stringify(stored));
+      kafka.producers[0].send.mockClear();
+
+      await processor.workflows.start();
+      await pump();
+
+      expect((await processor.workflows.getRun(run.id)).status).toBe('COMPLETED');
+    });
+
+    it('should reject cyclic or malformed definitions', async () => {
+      await expect(processor.workflows.startRun({
+        name: 'cycle',
+        steps: [{ id: 'a', type: 'x', dependsOn: ['b'] }, { id: 'b', type: 'x', dependsOn: ['a'] }]
+      })).rejects.toMatchObject({ code: 'INVALID_WORKFLOW' });
+      await expect(processor.workflows.startRun('name: [unclosed')).rejects.toMatchObject({ code: 'INVALID_WORKFLOW' });
+    });
+
+    it('should refuse a run id that is already in use', async () => {
+      let release;
+      processor.registerHandler('slow', () => new Promise(resolve => { release = resolve; }));
+      const run = await processor.workflows.startRun(
+        { name: 'first', steps: [{ id: 'wait', type: 'slow' }] },
+        {},
+        { runId: 'nightly' }
+      );
+      await pump();
+      const sent = kafka.producers[0].send.mock.calls.length;
+
+      await expect(processor.workflows.startRun(
+        { name: 'second', steps: [{ id: 'only', type: 'issue' }] },
+        {},
+        { runId: 'nightly' }
+      )).rejects.toMatchObject({ code: 'WORKFLOW_RUN_EXISTS' });
+
+      const stored = await processor.workflows.getRun('nightly');
+      expect(stored.name).toBe('first');
+      expect(stored.createdAt).toBe(run.createdAt);
+      expect(stored.steps.wait.status).toBe('RUNNING');
+      expect(kafka.producers[0].send.mock.calls.length).toBe(sent);
+      release('done');
+    });
+
+    it('should accept a dependency listed twice', async () => {
+      const run = await processor.workflows.startRun({
+        name: 'repeated',
+        steps: [{ id: 'a', type: 'issue' }, { id: 'b', type: 'issue', dependsOn: ['a', 'a'] }]
+      });
+      await pump();
+
+      expect((await processor.workflows.getRun(run.id)).status).toBe('COMPLETED');
+    });
+  });
+
+  describe('scheduler', () => {
+    const fired = () => kafka.producers[0].send.mock.calls
+      .filter(([record]) => record.topic === 'task.requests')
+      .map(([record]) => JSON.parse(record.messages[0].value));
+
+    beforeEach(async () => {
+      await processor.init();
+    });
+
+    it('should compute the next cron occurrence in UTC', () => {
+      const from = Date.UTC(2024, 0, 31, 10, 30);
+      expect(CronExpression.parse('*/15 * * * *').next(from)).toBe(Date.UTC(2024, 0, 31, 10, 45));
+      expect(CronExpression.parse('0 9 * * 1-5').next(from)).toBe(Date.UTC(2024, 1, 1, 9, 0));
+      expect(CronExpression.parse('@monthly').next(from)).toBe(Date.UTC(2024, 1, 1, 0, 0));
+      expect(CronExpression.parse('0 0 29 2 *').next(from)).toBe(Date.UTC(2024, 1, 29, 0, 0));
+      expect(() => CronExpression.parse('61 * * * *')).toThrow('out of range');
+    });
+
+    it('should fire one-shot schedules once and keep interval schedules going', async () => {
+      const scheduler = processor.scheduler;
+      const now = Date.now();
+      await scheduler.create({ id: 'once', name: 'once', task: { type: 'report' }, runAt: now + 1000 });
+      await scheduler.create({ id: 'every', name: 'every', task: { type: 'sync' }, interval: 60000 });
+
+      expect(await scheduler.tick(now)).toEqual([]);
+      await scheduler.tick(now + 1000);
+      await scheduler.tick(now + 2000);
+      expect(fired()).toEqual([
+        expect.objectContaining({ id: `once:${now + 1000}`, type: 'report', scheduledBy: { scheduleId: 'once', scheduledFor: now + 1000 } })
+      ]);
+      expect(await scheduler.get('once')).toEqual(expect.objectContaining({ runCount: 1, nextRunAt: null }));
+
+      const every = await scheduler.get('every');
+      await scheduler.tick(every.nextRunAt);
+      expect(await scheduler.get('every')).toEqual(expect.objectContaining({
+        runCount: 1,
+        nextRunAt: every.nextRunAt + 60000
+      }));
+    });
+
+    it('should let only one instance claim a due run', async () => {
+      const other = new TaskProcessor({ kafka, redisPool: createRedisPool(redis) });
+      const now = Date.now();
+      await processor.scheduler.create({ id: 's1', name: 's1', task: { type: 'sync' }, runAt: now });
+
+      const results = await Promise.all([processor.scheduler.tick(now), other.scheduler.tick(now)]);
+
+      expect(results.flat()).toHaveLength(1);
+    });
+
+    it('should skip paused schedules and reject invalid ones', async () => {
+      const scheduler = processor.scheduler;
+      const now = Date.now();
+      await scheduler.create({ id: 'p1', name: 'p1', task: { type: 'sync' }, runAt: now });
+      await scheduler.setEnabled('p1', false);
+      await scheduler.tick(now);
+      expect(fired()).toEqual([]);
+
+      await expect(scheduler.create({ name: 'both', task: { type: 'x' }, cron: '* * * * *', interval: 5000 }))
+        .rejects.toMatchObject({ code: 'INVALID_SCHEDULE' });
+      await expect(scheduler.create({ name: 'bad', task: { type: 'x' }, cron: 'every minute' }))
+        .rejects.toMatchObject({ code: 'INVALID_SCHEDULE' });
+    });
+
+    it('should keep schedules removed or paused while they were firing', async () => {
+      const scheduler = processor.scheduler;
+      const producer = kafka.producers[0];
+      const send = producer.send.getMockImplementation();
+      await scheduler.create({ id: 'gone', name: 'gone', task: { type: 'sync' }, interval: 60000 });
+      await scheduler.create({ id: 'paused', name: 'paused', task: { type: 'sync' }, interval: 60000 });
+
+      producer.send.mockImplementation(async record => {
+        if (record.topic === 'task.requests') {
+          const { scheduleId } = JSON.parse(record.messages[0].value).scheduledBy;
+          if (scheduleId === 'gone') await scheduler.remove('gone');
+          if (scheduleId === 'paused') await scheduler.setEnabled('paused', false);
+        }
+        return send(record);
+      });
+      await scheduler.tick(Date.now() + 60000);
+
+      expect(fired()).toHaveLength(2);
+      expect(await scheduler.get('gone')).toBeNull();
+      expect(await scheduler.get('paused')).toEqual(expect.objectContaining({ enabled: false, runCount: 1 }));
+      expect(await redis.zRangeByScore('schedule:due', '-inf', '+inf')).toEqual([]);
+    });
+  });
+
+  describe('adaptive concurrency', () => {
+    it('should grow additively while saturated and healthy, and shrink multiplicatively', () => {
+      const limiter = new AdaptiveConcurrencyLimiter({ min: 2, max: 4, initial: 3, window: 2, targetLatency: 100 });
+
+      limiter.record({ latency: 10, success: true, inFlight: 3 });
+      expect(limiter.record({ latency: 10, success: true, inFlight: 3 })).toBe(4);
+      limiter.record({ latency: 10, success: true, inFlight: 4 });
+      expect(limiter.record({ latency: 10, success: true, inFlight: 4 })).toBeNull();
+
+      limiter.record({ latency: 500, success: true, inFlight: 4 });
+      expect(limiter.record({ latency: 500, success: true, inFlight: 4 })).toBe(2);
+      limiter.record({ latency: 10, success: false, inFlight: 1 });
+      limiter.record({ latency: 10, success: false, inFlight: 1 });
+      expect(limiter.limit).toBe(2);
+    });
+
+    it('should not grow while the limit is not being reached', () => {
+      const limiter = new AdaptiveConcurrencyLimiter({ min: 1, max: 10, initial: 5, window: 1 });
+
+      expect(limiter.record({ latency: 10, success: true, inFlight: 1 })).toBeNull();
+      expect(limiter.limit).toBe(5);
+    });
+
+    it('should lower the processor limit when tasks keep failing', async () => {
+      processor = new TaskProcessor({
+        kafka,
+        redisPool: createRedisPool(redis),
+        maxConcurrentTasks: 4,
+        retryPolicy: { maxAttempts: 1, backoff: { initial: 1, max: 1, factor: 1 } },
+        adaptiveConcurrency: { min: 1, max: 8, window: 2, maxErrorRate: 0.2 }
+      });
+      const changed = jest.fn();
+      processor.on('concurrencyLimitChanged', changed);
+      processor.registerHandler('broken', async () => { throw new Error('overloaded'); });
+      await processor.init();
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'x1', type: 'broken' }, 0);
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'x2', type: 'broken' }, 1);
+      await flush();
+
+      expect(changed).toHaveBeenCalledWith(2, 4);
+      expect(processor.getStats().concurrencyLimit).toBe(2);
+    });
+  });
+
+  describe('tenants', () => {
+    it('should share dispatch between tenants by weight', async () => {
+      processor = new TaskProcessor({
+        kafka,
+        redisPool: createRedisPool(redis),
+        maxConcurrentTasks: 1,
+        tenants: { big: { weight: 2 } }
+      });
+      const started = [];
+      processor.registerHandler('work', async task => { started.push(task.tenantId); });
+      await processor.init();
+      const taskConsumer = kafka.consumers['task-processor'];
+
+      processor.pauseProcessing();
+      let offset = 0;
+      for (let i = 0; i < 4; i++) {
+        await deliver(taskConsumer, 'task.requests', { id: `s${i}`, type: 'work', tenantId: 'small' }, offset++);
+      }
+      for (let i = 0; i < 4; i++) {
+        await deliver(taskConsumer, 'task.requests', { id: `b${i}`, type: 'work', tenantId: 'big' }, offset++);
+      }
+      processor.resumeProcessing();
+      await flush(100);
+
+      // The noisy tenant queued first but cannot starve the other one
+      expect(started.slice(0, 6).sort()).toEqual(['big', 'big', 'big', 'big', 'small', 'small']);
+      expect(started).toHaveLength(8);
+    });
+
+    it('should cap concurrent tasks per tenant', async () => {
+      processor = new TaskProcessor({
+        kafka,
+        redisPool: createRedisPool(redis),
+        maxConcurrentTasks: 4,
+        tenants: { capped: { maxConcurrent: 1 } }
+      });
+      const releases = [];
+      processor.registerHandler('work', () => new Promise(resolve => releases.push(resolve)));
+      await processor.init();
+      const taskConsumer = kafka.consumers['task-processor'];
+
+      await deliver(taskConsumer, 'task.requests', { id: 'c1', type: 'work', tenantId: 'capped' }, 0);
+      await deliver(taskConsumer, 'task.requests', { id: 'c2', type: 'work', tenantId: 'capped' }, 1);
+      await deliver(taskConsumer, 'task.requests', { id: 'o1', type: 'work', tenantId: 'other' }, 2);
+      await flush();
+
+      expect(processor.getStats().tenants).toEqual({
+        capped: { active: 1, queued: 1 },
+        other: { active: 1, queued: 0 }
+      });
+      releases.forEach(release => release());
+      await flush();
+      expect(processor.getStats().tenants.capped).toEqual({ active: 1, queued: 0 });
+      releases.forEach(release => release());
+    });
+
+    it('should enforce daily quotas in Redis', async () => {
+      const tenants = new TenantManager({
+        tenants: { limited: { dailyQuota: 2 } },
+        redisPool: createRedisPool(redis)
+      });
+      const day = Date.UTC(2024, 4, 1, 12);
+
+      expect(await tenants.consumeQuota('limited', day)).toEqual({ allowed: true, used: 1, limit: 2 });
+      expect(await tenants.consumeQuota('limited', day)).toEqual({ allowed: true, used: 2, limit: 2 });
+      expect(await tenants.consumeQuota('limited', day)).toEqual({ allowed: false, used: 2, limit: 2 });
+      expect(await tenants.consumeQuota('limited', day + 24 * 60 * 60 * 1000)).toEqual(
+        expect.objectContaining({ allowed: true, used: 1 })
+      );
+      expect(await tenants.consumeQuota('unlimited', day)).toEqual(expect.objectContaining({ allowed: true }));
+      expect(redis.data.get('quota:limited:2024-05-01')).toBe('2');
+    });
+  });
+
+  describe('retries and circuit breaking', () => {
+    const fastRetries = { maxAttempts: 3, backoff: { initial: 5, max: 5, jitter: 'none' } };
+
+    it('should retry by re-running the original message and record RETRYING', async () => {
+      processor = new TaskProcessor({
+        kafka,
+        redisPool: createRedisPool(redis),
+        retryPolicy: { maxAttempts: 3, backoff: { initial: 50, max: 50, jitter: 'none' } }
+      });
+      let calls = 0;
+      processor.registerHandler('flaky', async () => {
+        if (++calls < 3) throw new Error('transient');
+        return 'ok';
+      });
+      const retrying = [];
+      processor.on('taskRetrying', (task, error, delay) => retrying.push({ attempts: task.attempts, delay }));
+      await processor.init();
+      const taskConsumer = kafka.consumers['task-processor'];
+
+      await deliver(taskConsumer, 'task.requests', { id: 'r1', type: 'flaky' }, 0);
+      await flush(25);
+      expect(JSON.parse(redis.data.get('task:r1'))).toEqual(expect.objectContaining({
+        status: 'RETRYING',
+        attempt: 1,
+        error: 'transient'
+      }));
+      expect(taskConsumer.commitOffsets).not.toHaveBeenCalled();
+
+      await flush(150);
+      expect(calls).toBe(3);
+      expect(retrying).toEqual([{ attempts: 1, delay: 50 }, { attempts: 2, delay: 50 }]);
+      expect(JSON.parse(redis.data.get('task:r1')).status).toBe('COMPLETED');
+      expect(processor.stats.retries).toBe(2);
+      expect(taskConsumer.commitOffsets).toHaveBeenLastCalledWith([
+        { topic: 'task.requests', partition: 0, offset: '1' }
+      ]);
+    });
+
+    it('should dead-letter permanent errors without retrying', async () => {
+      processor = new TaskProcessor({
+        kafka,
+        redisPool: createRedisPool(redis),
+        retryPolicy: { ...fastRetries, permanent: ['BAD_INPUT'] }
+      });
+      const handler = jest.fn(async () => {
+        throw Object.assign(new Error('bad input'), { code: 'BAD_INPUT' });
+      });
+      processor.registerHandler('strict', handler);
+      await processor.init();
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'p1', type: 'strict' }, 0);
+      await flush(40);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect((await processor.deadLetterQueue.get('p1')).reason).toBe('BAD_INPUT');
+      expect(processor.stats.retries).toBe(0);
+    });
+
+    it('should open the circuit for a failing type and stop retrying it', async () => {
+      processor = new TaskProcessor({
+        kafka,
+        redisPool: createRedisPool(redis),
+        retryPolicy: fastRetries,
+        circuitBreaker: { failureThreshold: 2, resetTimeout: 60000 }
+      });
+      const handler = jest.fn(async () => { throw new Error('downstream unavailable'); });
+      processor.registerHandler('fragile', handler);
+      const opened = jest.fn();
+      processor.on('circuitOpened', opened);
+      await processor.init();
+      const taskConsumer = kafka.consumers['task-processor'];
+
+      await deliver(taskConsumer, 'task.requests', { id: 'c1', type: 'fragile' }, 0);
+      await flush(40);
+
+      // One retry, then the second failure trips the breaker
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(opened).toHaveBeenCalledWith('fragile', expect.objectContaining({ state: 'OPEN' }));
+      expect((await processor.deadLetterQueue.get('c1')).reason).toBe('CIRCUIT_OPEN');
+      expect(processor.getStats().circuits.fragile.state).toBe('OPEN');
+
+      // Later failures of the same type go straight to the DLQ
+      await deliver(taskConsumer, 'task.requests', { id: 'c2', type: 'fragile' }, 1);
+      await flush(40);
+      expect(handler).toHaveBeenCalledTimes(3);
+      expect((await processor.deadLetterQueue.get('c2')).reason).toBe('CIRCUIT_OPEN');
+    });
+
+    it('should keep jittered delays within their bounds', () => {
+      const backoff = { initial: 100, max: 1000, factor: 2 };
+
+      expect(computeBackoff({ ...backoff, jitter: 'none' }, 3)).toBe(400);
+      expect(computeBackoff({ ...backoff, jitter: 'full' }, 3, null, () => 0.5)).toBe(200);
+      expect(computeBackoff({ ...backoff, jitter: 'full' }, 10, null, () => 0.999)).toBeLessThan(1000);
+      expect(computeBackoff({ ...backoff, jitter: 'decorrelated' }, 2, 300, () => 1)).toBe(900);
+      expect(computeBackoff({ ...backoff, jitter: 'decorrelated' }, 5, 900, () => 1)).toBe(1000);
+      expect(computeBackoff({ ...backoff, jitter: 'decorrelated' }, 5, 900, () => 0)).toBe(100);
+    });
+
+    it('should classify errors by class, code and retryable flag', () => {
+      const policy = { retryOn: ['ECONNRESET'], permanent: ['BAD_INPUT'] };
+
+      expect(isRetryable(new Error('flaky'), policy)).toBe(true);
+      expect(isRetryable(new ConfigValidationError('bad', []), policy)).toBe(false);
+      expect(isRetryable(Object.assign(new Error('x'), { code: 'BAD_INPUT' }), policy)).toBe(false);
+      expect(isRetryable(Object.assign(new Error('x'), { retryable: false }), policy)).toBe(false);
+      expect(isRetryable(Object.assign(new Error('x'), { code: 'ECONNRESET', retryable: false }), policy)).toBe(true);
+    });
+  });
+
+  describe('task index and events', () => {
+    it('should index tasks by type and follow their status', async () => {
+      processor.registerHandler('work', async task => {
+        if (task.payload.fail) throw new Error('bad');
+        return 'ok';
+      });
+      processor.config.retryPolicy.maxAttempts = 1;
+      await processor.init();
+      const taskConsumer = kafka.consumers['task-processor'];
+
+      await deliver(taskConsumer, 'task.requests', { id: 'i1', type: 'work', payload: {}, submittedAt: 1000 }, 0);
+      await deliver(taskConsumer, 'task.requests', { id: 'i2', type: 'work', payload: { fail: true } }, 1);
+      await flush(50);
+
+      const list = async filter => {
+        const ids = [];
+        for await (const entry of processor.taskIndex.scan(filter)) ids.push(entry.id);
+        return ids;
+      };
+      expect(await list({ types: ['work'] })).toEqual(['i2', 'i1']);
+      expect(await list({ statuses: ['COMPLETED'] })).toEqual(['i1']);
+      expect(await list({ statuses: ['FAILED'] })).toEqual(['i2']);
+      expect(await list({ statuses: ['PROCESSING'] })).toEqual([]);
+      expect(redis.sortedSets.get('tasks:created').get('i1')).toBe(1000);
+
+      const events = await processor.taskEvents.history('i1');
+      expect(events.map(event => [event.version, event.type, event.state.status])).toEqual([
+        [1, 'work', 'PROCESSING'],
+        [2, 'work', 'COMPLETED']
+      ]);
+    });
+  });
+
+  describe('metrics', () => {
+    it('should report stats and task durations to the metrics registry', async () => {
+      const metrics = new MetricsRegistry();
+      processor = new TaskProcessor({ kafka, redisPool: createRedisPool(redis), metrics });
+      processor.registerHandler('work', async () => 'ok');
+      await processor.init();
+
+      await deliver(kafka.consumers['task-processor'], 'task.requests', { id: 'm1', type: 'work', payload: {} }, 0);
+      await flush(50);
+
+      const [stats, durations] = metrics.collect(['task_processor', 'task_duration_ms']);
+      expect(stats.values).toEqual(expect.objectContaining({ processed: 1, active: 0, queued: 0, queued_normal: 0 }));
+      expect(stats.values.queueDepth).toBeUndefined();
+      expect(durations.values.count).toBe(1);
+
+      await processor.shutdown();
+      expect(metrics.collect(['task_processor'])).toEqual([]);
+    });
+
+    it('should keep only the latest durations when the registry is never sampled', async () => {
+      const metrics = new MetricsRegistry({ maxObservations: 2 });
+      processor = new TaskProcessor({ kafka, redisPool: createRedisPool(redis), metrics });
+      let duration = 0;
+      processor.registerHandler('work', () => new Promise(resolve => setTimeout(resolve, duration += 10)));
+      await processor.init();
+
+      for (const [offset, id] of ['d1', 'd2', 'd3'].entries()) {
+        await deliver(kafka.consumers['task-processor'], 'task.requests', { id, type: 'work', payload: {} }, offset);
+        await flush(100);
+      }
+
+      const [durations] = metrics.collect(['task_duration_ms']);
+      expect(durations.values.count).toBe(2);
+      expect(durations.values.min).toBeGreaterThanOrEqual(20);
+
+      metrics.sample();
+      expect(metrics.collect(['task_duration_ms'])[0].values).toEqual({ count: 0 });
+    });
+  });
+});
@@ -1,106 +1,214 @@
 const { EventEmitter } = require('events');
-const { promisify } = require('util');
 
+/**
+ * In-memory stand-in for a node-redis v4 client: commands are camelCase
+ * methods that return promises and take options objects.
+ */
 class MockRedisService extends EventEmitter {
   constructor(options = {}) {
     super();
     this.data = new Map();
     this.expirations = new Map();
     this.pubsub = new Map();
+    this.sortedSets = new Map();
     this.logger = options.logger || console;
     this.latency = options.latency || 5;
-    
-    // Promisify methods
-    this.getAsync = promisify(this.get).bind(this);
-    this.setAsync = promisify(this.set).bind(this);
-    this.delAsync = promisify(this.del).bind(this);
-    this.keysAsync = promisify(this.keys).bind(this);
-    this.publishAsync = promisify(this.publish).bind(this);
-    this.subscribeAsync = promisify(this.subscribe).bind(this);
   }
 
   getConnection() {
     return Promise.resolve(this);
   }
 
-  get(key, callback) {
-    this.simulateLatency(() => {
-      if (this.isExpired(key)) {
-        this.del(key);
-        return callback(null, null);
-      }
-      callback(null, this.data.get(key) || null);
-    });
-  }
-
-  set(key, value, ...args) {
-    let ex = null;
-    let px = null;
-    let callback = () => {};
-
-    // Parse SET arguments (simplified)
-    for (const arg of args) {
-      if (typeof arg === 'function') {
-        callback = arg;
-      } else if (arg === 'EX') {
-        ex = args[args.indexOf(arg) + 1];
-      } else if (arg === 'PX') {
-        px = args[args.indexOf(arg) + 1];
-      }
+  async get(key) {
+    await this.simulateLatency();
+    if (this.isExpired(key)) {
+      this._delete(key);
+      return null;
+    }
+    return this.data.get(key) || null;
+  }
+
+  // set(key, value, { EX, PX, NX })
+  async set(key, value, options = {}) {
+    await this.simulateLatency();
+    if (options.NX && this.data.has(key) && !this.isExpired(key)) {
+      return null;
     }
+    this.data.set(key, value);
+    this.expirations.delete(key);
+
+    if (options.EX) {
+      this.expirations.set(key, Date.now() + options.EX * 1000);
+    } else if (options.PX) {
+      this.expirations.set(key, Date.now() + options.PX);
+    }
+    return 'OK';
+  }
+
+  async del(keys) {
+    await this.simulateLatency();
+    return [].concat(keys).filter(key => this._delete(key)).length;
+  }
+
+  async keys(pattern) {
+    await this.simulateLatency();
+    const regex = new RegExp(pattern.replace(/\*/g, '.*'));
+    return Array.from(this.data.keys()).filter(k => regex.test(k));
+  }
+
+  async mGet(keys) {
+    await this.simulateLatency();
+    return keys.map(key => (this.isExpired(key) ? null : this.data.get(key) || null));
+  }
 
-    this.simulateLatency(() => {
-      this.data.set(key, value);
-      
-      if (ex) {
-        this.expirations.set(key, Date.now() + ex * 1000);
-      } else if (px) {
-        this.expirations.set(key, Date.now() + px);
+  incr(key) {
+    return this._incrBy(key, 1);
+  }
+
+  decr(key) {
+    return this._incrBy(key, -1);
+  }
+
+  async expire(key, seconds) {
+    await this.simulateLatency();
+    if (!this.data.has(key) && !this.sortedSets.has(key)) return false;
+    this.expirations.set(key, Date.now() + seconds * 1000);
+    return true;
+  }
+
+  // zAdd(key, { score, value } | [...], { NX })
+  async zAdd(key, members, options = {}) {
+    await this.simulateLatency();
+    if (!this.sortedSets.has(key)) {
+      this.sortedSets.set(key, new Map());
+    }
+    const set = this.sortedSets.get(key);
+    let added = 0;
+    for (const { score, value } of [].concat(members)) {
+      const isNew = !set.has(value);
+      if (isNew) added++;
+      if (isNew || !options.NX) {
+        set.set(value, Number(score));
       }
+    }
+    return added;
+  }
+
+  async zRem(key, members) {
+    await this.simulateLatency();
+    const set = this.sortedSets.get(key);
+    if (!set) return 0;
+    return [].concat(members).filter(member => set.delete(member)).length;
+  }
 
-      callback(null, 'OK');
-    });
+  async zScore(key, member) {
+    await this.simulateLatency();
+    const set = this.sortedSets.get(key);
+    return set && set.has(member) ? set.get(member) : null;
   }
 
-  del(key, callback) {
-    this.simulateLatency(() => {
-      const deleted = this.data.delete(key);
-      this.expirations.delete(key);
-      callback(null, deleted ? 1 : 0);
-    });
+  async zRemRangeByRank(key, start, stop) {
+    await this.simulateLatency();
+    const set = this.sortedSets.get(key);
+    if (!set) return 0;
+    const members = this._sorted(set).map(({ value }) => value);
+    const from = start < 0 ? Math.max(members.length + start, 0) : start;
+    const to = stop < 0 ? members.length + stop : Math.min(stop, members.length - 1);
+    const removed = to >= from ? members.slice(from, to + 1) : [];
+    removed.forEach(member => set.delete(member));
+    return removed.length;
   }
 
-  keys(pattern, callback) {
-    this.simulateLatency(() => {
-      const regex = new RegExp(pattern.replace(/\*/g, '.*'));
-      const matches = Array.from(this.data.keys()).filter(k => regex.test(k));
-      callback(null, matches);
-    });
+  // zRangeByScore(key, min, max, { LIMIT: { offset, count } })
+  async zRangeByScore(key, min, max, options = {}) {
+    return (await this.zRangeWithScores(key, min, max, { ...options, BY: 'SCORE' })).map(({ value }) => value);
   }
 
-  publish(channel, message, callback) {
-    this.simulateLatency(() => {
-      const subscribers = this.pubsub.get(channel) || [];
-      subscribers.forEach(sub => sub(channel, message));
-      callback(null, subscribers.length);
-    });
+  async zRange(key, start, stop, options = {}) {
+    return (await this.zRangeWithScores(key, start, stop, options)).map(({ value }) => value);
   }
 
-  subscribe(channel, callback) {
+  /**
+   * zRangeWithScores(key, start, stop, { BY: 'SCORE', REV, LIMIT }).
+   * With REV and BY: 'SCORE', start is the upper bound as in ZRANGE.
+   */
+  async zRangeWithScores(key, start, stop, options = {}) {
+    await this.simulateLatency();
+    const set = this.sortedSets.get(key) || new Map();
+    let entries = this._sorted(set);
+    if (options.REV) entries.reverse();
+
+    if (options.BY === 'SCORE') {
+      const [upper, lower] = (options.REV ? [start, stop] : [stop, start]).map(bound);
+      entries = entries.filter(({ score }) =>
+        (upper.exclusive ? score < upper.number : score <= upper.number) &&
+        (lower.exclusive ? score > lower.number : score >= lower.number));
+      if (options.LIMIT) {
+        const { offset, count } = options.LIMIT;
+        entries = count < 0 ? entries.slice(offset) : entries.slice(offset, offset + count);
+      }
+      return entries;
+    }
+
+    const from = start < 0 ? Math.max(entries.length + start, 0) : start;
+    const to = stop < 0 ? entries.length + stop : stop;
+    return entries.slice(from, to + 1);
+  }
+
+  async publish(channel, message) {
+    await this.simulateLatency();
+    const subscribers = this.pubsub.get(channel) || [];
+    subscribers.forEach(sub => sub(message, channel));
+    return subscribers.length;
+  }
+
+  // Listener signature follows node-redis v4: (message, channel)
+  async subscribe(channel, listener) {
     if (!this.pubsub.has(channel)) {
       this.pubsub.set(channel, []);
     }
-    this.pubsub.get(channel).push(callback);
+    this.pubsub.get(channel).push(listener);
     this.emit('subscribe', channel);
   }
 
+  async unsubscribe(channel) {
+    this.pubsub.delete(channel);
+    this.emit('unsubscribe', channel);
+  }
+
+  async quit() {
+    return 'OK';
+  }
+
   isExpired(key) {
     if (!this.expirations.has(key)) return false;
     return Date.now() > this.expirations.get(key);
   }
 
-  simulateLatency(fn) {
-    setTimeout(fn, Math.random() * this.latency);
+  simulateLatency() {
+    return new Promise(resolve => setTimeout(resolve, Math.random() * this.latency));
+  }
+
+  async _incrBy(key, delta) {
+    await this.simulateLatency();
+    const current = this.isExpired(key) ? 0 : Number(this.data.get(key) || 0);
+    const value = current + delta;
+    this.data.set(key, String(value));
+    return value;
+  }
+
+  // DEL removes a key of any type
+  _delete(key) {
+    const deleted = [this.data.delete(key), this.sortedSets.delete(key)].some(Boolean);
+    this.expirations.delete(key);
+    return deleted;
+  }
+
+  // Ascending by score, ties by member, as Redis orders sorted sets
+  _sorted(set) {
+    return Array.from(set.entries())
+      .map(([value, score]) => ({ value, score }))
+      .sort((a, b) => a.score - b.score || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
   }
 
   // Test helper methods
@@ -108,6 +216,7 @@ class MockRedisService extends EventEmitter {
     this.data.clear();
     this.expirations.clear();
     this.pubsub.clear();
+    this.sortedSets.clear();
   }
 
   dump() {
@@ -119,4 +228,13 @@ class MockRedisService extends EventEmitter {
   }
 }
 
+// Score bound as ZRANGE takes it: a number, '-inf', '+inf' or '(' + exclusive
+function bound(value) {
+  const text = String(value);
+  const exclusive = text.startsWith('(');
+  const raw = exclusive ? text.slice(1) : text;
+  const number = raw === '-inf' ? -Infinity : raw === '+inf' ? Infinity : Number(raw);
+  return { number, exclusive };
+}
+
 module.exports = MockRedisService;
@@ -7,6 +7,7 @@ import healthRouter from './src/routes/health.js';
 import authRouter from './src/routes/auth.js';
 import provisioningRouter from './src/routes/provisioning.js';
 import configurationRouter from './src/routes/configuration.js';
+import schedulesRouter from './src/routes/schedules.js';
 
 // Configuration constants
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
@@ -54,6 +55,7 @@ async function startServer() {
     app.use('/api/health', authenticate, healthRouter);
     app.use('/api/provisioning', authenticate, provisioningRouter);
     app.use('/api/configuration', authenticate, configurationRouter);
+    app.use('/api/schedules', authenticate, schedulesRouter);
     app.use('/api/*', (req, res) => res.status(404).json({ error: 'API endpoint not found' }));
 
     // Static files
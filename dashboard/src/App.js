@@ -1,6 +1,7 @@
 import React from 'react';
 import './App.css';
 import HealthDashboard from './components/HealthDashboard.js';
+import ScheduleList from './components/ScheduleList.js';
 
 function App() {
   return (
@@ -11,6 +12,7 @@ function App() {
       <main className="App-main">
         <div className="dashboard-container">
           <HealthDashboard />
+          <ScheduleList />
         </div>
       </main>
     </div>
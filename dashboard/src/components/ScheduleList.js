@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react';
+import './ScheduleList.css';
+
+const describeTrigger = (schedule) => {
+  if (schedule.cron) return `cron ${schedule.cron}`;
+  if (schedule.interval) return `every ${Math.round(schedule.interval / 1000)}s`;
+  return `once at ${new Date(schedule.runAt).toLocaleString()}`;
+};
+
+const ScheduleList = () => {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchSchedules = async () => {
+      try {
+        const response = await fetch('/api/schedules', {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem('accessToken')}`
+          }
+        });
+        if (!response.ok) {
+          throw new Error('Failed to fetch schedules');
+        }
+        setSchedules(await response.json());
+        setError(null);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSchedules();
+    const interval = setInterval(fetchSchedules, 30000); // Refresh every 30s
+    return () => clearInterval(interval);
+  }, []);
+
+  if (loading) return <div className="schedule-loading">Loading schedules...</div>;
+  if (error) return <div className="schedule-error">Error: {error}</div>;
+
+  return (
+    <div className="schedule-list">
+      <h2>Scheduled Tasks</h2>
+      {schedules.length === 0 ? (
+        <p>No schedules defined</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Task Type</th>
+              <th>Trigger</th>
+              <th>Next Run</th>
+              <th>Last Run</th>
+              <th>Runs</th>
+            </tr>
+          </thead>
+          <tbody>
+            {schedules.map(schedule => (
+              <tr key={schedule.id} className={schedule.enabled ? '' : 'paused'}>
+                <td>{schedule.name}</td>
+                <td>{schedule.task.type}</td>
+                <td>{describeTrigger(schedule)}</td>
+                <td>{schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : 'N/A'}</td>
+                <td>{schedule.lastRunAt ? new Date(schedule.lastRunAt).toLocaleString() : 'Never'}</td>
+                <td>{schedule.runCount}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleList;
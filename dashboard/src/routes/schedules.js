@@ -0,0 +1,24 @@
+import express from 'express';
+import { redisClient } from '../../server.js';
+
+const router = express.Router();
+
+// Schedules are written by the task processor's scheduler (see
+// AgenticSystem/src/TaskScheduler.js); the dashboard only reads them
+router.get('/', async (req, res) => {
+  try {
+    const ids = await redisClient.zRange('schedule:all', 0, -1);
+    const values = ids.length > 0
+      ? await redisClient.mGet(ids.map(id => `schedule:def:${id}`))
+      : [];
+
+    res.json(values.filter(Boolean).map(value => JSON.parse(value)));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to fetch schedules',
+      details: error.message
+    });
+  }
+});
+
+export default router;